@@ -15,6 +15,18 @@ const MIN_GAP_MS = 100; // increase if you expect more gaps between words
 const MIN_SEG_MS = 80;
 const THR_ALPHA = 0.25; // between noise and speech percentiles
 const HYST_LO_RATIO = 0.7; // lower threshold as fraction of thrHi
+const MIN_CONFIDENCE = 0.35; // reconciled words less sure than this (0-1) fail with a 422
+
+// Audio containers we accept, found by looking at the file's first bytes (not its name).
+// ffmpeg decodes all of them the same way; the MIME type is what we tell ElevenLabs.
+const AUDIO_FORMATS = {
+  m4a: 'audio/mp4',
+  webm: 'audio/webm',
+  wav: 'audio/wav',
+  mp3: 'audio/mpeg',
+  ogg: 'audio/ogg',
+  flac: 'audio/flac',
+};
 
 // Find which ffmpeg program to use.
 // 1) If user tells us a path (FFMPEG_PATH), use that.
@@ -35,9 +47,24 @@ async function resolveFfmpegBinary() {
   }
 }
 
-// Turn the .m4a file into raw audio numbers we can work with (PCM),
+// Guess the container from the first bytes of the file ("magic numbers").
+// Returns a key of AUDIO_FORMATS, or null if it doesn't look like audio we know.
+function sniffAudioFormat(buf) {
+  if (!buf || buf.length < 12) return null;
+  const ascii = (start, end) => buf.toString('latin1', start, end);
+  if (ascii(4, 8) === 'ftyp') return 'm4a'; // MP4 family (m4a, mp4, mov)
+  if (buf[0] === 0x1a && buf[1] === 0x45 && buf[2] === 0xdf && buf[3] === 0xa3) return 'webm'; // EBML header (webm, mkv)
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'wav';
+  if (ascii(0, 4) === 'OggS') return 'ogg';
+  if (ascii(0, 4) === 'fLaC') return 'flac';
+  // ID3 tag, or a bare MPEG frame sync (raw AAC/ADTS looks the same - ffmpeg copes either way)
+  if (ascii(0, 3) === 'ID3' || (buf[0] === 0xff && (buf[1] & 0xe0) === 0xe0)) return 'mp3';
+  return null;
+}
+
+// Turn the audio file (any format ffmpeg knows) into raw audio numbers we can work with (PCM),
 // in mono (1 channel) at a known speed (sample rate).
-async function decodeM4aToPcm(filePath, targetSr = TARGET_SR_HZ) {
+async function decodeAudioToPcm(filePath, targetSr = TARGET_SR_HZ) {
   return new Promise(async (resolve, reject) => {
     const bin = await resolveFfmpegBinary();
     const args = ['-hide_banner', '-loglevel', 'error', '-i', filePath, '-ac', '1', '-ar', String(targetSr), '-f', 's16le', 'pipe:1'];
@@ -139,6 +166,89 @@ function simpleTokenize(text) {
     .filter(Boolean);
 }
 
+// How sure we are that cutting a segment at cutMs separates two words:
+// 1 = it's silent there, 0 = it's as loud as the quieter side's loudest moment.
+function cutConfidence(rms, hopMs, seg, cutMs) {
+  const s = Math.floor(seg.start_ms / hopMs);
+  const e = Math.min(rms.length, Math.ceil(seg.end_ms / hopMs));
+  const c = Math.min(e - 1, Math.max(s, Math.round(cutMs / hopMs)));
+  let leftPeak = 0;
+  let rightPeak = 0;
+  for (let i = s; i < c; i++) leftPeak = Math.max(leftPeak, rms[i]);
+  for (let i = c + 1; i < e; i++) rightPeak = Math.max(rightPeak, rms[i]);
+  const peak = Math.min(leftPeak, rightPeak);
+  if (!(peak > 0)) return 0;
+  return Math.max(0, Math.min(1, 1 - rms[c] / peak));
+}
+
+// Too many segments (a word got split by a tiny pause, or a pop survived):
+// glue together the two neighbours with the smallest gap between them until the counts match.
+// The smaller that gap is next to the usual gap between words, the surer we are it wasn't a real word break.
+function mergeSegments(segs, count) {
+  const typicalGap = percentile(segs.slice(1).map((seg, i) => seg.start_ms - segs[i].end_ms), 50);
+  const out = segs.map(seg => ({ confidence: 1, ...seg }));
+  while (out.length > count) {
+    let best = 0;
+    for (let i = 1; i < out.length - 1; i++) {
+      if (out[i + 1].start_ms - out[i].end_ms < out[best + 1].start_ms - out[best].end_ms) best = i;
+    }
+    const gap = out[best + 1].start_ms - out[best].end_ms;
+    const confidence = typicalGap > 0 ? typicalGap / (gap + typicalGap) : 0;
+    out.splice(best, 2, {
+      start_ms: out[best].start_ms,
+      end_ms: out[best + 1].end_ms,
+      confidence: Math.min(out[best].confidence, out[best + 1].confidence, confidence),
+    });
+  }
+  return out;
+}
+
+// Too few segments (two words said without a real pause): cut the longest segment
+// at its quietest moment (keeping both halves at least MIN_SEG_MS long) until the counts match.
+function splitSegments(segs, count, rms, hopMs) {
+  const out = segs.map(seg => ({ confidence: 1, ...seg }));
+  const edgeFrames = Math.ceil(MIN_SEG_MS / hopMs);
+  while (out.length < count) {
+    let longest = 0;
+    for (let i = 1; i < out.length; i++) {
+      if (out[i].end_ms - out[i].start_ms > out[longest].end_ms - out[longest].start_ms) longest = i;
+    }
+    const seg = out[longest];
+
+    // Too short to have a valley away from the edges? Then just halve it (and cutConfidence will say so)
+    let cut = Math.round((seg.start_ms + seg.end_ms) / 2 / hopMs);
+    let lowest = Infinity;
+    const last = Math.min(rms.length - 1, Math.round(seg.end_ms / hopMs) - edgeFrames);
+    for (let i = Math.round(seg.start_ms / hopMs) + edgeFrames; i <= last; i++) {
+      if (rms[i] < lowest) { lowest = rms[i]; cut = i; }
+    }
+    const cutMs = cut * hopMs;
+    const confidence = Math.min(seg.confidence, cutConfidence(rms, hopMs, seg, cutMs));
+    out.splice(longest, 1,
+      { start_ms: seg.start_ms, end_ms: cutMs, confidence },
+      { start_ms: cutMs, end_ms: seg.end_ms, confidence });
+  }
+  return out;
+}
+
+// Make the number of segments match the number of words the transcript heard.
+// Every segment comes back with a confidence (1 = untouched).
+function reconcileSegments(segs, count, rms, hopMs) {
+  return segs.length > count ? mergeSegments(segs, count) : splitSegments(segs, count, rms, hopMs);
+}
+
+// Line up words we already know with the detected segments (no speech-to-text needed).
+// Same merge/split as the transcript path (reconcileSegments), so both cut words apart at the same
+// RMS valleys and report the same confidence for them.
+function alignTokensToSegments(tokens, segs, rms, hopMs) {
+  const matched = reconcileSegments(segs, tokens.length, rms, hopMs);
+  return {
+    words: matched.map((seg, i) => ({ word: tokens[i], start: seg.start_ms, end: seg.end_ms, confidence: seg.confidence })),
+    merged: Math.max(0, segs.length - tokens.length),
+    split: Math.max(0, tokens.length - segs.length),
+  };
+}
+
 // Call Google Speech-to-Text API using REST API with API key
 async function transcribeAudio(audioBuffer, sampleRate) {
   const apiKey = process.env.GOOGLE_CLOUD_API_KEY;
@@ -185,7 +295,7 @@ async function transcribeAudio(audioBuffer, sampleRate) {
  * @param {string} voiceId - ElevenLabs voice ID
  * @returns {Promise<Buffer>} Transformed audio buffer
  */
-async function transformVoiceWithElevenLabs(audioBuffer, voiceId) {
+async function transformVoiceWithElevenLabs(audioBuffer, voiceId, mimeType = AUDIO_FORMATS.m4a) {
   const apiKey = process.env.ELEVENLABS_API_KEY;
   if (!apiKey) {
     throw new Error('ELEVENLABS_API_KEY environment variable is not set');
@@ -198,7 +308,7 @@ async function transformVoiceWithElevenLabs(audioBuffer, voiceId) {
   });
 
   // Convert buffer to Blob
-  const audioBlob = new Blob([audioBuffer], { type: 'audio/m4a' });
+  const audioBlob = new Blob([audioBuffer], { type: mimeType });
 
   // Transform voice
   const audioStream = await elevenlabs.speechToSpeech.convert(voiceId, {
@@ -246,7 +356,7 @@ async function parseFormData(req) {
   const boundary = contentType.split('boundary=')[1];
   if (!boundary) return null;
 
-  const result = { file: null, filename: null, transformVoice: false, voiceId: null };
+  const result = { file: null, filename: null, transformVoice: false, voiceId: null, expectedText: null };
 
   const parts = body.toString('binary').split(`--${boundary}`);
   for (const part of parts) {
@@ -278,6 +388,8 @@ async function parseFormData(req) {
               result.transformVoice = value === 'true';
             } else if (fieldName === 'voiceId') {
               result.voiceId = value;
+            } else if (fieldName === 'expectedText') {
+              result.expectedText = Buffer.from(value, 'binary').toString('utf8'); // Parts were read as binary
             }
           }
         }
@@ -309,19 +421,29 @@ export default async function handler(req, res) {
       return res.status(400).json({ error: 'missing file or invalid form data' });
     }
 
-    const { file, filename, transformVoice, voiceId } = formData;
-    if (!filename.toLowerCase().endsWith('.m4a')) {
-      return res.status(400).json({ error: 'only .m4a accepted' });
+    const { file, filename, transformVoice, voiceId, expectedText } = formData;
+
+    // Trust the bytes, not the filename (web MediaRecorder uploads are often webm/opus named .m4a)
+    const inputFormat = sniffAudioFormat(file);
+    if (!inputFormat) {
+      return res.status(400).json({ error: `unsupported audio format (accepted: ${Object.keys(AUDIO_FORMATS).join(', ')})` });
+    }
+
+    // Known text (optional): align these words instead of asking speech-to-text
+    const expectedTokens = expectedText ? simpleTokenize(expectedText.toLowerCase()) : null;
+    if (expectedText && expectedTokens.length === 0) {
+      return res.status(400).json({ error: 'expectedText has no words' });
     }
 
-    logger.log('TRANSCRIPTION', '[API] Received file:', filename);
+    logger.log('TRANSCRIPTION', '[API] Received file:', filename, 'format:', inputFormat);
     logger.log('TRANSCRIPTION', '[API] transformVoice:', transformVoice, 'type:', typeof transformVoice);
     logger.log('TRANSCRIPTION', '[API] voiceId:', voiceId, 'type:', typeof voiceId);
     logger.log('TRANSCRIPTION', '[API] Full formData:', JSON.stringify({
       hasFile: !!file,
       filename,
       transformVoice,
-      voiceId
+      voiceId,
+      expectedText
     }));
 
     // 2) Transform voice if requested (BEFORE word detection)
@@ -335,13 +457,13 @@ export default async function handler(req, res) {
       // Voice 1: Reboundhi
       const voice1Id = 'q6bhPxtykZeN8o4aUNuh';
       logger.log('VOICE_TRANSFORMATION', '[Transform] Transforming with Reboundhi:', voice1Id);
-      const buffer1 = await transformVoiceWithElevenLabs(file, voice1Id);
+      const buffer1 = await transformVoiceWithElevenLabs(file, voice1Id, AUDIO_FORMATS[inputFormat]);
       transformedAudios.reboundhi = buffer1.toString('base64');
       
       // Voice 2: Reboundhita
       const voice2Id = 'UyE5iFj5Rg2T7GorYAnJ';
       logger.log('VOICE_TRANSFORMATION', '[Transform] Transforming with Reboundhita:', voice2Id);
-      const buffer2 = await transformVoiceWithElevenLabs(file, voice2Id);
+      const buffer2 = await transformVoiceWithElevenLabs(file, voice2Id, AUDIO_FORMATS[inputFormat]);
       transformedAudios.reboundhita = buffer2.toString('base64');
       
       // Use first voice for word detection (they should have same timing)
@@ -349,13 +471,23 @@ export default async function handler(req, res) {
       logger.log('VOICE_TRANSFORMATION', '[Transform] Dual voice transformation complete');
     }
 
-    // 3) Save audio to temp place so ffmpeg can read it
-    const tmpPath = join(tmpdir(), `${Date.now()}-${transformVoice ? 'transformed-' : ''}${filename}`);
+    // 3) Save audio to temp place so ffmpeg can read it (ElevenLabs always sends back mp3)
+    const analyzedFormat = transformVoice ? 'mp3' : inputFormat;
+    const tmpPath = join(tmpdir(), `${Date.now()}-${transformVoice ? 'transformed' : 'upload'}.${analyzedFormat}`);
     await writeFile(tmpPath, audioToProcess);
 
     try {
-      // 3) Turn .m4a into raw numbers (PCM) we can measure
-      const { pcm, sr } = await decodeM4aToPcm(tmpPath, TARGET_SR_HZ);
+      // 3) Turn the audio into raw numbers (PCM) we can measure
+      const { pcm, sr } = await decodeAudioToPcm(tmpPath, TARGET_SR_HZ);
+
+      // What we got and what we measured, for the caller (every format ends up the same PCM)
+      const format = {
+        input: inputFormat,        // Container of the uploaded file
+        analyzed: analyzedFormat,  // Container the timings were measured on (mp3 when voice-transformed)
+        sample_rate_hz: sr,
+        channels: 1,
+        encoding: 'pcm_s16le',
+      };
 
       // 4) Build the smooth loudness line (RMS) so we can see where words start/end
       const float = int16ToFloat32(pcm);
@@ -366,18 +498,58 @@ export default async function handler(req, res) {
       const segs = detectSegments(rms, hopMs);
       logger.log('WORD_ALIGNMENT', '[Segments detected]', segs.map((s, i) => ({ i, start_ms: s.start_ms, end_ms: s.end_ms })));
 
-      // Ask Google for the words only (no timestamps)
-      const resp = await transcribeAudio(pcm, sr);
-      const transcript = (resp.results || []).map((r) => r.alternatives?.[0]?.transcript || '').join(' ').trim();
-      const tokens = simpleTokenize(transcript);
-      logger.log('TRANSCRIPTION', '[STT tokens]', tokens);
+      let tokens;
+      let words;
+      let alignment = { mode: 'transcript', segments_merged: 0, segments_split: 0 };
+
+      if (expectedTokens) {
+        // We know the words - fit them to the segments (merging/splitting like below), no STT call
+        if (segs.length === 0) {
+          return res.status(422).json({
+            error: 'No speech was detected in the recording.',
+            details: { words: expectedTokens.length, segments: 0 },
+            meta: { hop_ms: hopMs, window_ms: WIN_MS, sample_rate_hz: sr, envelope_frames: rms.length, min_segment_ms: MIN_SEG_MS }
+          });
+        }
+        tokens = expectedTokens;
+        const aligned = alignTokensToSegments(tokens, segs, rms, hopMs);
+        words = aligned.words;
+        alignment = { mode: 'expected-text', segments_merged: aligned.merged, segments_split: aligned.split };
+        logger.log('WORD_ALIGNMENT', '[Expected text tokens]', tokens, alignment);
+      } else {
+        // Ask Google for the words only (no timestamps)
+        const resp = await transcribeAudio(pcm, sr);
+        const transcript = (resp.results || []).map((r) => r.alternatives?.[0]?.transcript || '').join(' ').trim();
+        tokens = simpleTokenize(transcript);
+        logger.log('TRANSCRIPTION', '[STT tokens]', tokens);
+      }
+
+      // If counts don't match, merge/split segments until they do (see reconcileSegments)
+      let matchedSegs = segs;
+      if (!words && tokens.length !== segs.length && tokens.length > 0 && segs.length > 0) {
+        matchedSegs = reconcileSegments(segs, tokens.length, rms, hopMs);
+        alignment = {
+          mode: 'transcript',
+          segments_merged: Math.max(0, segs.length - tokens.length),
+          segments_split: Math.max(0, tokens.length - segs.length),
+        };
+        logger.log('WORD_ALIGNMENT', '[Reconciled segments]', matchedSegs, alignment);
+      }
+      const lowestConfidence = words
+        ? null // Known text always fits - low confidence is reported per word, not failed
+        : Math.min(1, ...matchedSegs.map(seg => seg.confidence ?? 1));
 
-      // If counts don't match, return an error (no auto-reconciliation)
-      if (tokens.length !== segs.length) {
+      // Still no match (nothing heard / no speech), or the fix is too much of a guess: return an error
+      if (!words && (tokens.length !== matchedSegs.length || lowestConfidence < MIN_CONFIDENCE)) {
         const ffBin = resolveFfmpegBinary();
         return res.status(422).json({
           error: "There was a mismatch between Google's transcript and the number of words detected.",
-          details: { words: tokens.length, segments: segs.length },
+          details: {
+            words: tokens.length,
+            segments: segs.length,
+            lowest_confidence: tokens.length === matchedSegs.length ? Math.round(lowestConfidence * 100) / 100 : null,
+            min_confidence: MIN_CONFIDENCE
+          },
           meta: {
             hop_ms: hopMs,
             window_ms: WIN_MS,
@@ -394,13 +566,17 @@ export default async function handler(req, res) {
       }
 
       // Map words to segments in order (1:1)
-      const words = segs.map((seg, i) => ({
-        word: tokens[i],
-        start: seg.start_ms,  // Return as 'start' (milliseconds)
-        end: seg.end_ms        // Return as 'end' (milliseconds)
-      }));
+      if (!words) {
+        words = matchedSegs.map((seg, i) => ({
+          word: tokens[i],
+          start: seg.start_ms,  // Return as 'start' (milliseconds)
+          end: seg.end_ms,       // Return as 'end' (milliseconds)
+          confidence: seg.confidence ?? 1 // 1 unless reconciliation had to merge/split its segment
+        }));
+      }
+      words = words.map(w => ({ ...w, confidence: Math.round(w.confidence * 100) / 100 }));
       logger.log('WORD_ALIGNMENT', '[Alignment preview]', words.map((w, i) => ({
-        i, word: w.word, start: w.start, end: w.end,
+        i, word: w.word, start: w.start, end: w.end, confidence: w.confidence,
         center_ms: Math.round((w.start + w.end) / 2)
       })));
 
@@ -408,6 +584,7 @@ export default async function handler(req, res) {
       
       const response = {
         words,
+        format,
         meta: {
           hop_ms: hopMs,
           window_ms: WIN_MS,
@@ -420,6 +597,10 @@ export default async function handler(req, res) {
           segments_preview: segs,
           min_segment_ms: MIN_SEG_MS,
           voiceTransformed: transformVoice || false,
+          alignment: alignment.mode, // 'transcript' (STT) or 'expected-text'
+          segments_merged: alignment.segments_merged,
+          segments_split: alignment.segments_split,
+          min_confidence: MIN_CONFIDENCE,
         }
       };
       
@@ -0,0 +1,267 @@
+import { join } from 'path';
+import { createHash } from 'crypto';
+import { readFile, writeFile, mkdir, stat, rename, unlink, readdir } from 'fs/promises';
+import { logger } from '../src/shared/utils/logger.js';
+
+// Local message storage - a stand-in for the GitHub repo during development.
+// Serves messages.json and audio files from a directory on this machine, so the admin portal
+// and game can run with EXPO_PUBLIC_STORAGE_BACKEND=local (no token, no internet).
+// Only enabled when LOCAL_STORAGE_DIR is set, e.g. `LOCAL_STORAGE_DIR=. vercel dev` to use
+// the repo's own messages.json and audio-messages/ folder.
+//
+//   GET  /api/storage              → messages.json (+ _sha version id)
+//   PUT  /api/storage              → replace messages.json (JSON body, X-Base-Sha: version it was based on)
+//   POST /api/storage              → messages.json + audio files together (JSON body, all or nothing)
+//   GET  /api/storage?list=audio   → [{ filename, size }] in the audio folder
+//   GET  /api/storage?audio=<file> → audio file
+//   HEAD /api/storage?audio=<file> → 200 if the audio file exists, 404 if not
+//   POST /api/storage?audio=<file> → write audio file (raw bytes body)
+
+const MESSAGES_FILE = 'messages.json';
+const AUDIO_FOLDER = 'audio-messages';
+const SAFE_FILENAME = /^[\w.-]+$/; // No slashes - audio can't escape the audio folder
+
+const AUDIO_TYPES = {
+  m4a: 'audio/mp4',
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  webm: 'audio/webm',
+  ogg: 'audio/ogg',
+  flac: 'audio/flac',
+};
+
+// Read the raw request body (bodyParser is off so audio arrives untouched)
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+// Path to an audio file in the storage directory, or null for unsafe names
+function audioPath(root, filename) {
+  if (!filename || !SAFE_FILENAME.test(filename) || filename.startsWith('.')) return null;
+  return join(root, AUDIO_FOLDER, filename);
+}
+
+async function handleAudio(req, res, root, filename) {
+  const filePath = audioPath(root, filename);
+  if (!filePath) {
+    return res.status(400).json({ error: 'invalid audio filename' });
+  }
+
+  if (req.method === 'POST') {
+    const body = await readBody(req);
+    if (body.length === 0) {
+      return res.status(400).json({ error: 'empty audio body' });
+    }
+    await mkdir(join(root, AUDIO_FOLDER), { recursive: true });
+    await writeFile(filePath, body);
+    logger.log('GITHUB_API', `[Storage] Saved audio: ${filename} (${body.length} bytes)`);
+    return res.status(201).json({ filename });
+  }
+
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  let info;
+  try {
+    info = await stat(filePath);
+  } catch (e) {
+    return res.status(404).json({ error: 'audio not found' });
+  }
+
+  const ext = filename.split('.').pop().toLowerCase();
+  res.setHeader('Content-Type', AUDIO_TYPES[ext] || 'application/octet-stream');
+  res.setHeader('Content-Length', String(info.size));
+
+  if (req.method === 'HEAD') {
+    return res.status(200).end();
+  }
+  return res.status(200).send(await readFile(filePath));
+}
+
+// Check a messages.json object before it's written
+function isMessagesData(data) {
+  return !!data && typeof data === 'object' && !!data.messages && typeof data.messages === 'object';
+}
+
+// Version id of messages.json (like GitHub's blob SHA) - changes whenever the file does
+function versionOf(text) {
+  return createHash('sha1').update(text).digest('hex');
+}
+
+// Current messages.json text, or null if there isn't one yet
+async function readMessagesText(root) {
+  try {
+    return await readFile(join(root, MESSAGES_FILE), 'utf8');
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+    return null;
+  }
+}
+
+// Optimistic concurrency: a write based on an older version is rejected with 409
+// (the client re-fetches, merges and retries - see updateMessages in githubApi.js)
+async function isStale(root, baseSha) {
+  if (!baseSha) return false;
+  const text = await readMessagesText(root);
+  return text !== null && versionOf(text) !== baseSha;
+}
+
+function serializeMessages(data) {
+  const { _sha, ...cleanData } = data;
+  return JSON.stringify(cleanData, null, 2) + '\n';
+}
+
+// Write messages.json + audio files as one change: stage everything to temp files first,
+// then rename into place, so a bad file or full disk leaves the directory untouched
+async function handleCommit(req, res, root) {
+  let body;
+  try {
+    body = JSON.parse((await readBody(req)).toString('utf8'));
+  } catch (e) {
+    return res.status(400).json({ error: 'body must be JSON' });
+  }
+
+  const { messages, audio = [], remove = [], message, baseSha } = body || {};
+  if (!isMessagesData(messages) || !Array.isArray(audio) || !Array.isArray(remove)) {
+    return res.status(400).json({ error: 'expected { messages, audio: [{ filename, content }], remove: [filename] }' });
+  }
+
+  const removals = remove.map(filename => audioPath(root, filename));
+  if (removals.includes(null)) {
+    return res.status(400).json({ error: 'invalid audio filename in remove' });
+  }
+
+  const files = [];
+  for (const { filename, content } of audio) {
+    const filePath = audioPath(root, filename);
+    if (!filePath || typeof content !== 'string' || content.length === 0) {
+      return res.status(400).json({ error: `invalid audio file: ${filename}` });
+    }
+    files.push({ filePath, data: Buffer.from(content, 'base64') });
+  }
+  const text = serializeMessages(messages);
+  files.push({ filePath: join(root, MESSAGES_FILE), data: text });
+
+  if (await isStale(root, baseSha)) {
+    return res.status(409).json({ error: 'messages.json changed since it was loaded' });
+  }
+
+  const suffix = `.tmp-${Date.now()}`;
+  await mkdir(join(root, AUDIO_FOLDER), { recursive: true });
+  try {
+    for (const { filePath, data } of files) {
+      await writeFile(filePath + suffix, data);
+    }
+  } catch (error) {
+    await Promise.all(files.map(({ filePath }) => unlink(filePath + suffix).catch(() => {})));
+    throw error;
+  }
+
+  // messages.json last, so it never points at audio that isn't there
+  for (const { filePath } of files) {
+    await rename(filePath + suffix, filePath);
+  }
+
+  // Removals after the new messages.json is in place (already-missing files are fine)
+  await Promise.all(removals.map(filePath => unlink(filePath).catch((e) => {
+    if (e.code !== 'ENOENT') throw e;
+  })));
+
+  logger.log('GITHUB_API', `[Storage] ${message || 'Update messages'} (${files.length} written, ${removals.length} removed)`);
+  return res.status(200).json({ ...JSON.parse(text), _sha: versionOf(text) });
+}
+
+// List the audio folder
+async function handleList(req, res, root) {
+  let names;
+  try {
+    names = await readdir(join(root, AUDIO_FOLDER));
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+    names = []; // No audio saved yet
+  }
+
+  const files = [];
+  for (const filename of names.filter(name => SAFE_FILENAME.test(name) && !name.startsWith('.'))) {
+    const info = await stat(join(root, AUDIO_FOLDER, filename));
+    if (info.isFile()) files.push({ filename, size: info.size });
+  }
+  return res.status(200).json(files);
+}
+
+async function handleMessages(req, res, root) {
+  if (req.method === 'PUT') {
+    let data;
+    try {
+      data = JSON.parse((await readBody(req)).toString('utf8'));
+    } catch (e) {
+      return res.status(400).json({ error: 'body must be JSON' });
+    }
+    if (!isMessagesData(data)) {
+      return res.status(400).json({ error: 'messages.json needs a messages object' });
+    }
+    if (await isStale(root, req.headers['x-base-sha'])) {
+      return res.status(409).json({ error: 'messages.json changed since it was loaded' });
+    }
+    const text = serializeMessages(data);
+    await mkdir(root, { recursive: true });
+    await writeFile(join(root, MESSAGES_FILE), text);
+    logger.log('GITHUB_API', `[Storage] ${req.headers['x-change-message'] || 'Update messages'}`);
+    return res.status(200).json({ ...JSON.parse(text), _sha: versionOf(text) });
+  }
+
+  if (req.method === 'POST') {
+    return handleCommit(req, res, root);
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+  const text = await readMessagesText(root);
+  if (text === null) {
+    // Fresh storage directory - start empty
+    return res.status(200).json({ current: null, messages: {} });
+  }
+  return res.status(200).json({ ...JSON.parse(text), _sha: versionOf(text) });
+}
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, PUT, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Change-Message, X-Base-Sha');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Never exposed on a deployment unless explicitly configured
+  const root = process.env.LOCAL_STORAGE_DIR;
+  if (!root) {
+    return res.status(404).json({ error: 'local storage is disabled (set LOCAL_STORAGE_DIR)' });
+  }
+
+  try {
+    if (req.method === 'GET' && req.query?.list === 'audio') {
+      return await handleList(req, res, root);
+    }
+    const filename = req.query?.audio;
+    if (filename !== undefined) {
+      return await handleAudio(req, res, root, String(filename));
+    }
+    return await handleMessages(req, res, root);
+  } catch (error) {
+    logger.error('GITHUB_API', '[Storage] Request failed:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+export const config = {
+  api: {
+    bodyParser: false
+  }
+};
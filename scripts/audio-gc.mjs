@@ -0,0 +1,127 @@
+/**
+ * Audio garbage collection for audio-messages/
+ *
+ * Usage: npm run audio-gc                 (report orphans, then ask before deleting)
+ *        npm run audio-gc -- --yes        (delete without asking)
+ *        npm run audio-gc -- --dry-run    (report only)
+ *
+ * Cross-references every audio filename in messages.json with the audio folder of the active
+ * storage backend (see src/shared/services/messageStorage.js), reports files no message points at,
+ * and deletes them all in one commit. Overwritten messages and "-2"/"-3" retries leave these behind.
+ *
+ * GitHub backend: needs EXPO_PUBLIC_GITHUB_TOKEN in the environment
+ * (e.g. `node --env-file=.env scripts/audio-gc.mjs`).
+ * Local backend: EXPO_PUBLIC_STORAGE_BACKEND=local with api/storage.js running.
+ *
+ * Note: restoring an old version from the admin history panel can't bring back audio deleted here.
+ */
+
+import { register } from 'node:module';
+import { createInterface } from 'node:readline/promises';
+
+register('./headless-loader.mjs', import.meta.url);
+const { getMessageStorage } = await import('../src/shared/services/messageStorage.js');
+const { migrateMessagesData } = await import('../src/shared/utils/messageSchema.js');
+
+const args = process.argv.slice(2);
+const autoConfirm = args.includes('--yes');
+const dryRun = args.includes('--dry-run');
+
+/**
+ * Every audio filename messages.json points at (in every channel, rotation included)
+ */
+function getReferencedAudio(messagesData) {
+  const referenced = new Set();
+  const timelines = [messagesData, ...Object.values(messagesData.channels || {})];
+  for (const timeline of timelines) {
+    const rotation = [...(timeline?.recurring || []), ...(timeline?.evergreen || [])].map(entry => entry?.message);
+    for (const message of [...Object.values(timeline?.messages || {}), ...rotation]) {
+      if (!message?.audio) continue;
+      for (const filename of Object.values(message.audio)) {
+        if (typeof filename === 'string') referenced.add(filename);
+      }
+    }
+  }
+  return referenced;
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+}
+
+const storage = getMessageStorage();
+console.log(`Storage backend: ${storage.name}`);
+
+let messagesData;
+let files;
+let referenced;
+try {
+  messagesData = await storage.fetchMessages();
+  files = await storage.listAudioFiles();
+  referenced = getReferencedAudio(migrateMessagesData(messagesData)); // Same shape every reader sees
+} catch (error) {
+  // Missing token, rate limit, api/storage.js not running...
+  console.error(`Could not read ${storage.name} storage: ${error.message}`);
+  process.exit(1);
+}
+
+const orphans = files.filter(file => !referenced.has(file.filename));
+const missing = [...referenced].filter(filename => !files.some(file => file.filename === filename));
+
+console.log(`Audio files: ${files.length} (${referenced.size} referenced by messages.json)`);
+
+if (missing.length > 0) {
+  console.log(`\n⚠ Referenced but missing (${missing.length}):`);
+  missing.forEach(filename => console.log(`  ${filename}`));
+}
+
+if (orphans.length === 0) {
+  console.log('\nNo orphaned audio files.');
+  process.exit(0);
+}
+
+const totalSize = orphans.reduce((sum, file) => sum + file.size, 0);
+console.log(`\nOrphaned (${orphans.length}, ${formatSize(totalSize)}):`);
+orphans.forEach(file => console.log(`  ${file.filename.padEnd(56)} ${formatSize(file.size).padStart(10)}`));
+
+if (dryRun) {
+  process.exit(0);
+}
+
+if (!autoConfirm) {
+  if (!process.stdin.isTTY) {
+    console.log('\nNot a terminal - rerun with --yes to delete.');
+    process.exit(0);
+  }
+  const prompt = createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await prompt.question(`\nDelete ${orphans.length} file(s) in one commit? [y/N] `);
+  prompt.close();
+  if (!/^y(es)?$/i.test(answer.trim())) {
+    console.log('Nothing deleted.');
+    process.exit(0);
+  }
+}
+
+if (!storage.canWrite()) {
+  console.error('Storage is read-only here (GitHub needs EXPO_PUBLIC_GITHUB_TOKEN).');
+  process.exit(1);
+}
+
+try {
+  // messages.json goes back unchanged - it's the guard that nobody saved since we looked
+  const { commitSha } = await storage.commitChanges({
+    messagesData,
+    removeAudio: orphans.map(file => file.filename),
+    commitMessage: `Remove ${orphans.length} orphaned audio file(s)`,
+  });
+  console.log(`\n✓ Deleted ${orphans.length} file(s), freed ${formatSize(totalSize)}${commitSha ? ` (commit ${commitSha.slice(0, 7)})` : ''}`);
+} catch (error) {
+  if (error.status === 409 || error.status === 422) {
+    console.error('\nmessages.json changed while this was running - nothing deleted. Run again.');
+  } else {
+    console.error('\nDelete failed - nothing deleted:', error.message);
+  }
+  process.exit(1);
+}
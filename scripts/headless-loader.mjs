@@ -0,0 +1,28 @@
+/**
+ * Node module hooks for running app source headless (see simulate.mjs)
+ * App code is ESM with Metro-style extensionless imports ('../../config'),
+ * so resolve those to .js files and load everything under src/ as ESM.
+ */
+
+import { existsSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+const SRC_URL = new URL('../src/', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  const isRelative = specifier.startsWith('./') || specifier.startsWith('../');
+  if (isRelative && context.parentURL?.startsWith(SRC_URL) && !/\.[cm]?jsx?$/.test(specifier)) {
+    const url = new URL(`${specifier}.js`, context.parentURL);
+    if (existsSync(fileURLToPath(url))) {
+      return nextResolve(url.href, context);
+    }
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(SRC_URL) && url.endsWith('.js')) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+  return nextLoad(url, context);
+}
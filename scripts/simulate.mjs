@@ -0,0 +1,57 @@
+/**
+ * Headless GameCore simulation
+ *
+ * Usage: npm run simulate -- scripts/scenarios/basic.json [more.json ...]
+ *
+ * Runs each scenario's scripted gelato inputs through GameCore.step() at the fixed 16.667ms
+ * timestep (no audio, haptics or rendering) and prints bounce count, word reveals and loss frame.
+ * Scenarios can pin results in an "expect" block ({ bounces, lossStep, words }) - any mismatch
+ * exits with code 1, so physics tuning in config.physics can be checked in CI.
+ * Exported replays (debug menu → Copy Last Run JSON) are valid scenarios too.
+ */
+
+import { readFileSync } from 'node:fs';
+import { register } from 'node:module';
+
+register('./headless-loader.mjs', import.meta.url);
+const { runSimulation } = await import('../src/screens/gameplay/simulation.js');
+
+const files = process.argv.slice(2);
+if (files.length === 0) {
+  console.error('Usage: npm run simulate -- <scenario.json> [more.json ...]');
+  process.exit(1);
+}
+
+let failed = false;
+
+for (const file of files) {
+  const scenario = JSON.parse(readFileSync(file, 'utf8'));
+  const result = runSimulation(scenario);
+
+  console.log(`\n▶ ${scenario.name || file}`);
+  console.log(`  bounces: ${result.bounces}`);
+  console.log(`  words:   ${result.words.map(w => `${w.word} (${w.step})`).join(' → ') || '-'}`);
+  console.log(`  loss:    ${result.lossStep !== null ? `step ${result.lossStep} (${(result.lossTime / 1000).toFixed(2)}s, ${result.endReason})` : `none in ${result.steps} steps`}`);
+
+  // Compare against pinned results
+  const expect = scenario.expect || {};
+  const actual = {
+    bounces: result.bounces,
+    lossStep: result.lossStep,
+    words: result.words.map(w => w.word),
+  };
+  const mismatches = Object.keys(expect).filter(key =>
+    JSON.stringify(expect[key]) !== JSON.stringify(actual[key])
+  );
+
+  if (mismatches.length > 0) {
+    failed = true;
+    mismatches.forEach(key => {
+      console.log(`  ✗ ${key}: expected ${JSON.stringify(expect[key])}, got ${JSON.stringify(actual[key])}`);
+    });
+  } else if (scenario.expect) {
+    console.log('  ✓ matches expect');
+  }
+}
+
+process.exit(failed ? 1 : 0);
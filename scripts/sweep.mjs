@@ -0,0 +1,88 @@
+/**
+ * Physics tuning sweep with the bot player
+ *
+ * Usage: npm run sweep -- scripts/sweeps/default.json [--runs 10] [--json]
+ *
+ * Plays every combination in the sweep file's "grid" with BotPlayer (see src/screens/gameplay/BotPlayer.js)
+ * and prints average survival bounces per combination, best first. Sweep file:
+ * {
+ *   name, runs, maxSteps,
+ *   bot: { reactionMs, aimError, catchHeight, gelatoLength, maxTilt },
+ *   scenario: { width, height, message, ... },   // Optional base scenario (see simulation.js)
+ *   grid: { gravityY: [...], springBoost: [...], 'difficulty.speed.end': [...], 'angleQuantization.numDirections': [...] },
+ * }
+ * --json prints the raw rows instead of the table (for spreadsheets / plotting).
+ */
+
+import { readFileSync } from 'node:fs';
+import { register } from 'node:module';
+
+register('./headless-loader.mjs', import.meta.url);
+
+// Game logging goes to stderr so stdout only carries the report (clean for --json)
+const print = (line = '') => process.stdout.write(`${line}\n`);
+console.log = console.error;
+const { runSweep } = await import('../src/screens/gameplay/simulation.js');
+
+// Parse arguments
+let file = null;
+let runsOverride = null;
+let asJson = false;
+const args = process.argv.slice(2);
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--runs') runsOverride = Number(args[++i]);
+  else if (args[i] === '--json') asJson = true;
+  else file = args[i];
+}
+if (!file) {
+  console.error('Usage: npm run sweep -- <sweep.json> [--runs N] [--json]');
+  process.exit(1);
+}
+
+const sweep = JSON.parse(readFileSync(file, 'utf8'));
+const runs = runsOverride ?? sweep.runs ?? 5;
+const showProgress = !asJson && process.stdout.isTTY;
+
+const keys = Object.keys(sweep.grid);
+const combos = keys.reduce((count, key) => count * sweep.grid[key].length, 1);
+if (!asJson) {
+  print(`\n▶ ${sweep.name || file}: ${combos} combinations × ${runs} runs`);
+  print(`  bot: ${JSON.stringify(sweep.bot || {})}\n`);
+}
+
+let done = 0;
+const rows = runSweep(sweep.grid, {
+  runs,
+  maxSteps: sweep.maxSteps,
+  bot: sweep.bot,
+  scenario: sweep.scenario,
+  onResult: () => {
+    done++;
+    if (showProgress) process.stdout.write(`\r  ${done}/${combos}`);
+  },
+});
+
+if (asJson) {
+  print(JSON.stringify(rows, null, 2));
+  process.exit(0);
+}
+
+// Table, best average survival first
+const headers = [...keys, 'avg bounces', 'min', 'max', 'avg time', 'survived'];
+const table = [...rows]
+  .sort((a, b) => b.avgBounces - a.avgBounces)
+  .map(row => [
+    ...keys.map(key => String(row.params[key])),
+    row.avgBounces.toFixed(1),
+    String(row.minBounces),
+    String(row.maxBounces),
+    `${(row.avgSurvivalMs / 1000).toFixed(1)}s`,
+    `${row.survived}/${row.runs}`,
+  ]);
+const widths = headers.map((header, i) => Math.max(header.length, ...table.map(cells => cells[i].length)));
+const format = cells => '  ' + cells.map((cell, i) => cell.padEnd(widths[i])).join('  ');
+
+if (showProgress) process.stdout.write('\r');
+print(format(headers));
+print(format(widths.map(width => '-'.repeat(width))));
+table.forEach(cells => print(format(cells)));
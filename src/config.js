@@ -195,19 +195,29 @@ export const config = {
     //   Bounce 30+: timeScale = 2.0  →  2x speed (everything runs at double speed)
   },
 
+  // === GAME MODES ===
+  // Picked on the idle screen before the first Gelato (see src/screens/gameplay/gameModes.js)
+  gameModes: {
+    default: 'endless',       // Mode on launch: 'endless' (miss = lose), 'zen' (no death, no speed-up), 'timed'
+    timed: {
+      durationMs: 60000,      // Length of a timed run (clock starts with the first Gelato)
+    },
+  },
+
   // === GELATO (SPRINGBOARDS) ===
   gelato: {
     maxLength: 300,           // Maximum line length in pixels (fallback, actual value is responsive)
     thickness: 4,             // Visual line thickness in pixels
     previewThickness: 6,      // Preview dots thickness (separate from actual gelato)
     springBoost: 1.25,        // Trampoline bounce multiplier (1.0 = normal physics, 1.25 = 125% bounce back)
-    maxActiveGelatos: 1,      // How many Gelatos can exist simultaneously (currently: 1)
+    maxActiveGelatos: 1,      // How many Gelatos can exist simultaneously (oldest is removed first when a new one exceeds the cap)
     color: '#FFFFFF',         // Line color (hex or rgba)
     
     // Visual rendering mode
     renderMode: 'curved',     // 'curved' = honor drawn shape (with blend), 'straight' = simple A→B line
     curveBlend: .5,          // How much to honor drawn shape (0.0 = straight line, 1.0 = exact drawing, 0.5 = 50/50)
-    collisionShape: 'path',   // 'line' = straight A→B physics, 'path' = curved physics matching blended visual
+    collisionShape: 'path',   // 'line' = straight A→B physics, 'path' = curved physics matching blended visual (needs renderMode 'curved')
+    pathSegmentLength: 15,    // 'path' collision: length of each short segment in the curved hitbox chain (pixels)
 
     // Visual deformation (trampoline effect on bounce)
     deformation: {
@@ -358,6 +368,17 @@ export const config = {
       blur: 25,               // Blur radius in pixels (soft glow)
       xOffset: 0,             // Distance from wall edge (pixels, 0 = at wall)
     },
+
+    // Edge-crossing effect (wrap mode only - replaces wall glow, particles and wall-bump sound)
+    // Glows on BOTH edges: where the ball leaves and where it comes back in
+    edgeCrossing: {
+      enabled: true,          // Toggle edge-crossing glow on/off
+      fadeOutMs: 600,         // Fade duration in milliseconds
+      opacity: 0.6,           // Peak opacity (softer than wall glow - nothing was hit)
+      scaleX: 0.4,            // Horizontal width (narrow vertical bar)
+      scaleY: 2.5,            // Vertical height (relative to mascot radius)
+      blur: 20,               // Blur radius in pixels (soft glow)
+    },
   },
 
   // === HAPTICS (Mobile vibration feedback) ===
@@ -507,8 +528,9 @@ export const config = {
   drawing: {
     approach: 'continuous',       // Drawing method: 'continuous' (smooth path) or 'segmented' (snap to grid)
 
-    // For segmented approach (not currently used)
+    // For segmented approach (finger path snaps to a grid, each segment = its own physics body)
     segmentTriggerDistance: 10,   // Distance in pixels finger must move before creating new segment
+    segmentGridSize: 20,          // Grid cell size in pixels that segment endpoints snap to
 
     // Preview visual (dotted line while drawing)
     previewColor: 'rgba(255, 255, 255, 0.5)',  // Preview line color with transparency
@@ -521,6 +543,13 @@ export const config = {
     showFps: false,               // Show FPS counter in corner (false = hidden by default)
   },
 
+  // === REPLAYS ===
+  // Each run (reset → reset) is recorded as a compact JSON replay that can be watched from the debug menu
+  replay: {
+    enabled: true,                // Record runs in the main game
+    maxStored: 5,                 // Most recent replays kept in localStorage (oldest dropped first)
+  },
+
   // === VOICE TRANSFORMATION ===
   voiceTransform: {
     enabled: true,                          // Default state for toggle in AudioRecorder
@@ -546,9 +575,20 @@ export const config = {
     ],
   },
 
+  // === MESSAGE STORAGE ===
+  // Where messages.json and message audio live (see src/shared/services/messageStorage.js)
+  // Override per machine with EXPO_PUBLIC_STORAGE_BACKEND=local
+  storage: {
+    backend: 'github',                      // 'github' (repo via GitHub API) or 'local' (directory served by api/storage.js)
+  },
+
   // === GITHUB STORAGE ===
   github: {
-    audioFolder: 'audio-messages/',         // Folder for audio files in GitHub repo
+    owner: 'preetoshii',                    // GitHub username
+    repo: 'spherical-truth-machine',
+    branch: 'master',
+    messagesPath: 'messages.json',          // messages.json path in the repo
+    audioFolder: 'audio-messages/',         // Folder for audio files in GitHub repo (and the local storage directory)
   },
 
   // === LOGGING ===
@@ -577,5 +617,6 @@ export const config = {
     ADMIN_UI: true,              // Navigation, state transitions
     VOICE_TRANSFORMATION: true,  // ElevenLabs API, voice switching
     INITIALIZATION: true,        // Component mounting, engine setup
+    REPLAY: true,                // Replay saved/loaded/exported
   },
 };
@@ -4,9 +4,13 @@ import { Feather } from '@expo/vector-icons';
 import { CalendarView } from './CalendarView';
 import { PreviewMode } from './PreviewMode';
 import { Confirmation } from './Confirmation';
-import { fetchMessages, saveMessage as saveMessageToGitHub, saveMessageWithAudio } from '../../shared/services/githubApi';
+import { ConflictDialog } from './ConflictDialog';
+import { fetchMessages, saveMessage as saveMessageToGitHub, saveMessageWithAudio, resolveMessageConflict, createChannel } from '../../shared/services/githubApi';
+import { releaseAudioUri } from '../../shared/services/audioRecordingService';
 import { playSound } from '../../shared/utils/audio';
 import { logger } from '../../shared/utils/logger';
+import { getLocalDateString, getLiveMessage } from '../../shared/utils/messageSchedule';
+import { DEFAULT_CHANNEL, getChannel, listChannels } from '../../shared/utils/messageChannels';
 import { getPrimaryColor } from '../../shared/services/primaryColorManager';
 
 /**
@@ -36,15 +40,20 @@ export function AdminPortal({ onClose, preloadedData, primaryColor: initialPrima
   const [currentView, setCurrentView] = useState('calendar'); // 'calendar' | 'preview' | 'confirmation'
   const [editingDate, setEditingDate] = useState(null); // Date being edited (when set, card is in edit mode)
   const [draftMessage, setDraftMessage] = useState(''); // Message being composed
-  const [scheduledMessages, setScheduledMessages] = useState({}); // All scheduled messages
   const [scrollToDate, setScrollToDate] = useState(null); // Date to scroll to when returning to calendar
   const [messagesData, setMessagesData] = useState(null); // Full messages.json data (includes _sha for updates)
+  const [channel, setChannel] = useState(DEFAULT_CHANNEL); // Message channel being edited (see messageChannels.js)
+
+  // The selected channel's timeline ({ current, messages })
+  const channelData = getChannel(messagesData, channel);
+  const scheduledMessages = channelData?.messages || {}; // All scheduled messages in this channel
   const [isLoading, setIsLoading] = useState(!preloadedData); // Loading state (false if data was preloaded)
 
   // Audio recording data
   const [draftAudioUri, setDraftAudioUri] = useState(null);
   const [draftWordTimings, setDraftWordTimings] = useState(null);
   const [draftWordAudioSegments, setDraftWordAudioSegments] = useState(null);
+  const [draftSegments, setDraftSegments] = useState(null); // Speech segments /api/align detected (for the timing editor)
 
   // Audio data for GitHub upload
   const [draftAudioData, setDraftAudioData] = useState(null);
@@ -52,6 +61,8 @@ export function AdminPortal({ onClose, preloadedData, primaryColor: initialPrima
 
   // Upload progress state: null | 'uploading' | 'success'
   const [uploadProgress, setUploadProgress] = useState(null);
+  const [lastCommitSha, setLastCommitSha] = useState(null); // Commit that landed the last audio save
+  const [conflict, setConflict] = useState(null); // { error, savedDate, sentNow } when a save overlaps a newer one
 
   // Text editor state (for hiding back button)
   const [isTextEditorOpen, setIsTextEditorOpen] = useState(false);
@@ -61,7 +72,6 @@ export function AdminPortal({ onClose, preloadedData, primaryColor: initialPrima
     if (preloadedData) {
       // Use preloaded data to avoid flicker
       setMessagesData(preloadedData);
-      setScheduledMessages(preloadedData.messages || {});
       logger.log('ADMIN_UI', 'Using preloaded messages:', preloadedData);
     } else {
       // Fallback: load from GitHub
@@ -75,12 +85,10 @@ export function AdminPortal({ onClose, preloadedData, primaryColor: initialPrima
       setIsLoading(true);
       const data = await fetchMessages();
       setMessagesData(data);
-      setScheduledMessages(data.messages || {});
       logger.log('ADMIN_UI', 'Loaded messages from GitHub:', data);
     } catch (error) {
       logger.error('ADMIN_UI', 'Failed to load messages:', error);
-      // Use empty messages as fallback
-      setScheduledMessages({});
+      // Calendar shows no messages (messagesData stays null)
     } finally {
       setIsLoading(false);
     }
@@ -93,10 +101,11 @@ export function AdminPortal({ onClose, preloadedData, primaryColor: initialPrima
   };
 
   // Navigate to preview mode from edit mode
-  const openPreview = (audioUri, wordTimings, wordAudioSegments, messageText) => {
+  const openPreview = (audioUri, wordTimings, wordAudioSegments, messageText, segments = null, audioFormat = null) => {
     setDraftAudioUri(audioUri);
     setDraftWordTimings(wordTimings);
     setDraftWordAudioSegments(wordAudioSegments);
+    setDraftSegments(segments);
 
     // Update draft message with transcribed text if provided
     if (messageText) {
@@ -107,6 +116,7 @@ export function AdminPortal({ onClose, preloadedData, primaryColor: initialPrima
     // (PreviewMode lets user switch between voices, so we don't pick one yet)
     setDraftAudioData({
       originalUri: audioUri,
+      originalFormat: audioFormat, // Container /api/align sniffed (m4a, webm, wav...) - names the stored file
       wordAudioSegments: wordAudioSegments, // Contains both voice options
       wordTimings: wordTimings,
       words: wordTimings.map(wt => wt.word) // Extract words from timings
@@ -115,6 +125,21 @@ export function AdminPortal({ onClose, preloadedData, primaryColor: initialPrima
     setCurrentView('preview');
   };
 
+  // Word edits from preview (spelling or boundaries) replace the draft's timings, so they're what gets saved
+  const updateDraftWordTimings = (wordTimings) => {
+    const words = wordTimings.map(wt => wt.word);
+    const spokenText = words.filter(word => word !== '*').join(' ');
+    const previousText = (draftWordTimings || []).filter(wt => wt.word !== '*').map(wt => wt.word).join(' ');
+
+    setDraftWordTimings(wordTimings);
+    setDraftAudioData(prev => prev && { ...prev, wordTimings, words });
+
+    // Respelled words change the message text too (timing-only edits keep the admin's text as typed)
+    if (spokenText !== previousText) {
+      setDraftMessage(spokenText);
+    }
+  };
+
   // Navigate back from preview to calendar (with edit state preserved)
   const backFromPreview = () => {
     setCurrentView('calendar');
@@ -148,6 +173,7 @@ export function AdminPortal({ onClose, preloadedData, primaryColor: initialPrima
       const savedMessage = draftMessage;
 
       let updatedData;
+      let commitSha = null; // Set by audio saves (single commit for audio + message)
 
       // Check if we have audio data to save
       if (draftAudioData && voiceSelection) {
@@ -156,43 +182,32 @@ export function AdminPortal({ onClose, preloadedData, primaryColor: initialPrima
         // Build audioData with only the selected voice
         const audioDataToSave = {
           originalUri: draftAudioData.originalUri,
+          originalFormat: draftAudioData.originalFormat,
           transformedUri: draftAudioData.wordAudioSegments[voiceSelection], // Pick selected voice
           wordTimings: draftAudioData.wordTimings,
           words: draftAudioData.words
         };
 
         // Save with audio
-        updatedData = await saveMessageWithAudio(savedDate, savedMessage, audioDataToSave, false);
+        const result = await saveMessageWithAudio(savedDate, savedMessage, audioDataToSave, false, channel);
+        updatedData = result.data;
+        commitSha = result.commitSha;
       } else {
         logger.log('ADMIN_UI', 'Saving text-only message');
         // Save text only (backward compatibility)
-        updatedData = await saveMessageToGitHub(savedDate, savedMessage, false);
+        updatedData = await saveMessageToGitHub(savedDate, savedMessage, false, channel);
       }
 
-      // Update local state
-      setMessagesData(updatedData);
-      setScheduledMessages(updatedData.messages || {});
-
-      logger.log('ADMIN_UI', 'Saved message for', savedDate);
-
-      // Show success message
-      setUploadProgress('success');
-
-      // Clear editing state AFTER successful save so we return to normal calendar view (not edit mode)
-      setScrollToDate(savedDate); // Remember which card to scroll to
-      setEditingDate(null);
-      setDraftMessage('');
-      setDraftAudioData(null);
-      setSelectedVoice(null);
-
-      // Wait 1 second to show success message, then return to calendar
-      setTimeout(() => {
-        setUploadProgress(null); // Reset progress state
-        backFromPreview(); // Fade back to calendar
-      }, 1000);
+      finishSave(savedDate, updatedData, commitSha, false);
 
     } catch (error) {
       setUploadProgress(null); // Reset progress on error
+      if (error.conflicts) {
+        // Same date saved elsewhere meanwhile - let the admin pick (other dates were merged already)
+        logger.warn('ADMIN_UI', 'Save conflicts with newer changes:', error.conflicts);
+        setConflict({ error, savedDate: editingDate, sentNow: false });
+        return;
+      }
       logger.error('ADMIN_UI', 'Failed to save message:', error);
       alert('Failed to save message. Please try again.');
       return; // Don't navigate away on error
@@ -230,6 +245,7 @@ export function AdminPortal({ onClose, preloadedData, primaryColor: initialPrima
       const savedMessage = draftMessage;
 
       let updatedData;
+      let commitSha = null; // Set by audio saves (single commit for audio + message)
 
       // Check if we have audio data to save
       if (draftAudioData && selectedVoice) {
@@ -238,56 +254,113 @@ export function AdminPortal({ onClose, preloadedData, primaryColor: initialPrima
         // Build audioData with only the selected voice
         const audioDataToSave = {
           originalUri: draftAudioData.originalUri,
+          originalFormat: draftAudioData.originalFormat,
           transformedUri: draftAudioData.wordAudioSegments[selectedVoice], // Use stored selected voice
           wordTimings: draftAudioData.wordTimings,
           words: draftAudioData.words
         };
 
         // Save with audio and makeCurrent = true
-        updatedData = await saveMessageWithAudio(savedDate, savedMessage, audioDataToSave, true);
+        const result = await saveMessageWithAudio(savedDate, savedMessage, audioDataToSave, true, channel);
+        updatedData = result.data;
+        commitSha = result.commitSha;
       } else {
         logger.log('ADMIN_UI', 'Sending text-only message now');
         // Save text only with makeCurrent = true
-        updatedData = await saveMessageToGitHub(savedDate, savedMessage, true);
+        updatedData = await saveMessageToGitHub(savedDate, savedMessage, true, channel);
       }
 
-      // Update local state
-      setMessagesData(updatedData);
-      setScheduledMessages(updatedData.messages || {});
+      finishSave(savedDate, updatedData, commitSha, true);
+
+    } catch (error) {
+      setUploadProgress(null); // Reset progress on error
+      if (error.conflicts) {
+        logger.warn('ADMIN_UI', 'Send conflicts with newer changes:', error.conflicts);
+        setConflict({ error, savedDate: editingDate, sentNow: true });
+        return;
+      }
+      logger.error('ADMIN_UI', 'Failed to send message:', error);
+      alert('Failed to send message. Please try again.');
+      return; // Don't navigate away on error
+    }
+  };
+
+  // After a successful save / send: update calendar data, show success, then leave the preview
+  const finishSave = (savedDate, updatedData, commitSha, sentNow) => {
+    // Update local state
+    setMessagesData(updatedData);
+
+    setLastCommitSha(commitSha);
 
-      logger.log('ADMIN_UI', 'Sent message now for', savedDate);
+    logger.log('ADMIN_UI', sentNow ? 'Sent message now for' : 'Saved message for', savedDate, commitSha ? `(commit ${commitSha})` : '');
 
-      // Show success message
-      setUploadProgress('success');
+    // Show success message
+    setUploadProgress('success');
 
-      // Clear editing state AFTER successful save
-      setScrollToDate(savedDate); // Remember which card to scroll to
-      setEditingDate(null);
-      setDraftMessage('');
-      setDraftAudioData(null);
-      setSelectedVoice(null);
+    // Clear editing state AFTER successful save so we return to normal calendar view (not edit mode)
+    setScrollToDate(savedDate); // Remember which card to scroll to
+    setEditingDate(null);
+    setDraftMessage('');
+    releaseAudioUri(draftAudioData?.originalUri); // Uploaded - the blob isn't needed anymore
+    setDraftAudioData(null);
+    setSelectedVoice(null);
 
+    if (sentNow) {
       // Wait 1.5 seconds to show success message, then close portal
       // This also gives GitHub time to commit before game reloads
       setTimeout(() => {
         setUploadProgress(null); // Reset progress state
         onClose(); // Close admin portal and return to game
       }, 1500);
+    } else {
+      // Wait 1 second to show success message, then return to calendar
+      setTimeout(() => {
+        setUploadProgress(null); // Reset progress state
+        backFromPreview(); // Fade back to calendar
+      }, 1000);
+    }
+  };
 
-    } catch (error) {
-      setUploadProgress(null); // Reset progress on error
-      logger.error('ADMIN_UI', 'Failed to send message:', error);
-      alert('Failed to send message. Please try again.');
-      return; // Don't navigate away on error
+  // Conflict dialog choice: whose version of the overlapping dates to keep
+  const resolveConflict = async (side) => {
+    const { error, savedDate, sentNow } = conflict;
+
+    try {
+      setUploadProgress('uploading');
+      const result = await resolveMessageConflict(error, side);
+      setConflict(null);
+      finishSave(savedDate, result.data, result.commitSha, sentNow);
+    } catch (retryError) {
+      setUploadProgress(null);
+      if (retryError.conflicts) {
+        setConflict({ error: retryError, savedDate, sentNow }); // Changed again meanwhile - ask again
+        return;
+      }
+      setConflict(null);
+      logger.error('ADMIN_UI', 'Failed to resolve save conflict:', retryError);
+      alert('Failed to save message. Please try again.');
     }
   };
 
-  // Helper to get local date string in YYYY-MM-DD format (not UTC)
-  const getLocalDateString = (date) => {
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
+  // Conflict dialog dismissed: keep the draft, show the latest saved data in the calendar
+  const dismissConflict = () => {
+    setMessagesData(conflict.error.theirs);
+    setConflict(null);
+  };
+
+  // Channel picker: add a new (empty) channel and switch to it
+  const addChannel = async (name) => {
+    try {
+      const updatedData = await createChannel(name);
+      setMessagesData(updatedData);
+      setChannel(name);
+      logger.log('ADMIN_UI', 'Added message channel:', name);
+      return true;
+    } catch (error) {
+      logger.error('ADMIN_UI', 'Failed to add channel:', error);
+      alert(error.message.startsWith('Invalid channel name') ? error.message : 'Failed to add channel. Please try again.');
+      return false;
+    }
   };
 
   // Check if editing today's message
@@ -382,8 +455,18 @@ export function AdminPortal({ onClose, preloadedData, primaryColor: initialPrima
       {currentView === 'calendar' && (
         <CalendarView
           scheduledMessages={scheduledMessages}
+          rotation={channelData}
+          liveDate={getLiveMessage(channelData)?.date ?? null}
+          channels={listChannels(messagesData)}
+          channel={channel}
+          onChangeChannel={setChannel}
+          onAddChannel={addChannel}
           onSelectDate={openEdit}
           onPreview={openPreview}
+          onMessagesUpdated={(updatedData) => {
+            // A past version was restored (history panel) or the rotation changed (rotation panel)
+            setMessagesData(updatedData);
+          }}
           initialEditingDate={editingDate}
           initialEditingText={draftMessage}
           primaryColor={primaryColor}
@@ -403,6 +486,8 @@ export function AdminPortal({ onClose, preloadedData, primaryColor: initialPrima
           audioUri={draftAudioUri}
           wordTimings={draftWordTimings}
           wordAudioSegments={draftWordAudioSegments}
+          segments={draftSegments}
+          onWordTimingsChange={updateDraftWordTimings}
           onTextEditorChange={setIsTextEditorOpen}
           primaryColor={primaryColor}
         />
@@ -413,6 +498,18 @@ export function AdminPortal({ onClose, preloadedData, primaryColor: initialPrima
           onCancel={() => setCurrentView('preview')}
           onConfirm={confirmSendNow}
           uploadProgress={uploadProgress}
+          commitSha={lastCommitSha}
+          primaryColor={primaryColor}
+        />
+      )}
+
+      {conflict && (
+        <ConflictDialog
+          conflicts={conflict.error.conflicts}
+          onKeepMine={() => resolveConflict('mine')}
+          onKeepTheirs={() => resolveConflict('theirs')}
+          onCancel={dismissConflict}
+          busy={uploadProgress !== null}
           primaryColor={primaryColor}
         />
       )}
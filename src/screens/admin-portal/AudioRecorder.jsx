@@ -1,10 +1,11 @@
 import React, { useEffect, useState } from 'react';
-import { View, Text, TouchableOpacity, StyleSheet, ActivityIndicator } from 'react-native';
+import { View, Text, TouchableOpacity, StyleSheet, ActivityIndicator, TextInput, Platform } from 'react-native';
 import Animated, { useSharedValue, useAnimatedStyle, withRepeat, withSequence, withTiming, withSpring, Easing } from 'react-native-reanimated';
 import { Feather } from '@expo/vector-icons';
-import { useAudioRecorder, useAudioRecorderState, RecordingPresets, useAudioPlayer } from 'expo-audio';
-import { startRecording, stopRecording, formatDuration } from '../../shared/services/audioRecordingService';
+import { useAudioRecorder, useAudioRecorderState, RecordingPresets, useAudioPlayer, useAudioPlayerStatus } from 'expo-audio';
+import { startRecording, stopRecording, formatDuration, pickAudioFile, releaseAudioUri } from '../../shared/services/audioRecordingService';
 import { getWordTimestamps } from '../../shared/services/wordTimestampsService';
+import { BreakScrubber } from './BreakScrubber';
 import { config } from '../../config';
 import { logger } from '../../shared/utils/logger';
 
@@ -17,11 +18,15 @@ import { logger } from '../../shared/utils/logger';
  * Sentence Break button (✂️) appears to the left while recording
  *
  * States:
- * - Idle: Shows red "🎤 Record" button
+ * - Idle: Shows red "🎤 Record" button + "Import file" link below (web only - see pickAudioFile)
  * - Recording: Main button (gray "⏹ Stop") + Sentence Break button (left)
  * - Review: Redo button (left) + Complete button (right)
+ *   (imported files also get a BreakScrubber, since their breaks can't be marked live)
+ *
+ * expectedText pre-fills the "words you said" field shown in review; when it's filled in,
+ * /api/align lines those words up with the audio instead of transcribing it.
  */
-export function AudioRecorder({ onRecordingComplete, primaryColor = '#FFFFFF' }) {
+export function AudioRecorder({ onRecordingComplete, expectedText = '', primaryColor = '#FFFFFF' }) {
   const recorder = useAudioRecorder(RecordingPresets.HIGH_QUALITY);
   const state = useAudioRecorderState(recorder);
 
@@ -30,12 +35,15 @@ export function AudioRecorder({ onRecordingComplete, primaryColor = '#FFFFFF' })
   const [recordedUri, setRecordedUri] = useState(null);
   const [isReviewMode, setIsReviewMode] = useState(false);
   const [isTranscribing, setIsTranscribing] = useState(false);
+  const [importedName, setImportedName] = useState(null); // Set when reviewing an imported file instead of a recording
+  const [knownText, setKnownText] = useState(expectedText);
   
   // Voice transformation toggle (initialized from config)
   const [transformVoice, setTransformVoice] = useState(config.voiceTransform.enabled);
 
   // Audio player for playback
   const player = useAudioPlayer(recordedUri || '');
+  const playerStatus = useAudioPlayerStatus(player);
 
   // Reanimated shared values for smooth 60fps animations
   const scale = useSharedValue(1);
@@ -94,18 +102,49 @@ export function AudioRecorder({ onRecordingComplete, primaryColor = '#FFFFFF' })
     }
   };
 
+  const handleImport = async () => {
+    try {
+      const picked = await pickAudioFile();
+      if (!picked) return;
+
+      // Review the file like a fresh recording (breaks get placed on the scrubber)
+      releaseAudioUri(recordedUri); // Previous file/recording is replaced
+      setRecordedUri(picked.uri);
+      setImportedName(picked.name);
+      setSentenceBreaks([]);
+      setIsReviewMode(true);
+    } catch (error) {
+      logger.error('AUDIO_RECORDING', 'Failed to import file:', error);
+      alert(`Could not import file: ${error.message}`);
+    }
+  };
+
   const handleRedo = () => {
     // Discard recording and reset to idle
     logger.log('AUDIO_RECORDING', 'Redo: discarding recording');
+    releaseAudioUri(recordedUri);
     setRecordedUri(null);
+    setImportedName(null);
     setIsReviewMode(false);
     setSentenceBreaks([]);
   };
 
+  // Scrubber breaks (imported files): kept sorted, since insertSentenceBreaks walks them in order
+  const handleAddBreak = (timestamp) => {
+    setSentenceBreaks(prev => (prev.includes(timestamp) ? prev : [...prev, timestamp].sort((a, b) => a - b)));
+    logger.log('AUDIO_RECORDING', `Sentence break placed at ${timestamp}ms`);
+  };
+
+  const handleRemoveBreak = (timestamp) => {
+    setSentenceBreaks(prev => prev.filter(breakMs => breakMs !== timestamp));
+    logger.log('AUDIO_RECORDING', `Sentence break removed at ${timestamp}ms`);
+  };
+
   const handleComplete = async () => {
     // Start transcription process
     logger.log('AUDIO_RECORDING', 'Complete: starting transcription...');
     logger.log('AUDIO_RECORDING', 'Transform voice:', transformVoice);
+    logger.log('AUDIO_RECORDING', 'Expected text:', knownText || '(none, transcribing)');
     setIsTranscribing(true);
 
     try {
@@ -115,11 +154,20 @@ export function AudioRecorder({ onRecordingComplete, primaryColor = '#FFFFFF' })
         recordedUri, 
         sentenceBreaks, 
         transformVoice,
-        config.voiceTransform.voiceId
+        config.voiceTransform.voiceId,
+        knownText
       );
 
       logger.log('AUDIO_RECORDING', 'Word timestamps retrieved successfully!');
       logger.log('AUDIO_RECORDING', 'Result:', result);
+      const unsureWords = result.wordConfidence.filter(w => w.confidence < 1);
+      if (unsureWords.length > 0) {
+        logger.warn('WORD_ALIGNMENT', 'Segments were merged/split to fit these words - check them in the preview:', unsureWords);
+      }
+      const guessedCount = result.wordTimings.filter(w => w.unsure).length;
+      if (guessedCount > 0) {
+        alert(`${guessedCount} word${guessedCount === 1 ? ' was' : 's were'} hard to tell apart in the recording.\n\nCheck the highlighted words with Edit Timing in the preview.`);
+      }
 
       // Notify parent with transcription result
       if (onRecordingComplete && recordedUri) {
@@ -135,7 +183,14 @@ export function AudioRecorder({ onRecordingComplete, primaryColor = '#FFFFFF' })
 
   const handlePlayAudio = () => {
     if (player && recordedUri) {
+      if (playerStatus.playing) {
+        player.pause();
+        return;
+      }
       logger.log('AUDIO_RECORDING', 'Playing audio:', recordedUri);
+      if (playerStatus.didJustFinish || playerStatus.currentTime >= playerStatus.duration) {
+        player.seekTo(0); // Finished - start over
+      }
       player.play();
     }
   };
@@ -182,11 +237,29 @@ export function AudioRecorder({ onRecordingComplete, primaryColor = '#FFFFFF' })
         // Transcribing state: Show loading spinner
         <View style={styles.loadingContainer}>
           <ActivityIndicator size="large" color={primaryColor} />
-          <Text style={[styles.loadingText, { color: primaryColor }]}>Transcribing...</Text>
+          <Text style={[styles.loadingText, { color: primaryColor }]}>
+            {knownText.trim() ? 'Aligning...' : 'Transcribing...'}
+          </Text>
         </View>
       ) : isReviewMode ? (
         // Review mode: Redo + Play + Voice Toggle + Complete
         <View style={styles.reviewContainer}>
+          {/* Imported file: name + scrubber for placing sentence breaks */}
+          {importedName && (
+            <>
+              <Text style={styles.importedName} numberOfLines={1}>{importedName}</Text>
+              <BreakScrubber
+                durationMs={Math.round((playerStatus.duration || 0) * 1000)}
+                positionMs={Math.round((playerStatus.currentTime || 0) * 1000)}
+                breaks={sentenceBreaks}
+                onSeek={(ms) => player.seekTo(ms / 1000)}
+                onAddBreak={handleAddBreak}
+                onRemoveBreak={handleRemoveBreak}
+                primaryColor={primaryColor}
+              />
+            </>
+          )}
+
           <View style={styles.reviewButtonsRow}>
             <TouchableOpacity
               style={[styles.reviewButton, styles.redoButton]}
@@ -203,8 +276,8 @@ export function AudioRecorder({ onRecordingComplete, primaryColor = '#FFFFFF' })
               onPress={handlePlayAudio}
               activeOpacity={0.8}
             >
-              <Feather name="play" size={32} color="#fff" style={styles.icon} />
-              <Text style={[styles.buttonText, { color: '#fff' }]}>Play</Text>
+              <Feather name={playerStatus.playing ? 'pause' : 'play'} size={32} color="#fff" style={styles.icon} />
+              <Text style={[styles.buttonText, { color: '#fff' }]}>{playerStatus.playing ? 'Pause' : 'Play'}</Text>
             </TouchableOpacity>
 
             <TouchableOpacity
@@ -217,6 +290,16 @@ export function AudioRecorder({ onRecordingComplete, primaryColor = '#FFFFFF' })
             </TouchableOpacity>
           </View>
 
+          {/* Known words (optional) - aligned directly instead of transcribed */}
+          <TextInput
+            style={[styles.expectedTextInput, { color: primaryColor }]}
+            value={knownText}
+            onChangeText={setKnownText}
+            placeholder="Words you said (optional, skips transcription)"
+            placeholderTextColor="#555"
+            multiline
+          />
+
           {/* Voice Transform Toggle */}
           <TouchableOpacity
             style={styles.voiceToggleContainer}
@@ -281,6 +364,18 @@ export function AudioRecorder({ onRecordingComplete, primaryColor = '#FFFFFF' })
               )}
             </TouchableOpacity>
           </Animated.View>
+
+          {/* Import an existing file instead (idle, web only) - positioned absolutely below */}
+          {!state.isRecording && Platform.OS === 'web' && (
+            <TouchableOpacity
+              style={styles.importButton}
+              onPress={handleImport}
+              activeOpacity={0.7}
+            >
+              <Feather name="upload" size={14} color="#888" />
+              <Text style={styles.importButtonText}>Import file</Text>
+            </TouchableOpacity>
+          )}
         </View>
       )}
     </View>
@@ -331,6 +426,22 @@ const styles = StyleSheet.create({
     marginTop: 4,
   },
 
+  // Import file link - positioned absolutely below the main button
+  importButton: {
+    position: 'absolute',
+    bottom: -44,
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+  },
+  importButtonText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#888',
+  },
+
   // Morphing button container (main button)
   button: {
     borderRadius: 100,
@@ -384,6 +495,13 @@ const styles = StyleSheet.create({
     marginTop: 4,
   },
 
+  // Imported file name (above the scrubber)
+  importedName: {
+    fontSize: 13,
+    color: '#888',
+    maxWidth: 320,
+  },
+
   // Review mode container
   reviewContainer: {
     alignItems: 'center',
@@ -431,6 +549,20 @@ const styles = StyleSheet.create({
     fontWeight: '500',
   },
 
+  // Known words field
+  expectedTextInput: {
+    width: 280,
+    minHeight: 44,
+    backgroundColor: '#1a1a1a',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#3a3a3a',
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    fontSize: 14,
+    outlineStyle: 'none',
+  },
+
   // Voice transform toggle
   voiceToggleContainer: {
     backgroundColor: '#2a2a2a',
@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, Pressable } from 'react-native';
+import { formatDuration } from '../../shared/services/audioRecordingService';
+import { playSound } from '../../shared/utils/audio';
+
+/**
+ * BreakScrubber - Timeline for placing sentence breaks in an imported file
+ * Live recordings mark breaks with the Break button while speaking; an imported file is already
+ * spoken, so breaks go at the playhead instead. Tap/drag the track to seek, tap a * to remove it.
+ */
+export function BreakScrubber({ durationMs, positionMs, breaks, onSeek, onAddBreak, onRemoveBreak, primaryColor = '#FFFFFF' }) {
+  const [trackWidth, setTrackWidth] = useState(0);
+
+  const toX = (ms) => (durationMs > 0 ? (ms / durationMs) * trackWidth : 0);
+
+  // Seek to where the finger is on the track
+  const seekToTouch = (event) => {
+    if (trackWidth <= 0 || durationMs <= 0) return;
+    const x = Math.min(trackWidth, Math.max(0, event.nativeEvent.locationX));
+    onSeek(Math.round((x / trackWidth) * durationMs));
+  };
+
+  return (
+    <View style={styles.container}>
+      <View
+        style={styles.track}
+        onLayout={(event) => setTrackWidth(event.nativeEvent.layout.width)}
+        onStartShouldSetResponder={() => true}
+        onResponderGrant={seekToTouch}
+        onResponderMove={seekToTouch}
+      >
+        <View style={styles.rail} pointerEvents="none" />
+        <View style={[styles.progress, { width: toX(positionMs), backgroundColor: primaryColor }]} pointerEvents="none" />
+        <View style={[styles.playhead, { left: toX(positionMs) - 1, backgroundColor: primaryColor }]} pointerEvents="none" />
+
+        {/* Sentence breaks - tap to remove */}
+        {breaks.map((breakMs) => (
+          <Pressable
+            key={breakMs}
+            style={[styles.breakMarker, { left: toX(breakMs) - 10 }]}
+            onPress={() => {
+              playSound('click');
+              onRemoveBreak(breakMs);
+            }}
+            hitSlop={6}
+          >
+            <Text style={[styles.breakMarkerText, { color: primaryColor }]}>*</Text>
+          </Pressable>
+        ))}
+      </View>
+
+      <View style={styles.row}>
+        <Text style={styles.time}>{formatDuration(positionMs)} / {formatDuration(durationMs)}</Text>
+        <Pressable
+          style={[styles.addBreakButton, { borderColor: primaryColor }]}
+          onPress={() => {
+            playSound('click');
+            onAddBreak(positionMs);
+          }}
+          disabled={durationMs <= 0}
+        >
+          <Text style={[styles.addBreakText, { color: primaryColor }]}>* Break here</Text>
+        </Pressable>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    width: 320,
+    gap: 10,
+  },
+  track: {
+    height: 40,
+    justifyContent: 'center',
+  },
+  rail: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: '#3a3a3a',
+  },
+  progress: {
+    position: 'absolute',
+    left: 0,
+    height: 4,
+    borderRadius: 2,
+    // backgroundColor set inline with primaryColor
+  },
+  playhead: {
+    position: 'absolute',
+    width: 2,
+    height: 24,
+    // backgroundColor set inline with primaryColor
+  },
+  breakMarker: {
+    position: 'absolute',
+    top: -6,
+    width: 20,
+    alignItems: 'center',
+  },
+  breakMarkerText: {
+    // color set inline with primaryColor
+    fontSize: 20,
+    fontWeight: '600',
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  time: {
+    fontSize: 13,
+    color: '#888',
+    fontFamily: 'Courier', // Monospace for stable width
+  },
+  addBreakButton: {
+    paddingVertical: 6,
+    paddingHorizontal: 14,
+    borderRadius: 6,
+    borderWidth: 1,
+  },
+  addBreakText: {
+    fontSize: 13,
+    fontWeight: '600',
+  },
+});
@@ -5,7 +5,11 @@ import { Feather } from '@expo/vector-icons';
 import { playSound } from '../../shared/utils/audio';
 import { Pressable } from 'react-native';
 import { AudioRecorder } from './AudioRecorder';
+import { HistoryPanel } from './HistoryPanel';
+import { ChannelPicker } from './ChannelPicker';
+import { RotationPanel, formatRepeat } from './RotationPanel';
 import { logger } from '../../shared/utils/logger';
+import { getLocalDateString, getRotationMessage } from '../../shared/utils/messageSchedule';
 
 /**
  * Individual Card Item with Reanimated animations
@@ -30,7 +34,11 @@ function CardItem({
   getCountdownText,
   cardIndex,
   todayIndex,
+  liveDate,
   onRecordingComplete,
+  onShowHistory,
+  onShowRotation,
+  rotationFill = null,
   primaryColor = '#FFFFFF',
   isExiting = false,
   isCentered = false,
@@ -75,9 +83,9 @@ function CardItem({
     }
   }, [isExiting]);
 
-  // Pulsing animation for active card (only when not editing)
+  // Pulsing animation for active (live) card (only when not editing)
   useEffect(() => {
-    if (slot.isToday && !isEditing && !isOtherCardEditing) {
+    if (slot.isLive && !isEditing && !isOtherCardEditing) {
       // Continuous pulse animation: scale from 1 to 1.05 and back
       pulseScale.value = withRepeat(
         withTiming(1.05, {
@@ -91,7 +99,7 @@ function CardItem({
       // Stop pulsing and return to normal scale
       pulseScale.value = withTiming(1, { duration: 300 });
     }
-  }, [slot.isToday, isEditing, isOtherCardEditing]);
+  }, [slot.isLive, isEditing, isOtherCardEditing]);
 
   // Animate when editing state changes
   useEffect(() => {
@@ -130,6 +138,9 @@ function CardItem({
   // Determine if card has content
   const hasMessage = message && message.text;
 
+  // No scheduled message, but the rotation fills this day (past days only matter while still live)
+  const showRotation = !hasMessage && rotationFill && !isEditing && (!slot.isPast || slot.isLive);
+
   // Animated style for card border and background
   // Convert primaryColor to rgba - must be recalculated when primaryColor changes
   const cardAnimatedStyle = useAnimatedStyle(() => {
@@ -188,8 +199,9 @@ function CardItem({
               borderColor: hasMessage && !isEditing ? primaryColor : primaryColor, // Dynamic border using primary color
               cursor: isEditing ? 'default' : 'pointer', // Disable pointer cursor in edit mode (web)
             },
-            slot.isPast && styles.cardPast,
+            slot.isPast && !slot.isLive && styles.cardPast,
             slot.isToday && styles.cardToday,
+            showRotation && styles.cardRotation,
           ]}
           pointerEvents={isEditing ? 'box-none' : 'auto'} // Allow touches to pass through card in edit mode
         >
@@ -197,13 +209,13 @@ function CardItem({
           <View style={[styles.cardHeader, isEditing && { marginTop: 0, paddingTop: 20 }]}>
           <Text style={[
             styles.cardDate,
-            slot.isPast && styles.textMuted,
+            slot.isPast && !slot.isLive && styles.textMuted,
             hasMessage && !isEditing && { color: '#000000' }, // Black text for populated cards
             !hasMessage && { color: primaryColor }, // Dynamic color for empty cards
           ]}>
             {formatDate(slot.date, slot.isToday)}
           </Text>
-          {slot.isToday && (
+          {slot.isLive && (
             <View style={[
               styles.activeBadge,
               hasMessage && !isEditing && { backgroundColor: '#0a0a0a' } // Black badge for white cards
@@ -211,7 +223,20 @@ function CardItem({
               <Text style={styles.activeBadgeText}>ACTIVE</Text>
             </View>
           )}
-          {hasMessage && !slot.isToday && !slot.isPast && (
+          {/* Today without its own live message: say which one players still see */}
+          {slot.isToday && !slot.isLive && (
+            <Text style={[styles.liveNote, { color: hasMessage && !isEditing ? '#000000' : primaryColor }]}>
+              {liveDate ? `PLAYERS SEE ${formatDate(liveDate, false)}` : 'NO MESSAGE LIVE YET'}
+            </Text>
+          )}
+          {showRotation && (
+            <View style={[styles.rotationBadge, { borderColor: primaryColor }]}>
+              <Text style={[styles.rotationBadgeText, { color: primaryColor }]}>
+                {rotationFill.source === 'recurring' ? formatRepeat(rotationFill.repeat).toUpperCase() : 'EVERGREEN'}
+              </Text>
+            </View>
+          )}
+          {hasMessage && !slot.isLive && !slot.isToday && !slot.isPast && (
             <View style={[
               styles.scheduledBadge,
               hasMessage && !isEditing && { borderColor: '#000000' } // Black border for colored cards
@@ -230,7 +255,7 @@ function CardItem({
               </Text>
             </View>
           )}
-          {slot.isPast && (
+          {slot.isPast && !slot.isLive && (
             <View style={[
               styles.archivedBadge,
               hasMessage && !isEditing && { borderColor: '#000000' } // Black border for colored cards
@@ -249,7 +274,7 @@ function CardItem({
         <View style={styles.cardContent} pointerEvents={isEditing ? 'auto' : 'none'}>
           {isEditing ? (
             // Edit mode: Show Audio Recorder
-            <AudioRecorder onRecordingComplete={onRecordingComplete} primaryColor={primaryColor} />
+            <AudioRecorder onRecordingComplete={onRecordingComplete} expectedText={editingText} primaryColor={primaryColor} />
           ) : (
             // Display mode: Show existing message or "+" button for empty cards (not past)
             hasMessage ? (
@@ -259,6 +284,11 @@ function CardItem({
               ]}>
                 {message.text}
               </Text>
+            ) : showRotation ? (
+              // Filled by rotation - shown muted so it reads as "not scheduled here"
+              <Text style={[styles.messageInput, styles.rotationText, { color: primaryColor }]}>
+                {rotationFill.message.text}
+              </Text>
             ) : !slot.isPast ? (
               // Show "+" button only for empty, non-past cards
               <View style={styles.emptyCardCTA}>
@@ -272,6 +302,36 @@ function CardItem({
             ) : null // Past cards show nothing when empty
           )}
         </View>
+
+        {/* Revision history for this date (centered card only, so it doesn't clutter the stack) */}
+        {isCentered && !isEditing && (
+          <Pressable
+            style={styles.historyButton}
+            onPress={(e) => {
+              e.stopPropagation();
+              playSound('click');
+              onShowHistory(slot.date);
+            }}
+            hitSlop={12}
+          >
+            <Feather name="clock" size={18} color={hasMessage ? '#000000' : primaryColor} style={{ opacity: 0.6 }} />
+          </Pressable>
+        )}
+
+        {/* Recurring / evergreen rotation (centered card only) */}
+        {isCentered && !isEditing && (
+          <Pressable
+            style={styles.rotationButton}
+            onPress={(e) => {
+              e.stopPropagation();
+              playSound('click');
+              onShowRotation(slot.date);
+            }}
+            hitSlop={12}
+          >
+            <Feather name="repeat" size={18} color={hasMessage ? '#000000' : primaryColor} style={{ opacity: 0.6 }} />
+          </Pressable>
+        )}
         </Animated.View>
       </TouchableOpacity>
     </Animated.View>
@@ -281,7 +341,7 @@ function CardItem({
 /**
  * CalendarView - Vertical scrolling card-based calendar
  */
-export function CalendarView({ scheduledMessages, onSelectDate, onPreview, initialEditingDate, initialEditingText, scrollToDate, onScrollComplete, primaryColor = '#FFFFFF', isExiting = false, onExitComplete }) {
+export function CalendarView({ scheduledMessages, rotation = null, liveDate = null, channels = [], channel, onChangeChannel, onAddChannel, onSelectDate, onPreview, onMessagesUpdated, initialEditingDate, initialEditingText, scrollToDate, onScrollComplete, primaryColor = '#FFFFFF', isExiting = false, onExitComplete }) {
   const { width, height } = Dimensions.get('window');
   const scrollViewRef = useRef(null);
   const textInputRefs = useRef({}).current;
@@ -291,6 +351,10 @@ export function CalendarView({ scheduledMessages, onSelectDate, onPreview, initi
   const [sentenceBreaks, setSentenceBreaks] = useState([]);
   const [wordTimings, setWordTimings] = useState(null);
   const [wordAudioSegments, setWordAudioSegments] = useState(null);
+  const [speechSegments, setSpeechSegments] = useState(null); // meta.segments_preview from /api/align
+  const [audioFormat, setAudioFormat] = useState(null); // format.input from /api/align (container of the original recording)
+  const [historyDate, setHistoryDate] = useState(null); // Date whose history panel is open
+  const [rotationDate, setRotationDate] = useState(null); // Date whose rotation panel is open
   const previewButtonTranslateY = useRef(new RNAnimated.Value(200)).current; // Start off-screen
 
   // Sync with parent's editing state
@@ -318,14 +382,6 @@ export function CalendarView({ scheduledMessages, onSelectDate, onPreview, initi
     }
   }, [recordedAudioUri]);
 
-  // Helper to get local date string in YYYY-MM-DD format (not UTC)
-  const getLocalDateString = (date) => {
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
-  };
-
   // Generate date slots (past 7 days, today, next 30 days)
   const generateDateSlots = () => {
     const slots = [];
@@ -360,7 +416,8 @@ export function CalendarView({ scheduledMessages, onSelectDate, onPreview, initi
       });
     }
 
-    return slots;
+    // Mark the message players actually see (date-based schedule or `current` override)
+    return slots.map(slot => ({ ...slot, isLive: slot.date === liveDate }));
   };
 
   const slots = generateDateSlots();
@@ -501,6 +558,11 @@ export function CalendarView({ scheduledMessages, onSelectDate, onPreview, initi
     return scheduledMessages[dateStr] || null;
   };
 
+  // Recurring / evergreen message filling a date without a scheduled one
+  const getRotationForDate = (dateStr) => {
+    return scheduledMessages[dateStr] ? null : getRotationMessage(rotation, dateStr);
+  };
+
   // Handle card tap
   const handleCardPress = (dateStr, messageText, isEditable, cardIndex) => {
     if (!isEditable) return;
@@ -559,6 +621,8 @@ export function CalendarView({ scheduledMessages, onSelectDate, onPreview, initi
       if (transcriptionResult.wordAudioSegments) {
         setWordAudioSegments(transcriptionResult.wordAudioSegments);
       }
+      setSpeechSegments(transcriptionResult.meta?.segments_preview || null);
+      setAudioFormat(transcriptionResult.format?.input || null);
       
       // Store transformed audio URIs if available
       if (transcriptionResult.transformedAudioUris) {
@@ -572,12 +636,23 @@ export function CalendarView({ scheduledMessages, onSelectDate, onPreview, initi
   // Handle preview button press - call onPreview to navigate to preview mode
   const handlePreview = () => {
     playSound('preview');
-    // Pass audio data, word timings, pre-sliced audio segments, and text to preview
-    onPreview(recordedAudioUri, wordTimings, wordAudioSegments, editingText);
+    // Pass audio data, word timings, pre-sliced audio segments, text, detected speech segments and format to preview
+    onPreview(recordedAudioUri, wordTimings, wordAudioSegments, editingText, speechSegments, audioFormat);
   };
 
   return (
     <View style={styles.container}>
+      {/* Channel picker - hidden while a card is being edited (the draft belongs to this channel) */}
+      {!editingDate && onChangeChannel && (
+        <ChannelPicker
+          channels={channels}
+          channel={channel}
+          onChange={onChangeChannel}
+          onAdd={onAddChannel}
+          primaryColor={primaryColor}
+        />
+      )}
+
       {/* Vertical scrolling cards */}
       <TouchableOpacity
         style={styles.scrollView}
@@ -630,7 +705,11 @@ export function CalendarView({ scheduledMessages, onSelectDate, onPreview, initi
                 getCountdownText={getCountdownText}
                 cardIndex={index}
                 todayIndex={todayIndex}
+                liveDate={liveDate}
                 onRecordingComplete={handleRecordingComplete}
+                onShowHistory={setHistoryDate}
+                onShowRotation={setRotationDate}
+                rotationFill={getRotationForDate(slot.date)}
                 primaryColor={primaryColor}
                 isExiting={isExiting}
                 isCentered={index === centeredCardIndex && !editingDate}
@@ -670,6 +749,30 @@ export function CalendarView({ scheduledMessages, onSelectDate, onPreview, initi
           </Pressable>
         </RNAnimated.View>
       )}
+
+      {historyDate && (
+        <HistoryPanel
+          date={historyDate}
+          channel={channel}
+          title={`HISTORY · ${formatDate(historyDate, false)}`}
+          currentMessage={getMessageForDate(historyDate)}
+          onClose={() => setHistoryDate(null)}
+          onRestored={onMessagesUpdated}
+          primaryColor={primaryColor}
+        />
+      )}
+
+      {rotationDate && (
+        <RotationPanel
+          date={rotationDate}
+          message={getMessageForDate(rotationDate)}
+          timeline={rotation}
+          channel={channel}
+          onClose={() => setRotationDate(null)}
+          onUpdated={onMessagesUpdated}
+          primaryColor={primaryColor}
+        />
+      )}
     </View>
   );
 }
@@ -760,6 +863,14 @@ const styles = StyleSheet.create({
     opacity: 0.8,
     letterSpacing: 0.5,
   },
+  liveNote: {
+    fontSize: 10,
+    fontWeight: '600',
+    // color set inline with primaryColor
+    letterSpacing: 1,
+    opacity: 0.6,
+    textAlign: 'center',
+  },
   archivedBadge: {
     borderWidth: 1,
     // borderColor set inline with primaryColor
@@ -842,6 +953,41 @@ const styles = StyleSheet.create({
   previewButtonDisabled: {
     opacity: 0.3,
   },
+  historyButton: {
+    position: 'absolute',
+    bottom: 20,
+    right: 20,
+    padding: 6,
+  },
+  rotationButton: {
+    position: 'absolute',
+    bottom: 20,
+    left: 20,
+    padding: 6,
+  },
+  cardRotation: {
+    borderStyle: 'dashed',
+  },
+  rotationBadge: {
+    borderWidth: 1,
+    borderStyle: 'dashed',
+    // borderColor set inline with primaryColor
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 6,
+    alignSelf: 'center',
+    marginTop: 4,
+  },
+  rotationBadgeText: {
+    fontSize: 10,
+    fontWeight: '600',
+    letterSpacing: 1,
+    // color set inline with primaryColor
+  },
+  rotationText: {
+    opacity: 0.6,
+    fontStyle: 'italic',
+  },
   textMuted: {
     color: '#666',
   },
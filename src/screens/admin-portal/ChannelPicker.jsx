@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, Pressable, TextInput } from 'react-native';
+import { Feather } from '@expo/vector-icons';
+import { playSound } from '../../shared/utils/audio';
+import { isValidChannelName } from '../../shared/utils/messageChannels';
+
+/**
+ * ChannelPicker - Switch which message channel the calendar edits, or add a new one
+ * Each channel has its own schedule and Send Now override (see messageChannels.js);
+ * players pick theirs with a ?channel=<name> link (see messageChannelSetting.js)
+ */
+export function ChannelPicker({ channels, channel, onChange, onAdd, primaryColor = '#FFFFFF' }) {
+  const [isAdding, setIsAdding] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const normalizedName = newName.trim().toLowerCase();
+  const canSave = isValidChannelName(normalizedName) && !channels.includes(normalizedName) && !isSaving;
+
+  const submit = async () => {
+    if (!canSave) return;
+    setIsSaving(true);
+    const added = await onAdd(normalizedName);
+    setIsSaving(false);
+    if (added) {
+      setIsAdding(false);
+      setNewName('');
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      {channels.map((name) => {
+        const isSelected = name === channel;
+        return (
+          <Pressable
+            key={name}
+            style={[styles.chip, isSelected && { borderColor: primaryColor }]}
+            onPress={() => {
+              if (isSelected) return;
+              playSound('click');
+              onChange(name);
+            }}
+          >
+            <Text style={[styles.chipText, { color: isSelected ? primaryColor : '#666' }]}>{name}</Text>
+          </Pressable>
+        );
+      })}
+
+      {isAdding ? (
+        <View style={[styles.chip, styles.addChip, { borderColor: primaryColor }]}>
+          <TextInput
+            style={[styles.input, { color: primaryColor }]}
+            value={newName}
+            onChangeText={setNewName}
+            onSubmitEditing={submit}
+            placeholder="new-channel"
+            placeholderTextColor="#444"
+            autoCapitalize="none"
+            autoCorrect={false}
+            autoFocus
+            maxLength={32}
+          />
+          <Pressable
+            onPress={() => {
+              playSound('click');
+              submit();
+            }}
+            disabled={!canSave}
+            style={!canSave && styles.disabled}
+          >
+            <Feather name="check" size={16} color={primaryColor} />
+          </Pressable>
+          <Pressable
+            onPress={() => {
+              playSound('click');
+              setIsAdding(false);
+              setNewName('');
+            }}
+          >
+            <Feather name="x" size={16} color="#666" />
+          </Pressable>
+        </View>
+      ) : (
+        <Pressable
+          style={styles.chip}
+          onPress={() => {
+            playSound('click');
+            setIsAdding(true);
+          }}
+        >
+          <Feather name="plus" size={14} color="#666" />
+        </Pressable>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    position: 'absolute',
+    top: 40,
+    left: 110, // Clear of the back button
+    right: 30,
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    zIndex: 100,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#333',
+  },
+  chipText: {
+    fontSize: 12,
+    fontWeight: '600',
+    letterSpacing: 1,
+  },
+  addChip: {
+    gap: 8,
+  },
+  input: {
+    fontSize: 12,
+    minWidth: 110,
+    padding: 0,
+    outlineStyle: 'none',
+  },
+  disabled: {
+    opacity: 0.3,
+  },
+});
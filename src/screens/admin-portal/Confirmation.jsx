@@ -6,7 +6,7 @@ import { playSound } from '../../shared/utils/audio';
  * Confirmation - Send Now confirmation dialog
  * Only shown when updating the ACTIVE message
  */
-export function Confirmation({ onCancel, onConfirm, uploadProgress, primaryColor = '#FFFFFF' }) {
+export function Confirmation({ onCancel, onConfirm, uploadProgress, commitSha = null, primaryColor = '#FFFFFF' }) {
   return (
     <View style={styles.container}>
       {/* Semi-transparent overlay */}
@@ -57,6 +57,9 @@ export function Confirmation({ onCancel, onConfirm, uploadProgress, primaryColor
         <View style={styles.progressOverlay}>
           <View style={styles.progressCard}>
             <Text style={styles.progressText}>✓ Message sent!</Text>
+            {commitSha && (
+              <Text style={styles.commitText}>commit {commitSha.slice(0, 7)}</Text>
+            )}
           </View>
         </View>
       )}
@@ -152,4 +155,10 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     // color set inline with primaryColor
   },
+  commitText: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 8,
+    textAlign: 'center',
+  },
 });
@@ -0,0 +1,189 @@
+import React from 'react';
+import { View, Text, StyleSheet, Pressable, ScrollView } from 'react-native';
+import { playSound } from '../../shared/utils/audio';
+
+/**
+ * Describe one side of a conflict for display
+ */
+function describe(conflict, side) {
+  const value = conflict[side];
+  if (value === undefined || value === null) return '(removed)';
+  if (conflict.date) return value.text || value.words?.join(' ') || '(no text)';
+  if (conflict.field === 'current') return `live override → ${value}`;
+  return JSON.stringify(value);
+}
+
+/**
+ * ConflictDialog - Shown when a save overlaps someone else's newer save of the same date
+ * (another admin or another tab). Non-overlapping changes were already merged automatically,
+ * so the only choice left is whose version of the overlapping dates wins.
+ */
+export function ConflictDialog({ conflicts, onKeepMine, onKeepTheirs, onCancel, busy = false, primaryColor = '#FFFFFF' }) {
+  return (
+    <View style={styles.container}>
+      {/* Semi-transparent overlay */}
+      <View style={styles.overlay} />
+
+      <View style={styles.card}>
+        <Text style={[styles.title, { color: primaryColor }]}>Someone else changed this too</Text>
+        <Text style={styles.subtitle}>
+          These were saved by someone else while you were editing. Which version should stay?
+        </Text>
+
+        <ScrollView style={styles.list}>
+          {conflicts.map((conflict) => (
+            <View key={`${conflict.channel || ''}/${conflict.date || conflict.field}`} style={styles.item}>
+              <Text style={[styles.itemTitle, { color: primaryColor }]}>
+                {conflict.channel ? `${conflict.channel} · ` : ''}{conflict.date || conflict.field}
+              </Text>
+              <Text style={styles.label}>THEIRS</Text>
+              <Text style={styles.value}>{describe(conflict, 'theirs')}</Text>
+              <Text style={styles.label}>YOURS</Text>
+              <Text style={styles.value}>{describe(conflict, 'mine')}</Text>
+            </View>
+          ))}
+        </ScrollView>
+
+        <View style={styles.buttons}>
+          <Pressable
+            style={styles.cancelButton}
+            onPress={() => {
+              playSound('click');
+              onKeepTheirs();
+            }}
+            disabled={busy}
+          >
+            <Text style={[styles.cancelButtonText, { color: primaryColor }]}>Keep theirs</Text>
+          </Pressable>
+
+          <Pressable
+            style={[styles.confirmButton, { backgroundColor: primaryColor }]}
+            onPress={() => {
+              playSound('click');
+              onKeepMine();
+            }}
+            disabled={busy}
+          >
+            <Text style={styles.confirmButtonText}>Use mine</Text>
+          </Pressable>
+        </View>
+
+        <Pressable
+          style={styles.dismissButton}
+          onPress={() => {
+            playSound('click');
+            onCancel();
+          }}
+          disabled={busy}
+        >
+          <Text style={styles.dismissText}>Decide later</Text>
+        </Pressable>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    justifyContent: 'center',
+    alignItems: 'center',
+    zIndex: 10000,
+  },
+  overlay: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: 'rgba(0, 0, 0, 0.85)',
+  },
+  card: {
+    backgroundColor: '#000000',
+    borderRadius: 12,
+    padding: 32,
+    width: '80%',
+    maxWidth: 460,
+    maxHeight: '80%',
+    borderWidth: 1,
+    borderColor: '#333',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: '600',
+    marginBottom: 12,
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#999',
+    marginBottom: 24,
+    textAlign: 'center',
+    lineHeight: 20,
+  },
+  list: {
+    marginBottom: 24,
+  },
+  item: {
+    borderTopWidth: 1,
+    borderTopColor: '#222',
+    paddingVertical: 12,
+  },
+  itemTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+  label: {
+    fontSize: 10,
+    color: '#666',
+    letterSpacing: 1,
+    marginTop: 4,
+  },
+  value: {
+    fontSize: 14,
+    color: '#ccc',
+    lineHeight: 20,
+  },
+  buttons: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  cancelButton: {
+    flex: 1,
+    paddingVertical: 14,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#666',
+    alignItems: 'center',
+  },
+  cancelButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    // color set inline with primaryColor
+  },
+  confirmButton: {
+    flex: 1,
+    paddingVertical: 14,
+    borderRadius: 8,
+    // backgroundColor set inline with primaryColor
+    alignItems: 'center',
+  },
+  confirmButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#0a0a0a',
+  },
+  dismissButton: {
+    marginTop: 16,
+    alignItems: 'center',
+  },
+  dismissText: {
+    fontSize: 13,
+    color: '#666',
+  },
+});
@@ -0,0 +1,213 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, StyleSheet, Pressable, ScrollView } from 'react-native';
+import { Feather } from '@expo/vector-icons';
+import { playSound } from '../../shared/utils/audio';
+import { logger } from '../../shared/utils/logger';
+import { fetchMessageHistory, restoreMessageVersion } from '../../shared/services/githubApi';
+
+/**
+ * Format a commit timestamp in the admin's local time
+ */
+function formatWhen(isoDate) {
+  if (!isoDate) return '';
+  const date = new Date(isoDate);
+  return date.toLocaleString('en-US', { month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit' });
+}
+
+/**
+ * HistoryPanel - Past versions of one date's message, with restore
+ * Each row is a commit that changed this date. Restoring saves the old version as a new commit.
+ */
+export function HistoryPanel({ date, channel, title, currentMessage, onClose, onRestored, primaryColor = '#FFFFFF' }) {
+  const [versions, setVersions] = useState(null); // null while loading
+  const [error, setError] = useState(null);
+  const [restoringSha, setRestoringSha] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    fetchMessageHistory(date, undefined, channel)
+      .then((history) => {
+        if (!cancelled) setVersions(history);
+      })
+      .catch(() => {
+        if (!cancelled) setError('Could not load history.');
+      });
+
+    return () => { cancelled = true; };
+  }, [date, channel]);
+
+  const restore = async (version) => {
+    setRestoringSha(version.commitSha);
+    try {
+      const updatedData = await restoreMessageVersion(date, version, channel);
+      logger.log('ADMIN_UI', `Restored ${date} from ${version.commitSha.slice(0, 7)}`);
+      onRestored(updatedData);
+      onClose();
+    } catch (restoreError) {
+      setRestoringSha(null);
+      alert(restoreError.conflicts
+        ? 'This message was changed somewhere else meanwhile. Close history and try again.'
+        : 'Failed to restore this version. Please try again.');
+    }
+  };
+
+  // Same as what's saved now - nothing to restore
+  const isCurrent = (version) => JSON.stringify(version.message ?? null) === JSON.stringify(currentMessage ?? null);
+
+  return (
+    <View style={styles.container}>
+      {/* Semi-transparent overlay */}
+      <Pressable style={styles.overlay} onPress={onClose} />
+
+      <View style={styles.card}>
+        <View style={styles.header}>
+          <Text style={[styles.title, { color: primaryColor }]}>{title}</Text>
+          <Pressable
+            onPress={() => {
+              playSound('click');
+              onClose();
+            }}
+          >
+            <Feather name="x" size={22} color={primaryColor} />
+          </Pressable>
+        </View>
+
+        {versions === null && !error && <Text style={styles.status}>Loading history...</Text>}
+        {error && <Text style={styles.status}>{error}</Text>}
+        {versions && versions.length === 0 && <Text style={styles.status}>No earlier versions found.</Text>}
+
+        {versions && versions.length > 0 && (
+          <ScrollView style={styles.list}>
+            {versions.map((version) => (
+              <View key={version.commitSha} style={styles.item}>
+                <Text style={styles.meta}>
+                  {formatWhen(version.date)} · {version.author} · {version.commitSha.slice(0, 7)}
+                </Text>
+                <Text style={styles.text}>{version.message ? version.message.text : '(removed)'}</Text>
+                {version.message?.audio && (
+                  <Text style={styles.audio}>
+                    ♪ {[version.message.audio.original, version.message.audio.transformed].filter(Boolean).join(', ')}
+                  </Text>
+                )}
+                <Text style={styles.commitMessage}>{version.commitMessage}</Text>
+
+                {isCurrent(version) ? (
+                  <Text style={[styles.currentLabel, { color: primaryColor }]}>CURRENT</Text>
+                ) : (
+                  <Pressable
+                    style={[styles.restoreButton, { borderColor: primaryColor }]}
+                    onPress={() => {
+                      playSound('click');
+                      restore(version);
+                    }}
+                    disabled={restoringSha !== null}
+                  >
+                    <Text style={[styles.restoreText, { color: primaryColor }]}>
+                      {restoringSha === version.commitSha ? 'Restoring...' : 'Restore'}
+                    </Text>
+                  </Pressable>
+                )}
+              </View>
+            ))}
+          </ScrollView>
+        )}
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    justifyContent: 'center',
+    alignItems: 'center',
+    zIndex: 10000,
+  },
+  overlay: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: 'rgba(0, 0, 0, 0.85)',
+  },
+  card: {
+    backgroundColor: '#000000',
+    borderRadius: 12,
+    padding: 32,
+    width: '80%',
+    maxWidth: 520,
+    maxHeight: '80%',
+    borderWidth: 1,
+    borderColor: '#333',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  title: {
+    fontSize: 14,
+    fontWeight: '600',
+    letterSpacing: 1,
+  },
+  status: {
+    fontSize: 14,
+    color: '#999',
+    textAlign: 'center',
+    paddingVertical: 24,
+  },
+  list: {
+    flexGrow: 0,
+  },
+  item: {
+    borderTopWidth: 1,
+    borderTopColor: '#222',
+    paddingVertical: 14,
+  },
+  meta: {
+    fontSize: 11,
+    color: '#666',
+    marginBottom: 6,
+  },
+  text: {
+    fontSize: 16,
+    color: '#ddd',
+    lineHeight: 22,
+  },
+  audio: {
+    fontSize: 11,
+    color: '#888',
+    marginTop: 4,
+  },
+  commitMessage: {
+    fontSize: 11,
+    color: '#555',
+    marginTop: 4,
+    fontStyle: 'italic',
+  },
+  currentLabel: {
+    fontSize: 10,
+    fontWeight: '600',
+    letterSpacing: 1,
+    marginTop: 10,
+  },
+  restoreButton: {
+    alignSelf: 'flex-start',
+    marginTop: 10,
+    paddingVertical: 6,
+    paddingHorizontal: 14,
+    borderRadius: 6,
+    borderWidth: 1,
+  },
+  restoreText: {
+    fontSize: 13,
+    fontWeight: '600',
+  },
+});
@@ -6,14 +6,18 @@ import { useGameLoop } from '../gameplay/useGameLoop';
 import { config } from '../../config';
 import { playSound } from '../../shared/utils/audio';
 import { TextEditor } from './TextEditor';
+import { TimingEditor } from './TimingEditor';
 import { logger } from '../../shared/utils/logger';
+import { startDrawingPath, continueDrawingPath, finishSegmentedPath } from '../../shared/utils/drawing';
 
 /**
  * PreviewMode - Game preview with draft message and overlay controls
+ * Word edits (TextEditor spelling, TimingEditor boundaries) go back to the draft through onWordTimingsChange
  */
-export function PreviewMode({ message, isActive, onSave, audioUri, wordTimings, wordAudioSegments, onTextEditorChange, primaryColor: parentPrimaryColor = '#FFFFFF' }) {
-  // State for text editing
+export function PreviewMode({ message, isActive, onSave, audioUri, wordTimings, wordAudioSegments, segments, onWordTimingsChange, onTextEditorChange, primaryColor: parentPrimaryColor = '#FFFFFF' }) {
+  // State for text/timing editing
   const [showTextEditor, setShowTextEditor] = useState(false);
+  const [showTimingEditor, setShowTimingEditor] = useState(false);
   const [editedWordTimings, setEditedWordTimings] = useState(wordTimings);
   
   // Voice toggle state (uses enabled voices from config)
@@ -61,6 +65,7 @@ export function PreviewMode({ message, isActive, onSave, audioUri, wordTimings,
   const parallaxStars = gameCore.current ? gameCore.current.getParallaxStars() : [];
   const particles = gameCore.current ? gameCore.current.getParticles() : [];
   const wallGlows = gameCore.current ? gameCore.current.getWallGlows() : [];
+  const edgeCrossings = gameCore.current ? gameCore.current.getEdgeCrossings() : [];
   const deathFadeProgress = gameCore.current ? gameCore.current.getDeathFadeProgress() : 0;
 
   // Frame counter for triggering re-renders
@@ -76,35 +81,6 @@ export function PreviewMode({ message, isActive, onSave, audioUri, wordTimings,
   const touchStartRef = React.useRef(null);
   const touchStartTimeRef = React.useRef(0);
 
-  // Helper: Calculate total path length
-  const calculatePathLength = (points) => {
-    let length = 0;
-    for (let i = 1; i < points.length; i++) {
-      const dx = points[i].x - points[i - 1].x;
-      const dy = points[i].y - points[i - 1].y;
-      length += Math.sqrt(dx * dx + dy * dy);
-    }
-    return length;
-  };
-
-  // Helper: Trim path from start to maintain max length
-  const trimPathToMaxLength = (points, maxLength) => {
-    let totalLength = calculatePathLength(points);
-    let trimmedPoints = [...points];
-
-    while (totalLength > maxLength && trimmedPoints.length > 2) {
-      // Remove first point
-      const dx = trimmedPoints[1].x - trimmedPoints[0].x;
-      const dy = trimmedPoints[1].y - trimmedPoints[0].y;
-      const segmentLength = Math.sqrt(dx * dx + dy * dy);
-
-      trimmedPoints.shift();
-      totalLength -= segmentLength;
-    }
-
-    return trimmedPoints;
-  };
-
   // Touch handlers for drawing
   const handleTouchStart = (event) => {
     const touch = event.nativeEvent.touches?.[0] || event.nativeEvent;
@@ -115,22 +91,20 @@ export function PreviewMode({ message, isActive, onSave, audioUri, wordTimings,
     touchStartRef.current = { x: touchX, y: touchY };
     touchStartTimeRef.current = Date.now();
     
-    setCurrentPath([{ x: touchX, y: touchY }]);
+    setCurrentPath(startDrawingPath({ x: touchX, y: touchY }, config.drawing));
   };
 
   const handleTouchMove = (event) => {
     if (!currentPath) return;
     const touch = event.nativeEvent.touches?.[0] || event.nativeEvent;
 
-    // Add current point to path
-    const newPath = [...currentPath, { x: touch.pageX, y: touch.pageY }];
+    const touchPoint = { x: touch.pageX, y: touch.pageY };
 
-    // Trim path if it exceeds max length (sliding start)
     // Use responsive max length from gameCore
     const maxLength = gameCore.current ? gameCore.current.getGelatoMaxLength() : config.gelato.maxLength;
-    const trimmedPath = trimPathToMaxLength(newPath, maxLength);
 
-    setCurrentPath(trimmedPath);
+    // Add current point to path, trimmed if it exceeds max length (sliding start)
+    setCurrentPath(continueDrawingPath(currentPath, touchPoint, maxLength, config.drawing));
   };
 
   const handleTouchEnd = () => {
@@ -138,7 +112,8 @@ export function PreviewMode({ message, isActive, onSave, audioUri, wordTimings,
     
     const touchEndTime = Date.now();
     const touchDuration = touchEndTime - touchStartTimeRef.current;
-    const startPoint = currentPath[0];
+    // Raw touch start (segmented paths begin at a grid-snapped vertex instead)
+    const startPoint = touchStartRef.current || currentPath[0];
     const endPoint = currentPath[currentPath.length - 1];
     
     // Calculate distance moved
@@ -178,17 +153,24 @@ export function PreviewMode({ message, isActive, onSave, audioUri, wordTimings,
     }
     
     // Otherwise, draw gelato
-    if (currentPath.length >= 2 && gameCore.current) {
+    if (config.drawing.approach === 'segmented' && gameCore.current) {
+      // Commit the final segment under the finger (if far enough), then build one body per segment
+      const committed = finishSegmentedPath(currentPath, config.drawing);
+      if (committed.length >= 2) {
+        gameCore.current.createSegmentedGelato(committed);
+        setLines(gameCore.current.getGelatoLineData());
+      }
+    } else if (currentPath.length >= 2 && gameCore.current) {
       const gelatoLine = gameCore.current.createGelato(
-        startPoint.x,
-        startPoint.y,
+        currentPath[0].x,
+        currentPath[0].y,
         endPoint.x,
         endPoint.y,
         currentPath // Pass the full drawn path for morphing animation
       );
 
       if (gelatoLine) {
-        setLines([gelatoLine]);
+        setLines(gameCore.current.getGelatoLineData());
       }
     }
 
@@ -221,6 +203,7 @@ export function PreviewMode({ message, isActive, onSave, audioUri, wordTimings,
             primaryColor: primaryColor.current,
             particles,
             wallGlows,
+            edgeCrossings,
             deathFadeProgress,
           }}
           frame={frame}
@@ -245,6 +228,21 @@ export function PreviewMode({ message, isActive, onSave, audioUri, wordTimings,
             <Feather name="type" size={24} color={parentPrimaryColor} />
           </Pressable>
         )}
+
+        {/* Edit Timing button (left of Edit Text) - needs the recording to draw its waveform */}
+        {wordTimings && wordTimings.length > 0 && activeAudioUri && (
+          <Pressable
+            style={[styles.editTextButton, styles.editTimingButton]}
+            onPress={() => {
+              playSound('click');
+              setShowTimingEditor(true);
+              onTextEditorChange?.(true);
+            }}
+            pointerEvents="auto"
+          >
+            <Feather name="activity" size={24} color={parentPrimaryColor} />
+          </Pressable>
+        )}
         
 
         {/* Save/Send Now button (bottom-center) */}
@@ -269,6 +267,7 @@ export function PreviewMode({ message, isActive, onSave, audioUri, wordTimings,
           wordTimings={activeWordTimings}
           onSave={(updatedWordTimings) => {
             setEditedWordTimings(updatedWordTimings);
+            onWordTimingsChange?.(updatedWordTimings);
             setShowTextEditor(false);
             onTextEditorChange?.(false);
             playSound('click');
@@ -280,6 +279,26 @@ export function PreviewMode({ message, isActive, onSave, audioUri, wordTimings,
           primaryColor={parentPrimaryColor}
         />
       )}
+
+      {/* Timing Editor overlay */}
+      {showTimingEditor && (
+        <TimingEditor
+          audioUri={activeAudioUri}
+          wordTimings={activeWordTimings}
+          segments={segments}
+          onSave={(updatedWordTimings) => {
+            setEditedWordTimings(updatedWordTimings);
+            onWordTimingsChange?.(updatedWordTimings);
+            setShowTimingEditor(false);
+            onTextEditorChange?.(false);
+          }}
+          onCancel={() => {
+            setShowTimingEditor(false);
+            onTextEditorChange?.(false);
+          }}
+          primaryColor={parentPrimaryColor}
+        />
+      )}
     </View>
   );
 }
@@ -339,4 +358,7 @@ const styles = StyleSheet.create({
     borderWidth: 1,
     borderColor: 'rgba(255, 255, 255, 0.2)',
   },
+  editTimingButton: {
+    right: 110,
+  },
 });
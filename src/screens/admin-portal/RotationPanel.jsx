@@ -0,0 +1,250 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, Pressable, ScrollView } from 'react-native';
+import { Feather } from '@expo/vector-icons';
+import { playSound } from '../../shared/utils/audio';
+import { logger } from '../../shared/utils/logger';
+import { WEEKDAYS, describeRepeat } from '../../shared/utils/messageSchedule';
+import { addRotationMessage, removeRotationMessage } from '../../shared/services/githubApi';
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Label for a recurrence rule ("Every Monday", "Every year on Mar 14")
+ */
+export function formatRepeat(repeat) {
+  if (repeat?.yearly !== undefined) {
+    const [month, day] = repeat.yearly.split('-').map(Number);
+    return `Every year on ${MONTHS[month - 1]} ${day}`;
+  }
+  const label = describeRepeat(repeat);
+  return label.charAt(0).toUpperCase() + label.slice(1);
+}
+
+/**
+ * RotationPanel - Recurring rules and the evergreen pool for the selected channel
+ * They fill days without a scheduled message (see messageSchedule.js). A date's scheduled message
+ * can be repeated from here; the rotation reuses its audio files.
+ */
+export function RotationPanel({ date, message, timeline, channel, onClose, onUpdated, primaryColor = '#FFFFFF' }) {
+  const [busy, setBusy] = useState(false);
+
+  const recurring = timeline?.recurring || [];
+  const evergreen = timeline?.evergreen || [];
+
+  // Repeat options for the date's own message: its weekday, its day of the year, or the pool
+  const [, month, day] = date.split('-');
+  const weekday = new Date(`${date}T12:00:00`).getDay();
+  const repeatOptions = [
+    { label: `Every ${WEEKDAYS[weekday].charAt(0).toUpperCase()}${WEEKDAYS[weekday].slice(1)}`, repeat: { weekly: weekday } },
+    { label: formatRepeat({ yearly: `${month}-${day}` }), repeat: { yearly: `${month}-${day}` } },
+    { label: 'Evergreen pool', repeat: null },
+  ];
+
+  const run = async (action, failureText) => {
+    setBusy(true);
+    try {
+      const updatedData = await action();
+      onUpdated(updatedData);
+    } catch (error) {
+      alert(error.conflicts
+        ? 'The rotation was changed somewhere else meanwhile. Close this and try again.'
+        : failureText);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const addMessage = (repeat) => run(async () => {
+    const updatedData = await addRotationMessage(message, repeat, channel);
+    logger.log('ADMIN_UI', `Added ${date} to rotation:`, repeat ? describeRepeat(repeat) : 'evergreen');
+    return updatedData;
+  }, 'Failed to add to rotation. Please try again.');
+
+  const removeEntry = (entry) => run(async () => {
+    const updatedData = await removeRotationMessage(entry.id, channel);
+    logger.log('ADMIN_UI', 'Removed rotation message', entry.id);
+    return updatedData;
+  }, 'Failed to remove from rotation. Please try again.');
+
+  const renderEntry = (entry, label) => (
+    <View key={entry.id} style={styles.item}>
+      <View style={styles.itemText}>
+        <Text style={styles.meta}>{label}{entry.message.audio ? ' · ♪' : ''}</Text>
+        <Text style={styles.text}>{entry.message.text}</Text>
+      </View>
+      <Pressable
+        onPress={() => {
+          playSound('click');
+          removeEntry(entry);
+        }}
+        disabled={busy}
+        hitSlop={8}
+      >
+        <Feather name="trash-2" size={16} color="#666" />
+      </Pressable>
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      {/* Semi-transparent overlay */}
+      <Pressable style={styles.overlay} onPress={onClose} />
+
+      <View style={styles.card}>
+        <View style={styles.header}>
+          <Text style={[styles.title, { color: primaryColor }]}>ROTATION</Text>
+          <Pressable
+            onPress={() => {
+              playSound('click');
+              onClose();
+            }}
+          >
+            <Feather name="x" size={22} color={primaryColor} />
+          </Pressable>
+        </View>
+
+        <Text style={styles.subtitle}>Fills days without a scheduled message.</Text>
+
+        {message ? (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>REPEAT “{message.text}”</Text>
+            <View style={styles.options}>
+              {repeatOptions.map(option => (
+                <Pressable
+                  key={option.label}
+                  style={[styles.optionButton, { borderColor: primaryColor }]}
+                  onPress={() => {
+                    playSound('click');
+                    addMessage(option.repeat);
+                  }}
+                  disabled={busy}
+                >
+                  <Text style={[styles.optionText, { color: primaryColor }]}>{option.label}</Text>
+                </Pressable>
+              ))}
+            </View>
+          </View>
+        ) : (
+          <Text style={styles.status}>Schedule a message on this date to repeat it.</Text>
+        )}
+
+        <ScrollView style={styles.list}>
+          <Text style={styles.sectionTitle}>RECURRING</Text>
+          {recurring.length === 0 && <Text style={styles.empty}>None</Text>}
+          {recurring.map(entry => renderEntry(entry, formatRepeat(entry.repeat)))}
+
+          <Text style={[styles.sectionTitle, styles.sectionSpacing]}>EVERGREEN POOL</Text>
+          {evergreen.length === 0 && <Text style={styles.empty}>Empty</Text>}
+          {evergreen.map(entry => renderEntry(entry, 'Evergreen'))}
+        </ScrollView>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    justifyContent: 'center',
+    alignItems: 'center',
+    zIndex: 10000,
+  },
+  overlay: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: 'rgba(0, 0, 0, 0.85)',
+  },
+  card: {
+    backgroundColor: '#000000',
+    borderRadius: 12,
+    padding: 32,
+    width: '80%',
+    maxWidth: 520,
+    maxHeight: '80%',
+    borderWidth: 1,
+    borderColor: '#333',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  title: {
+    fontSize: 14,
+    fontWeight: '600',
+    letterSpacing: 1,
+  },
+  subtitle: {
+    fontSize: 13,
+    color: '#999',
+    marginBottom: 20,
+  },
+  status: {
+    fontSize: 13,
+    color: '#666',
+    marginBottom: 20,
+  },
+  section: {
+    marginBottom: 20,
+  },
+  sectionTitle: {
+    fontSize: 10,
+    color: '#666',
+    letterSpacing: 1,
+    marginBottom: 8,
+  },
+  sectionSpacing: {
+    marginTop: 20,
+  },
+  options: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  optionButton: {
+    paddingVertical: 6,
+    paddingHorizontal: 14,
+    borderRadius: 6,
+    borderWidth: 1,
+  },
+  optionText: {
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  list: {
+    flexGrow: 0,
+  },
+  empty: {
+    fontSize: 13,
+    color: '#444',
+  },
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderTopWidth: 1,
+    borderTopColor: '#222',
+    paddingVertical: 12,
+    gap: 12,
+  },
+  itemText: {
+    flex: 1,
+  },
+  meta: {
+    fontSize: 11,
+    color: '#666',
+    marginBottom: 4,
+  },
+  text: {
+    fontSize: 15,
+    color: '#ddd',
+    lineHeight: 20,
+  },
+});
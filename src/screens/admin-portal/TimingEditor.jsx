@@ -0,0 +1,392 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { View, Text, StyleSheet, Pressable, ScrollView, ActivityIndicator } from 'react-native';
+import { useAudioPlayer } from 'expo-audio';
+import { playSound } from '../../shared/utils/audio';
+import { logger } from '../../shared/utils/logger';
+import { loadWaveform } from '../../shared/services/waveformService';
+
+const PX_PER_MS = 0.25; // 250px per second of audio
+const MIN_WORD_MS = 20; // Handles can't squeeze a word shorter than this
+const LABEL_HEIGHT = 28;
+const WAVEFORM_HEIGHT = 140;
+const SEGMENT_HEIGHT = 6;
+const HANDLE_WIDTH = 16; // Touch area around each boundary line
+const UNSURE_COLOR = '#f6ad55'; // Words /api/align was unsure of
+
+/**
+ * TimingEditor - Overlay for fixing word boundaries on a waveform of the recording
+ * Start/end of each word are what GameCore.revealNextWord() seeks to; drag them into the gaps,
+ * tap a word to hear exactly what the game will play. The blue strip underneath is what
+ * /api/align detected as speech (meta.segments_preview). Words the API had to guess at
+ * (unsure: true, below its min_confidence) are highlighted until their boundaries are moved.
+ */
+export function TimingEditor({ audioUri, wordTimings, segments, onSave, onCancel, primaryColor = '#FFFFFF' }) {
+  // State for edited timings (initialize from wordTimings)
+  const [editedTimings, setEditedTimings] = useState(
+    wordTimings ? wordTimings.map(w => ({ ...w })) : []
+  );
+  const [waveform, setWaveform] = useState(null); // { peaks, bucketMs, durationMs }
+  const [loadError, setLoadError] = useState(null);
+  const [selectedIndex, setSelectedIndex] = useState(null);
+
+  const dragRef = useRef(null); // { index, edge, pageX, value } while a handle is held
+  const stopTimeoutRef = useRef(null);
+  const player = useAudioPlayer(audioUri || '');
+
+  // Decode the recording once
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const result = await loadWaveform(audioUri);
+        if (!cancelled) setWaveform(result);
+      } catch (error) {
+        logger.error('ADMIN_UI', 'Failed to load waveform:', error);
+        if (!cancelled) setLoadError(error.message);
+      }
+    };
+    load();
+    return () => {
+      cancelled = true;
+      clearTimeout(stopTimeoutRef.current);
+    };
+  }, [audioUri]);
+
+  const durationMs = Math.max(
+    waveform?.durationMs || 0,
+    ...editedTimings.map(t => t.end)
+  );
+  const trackWidth = durationMs * PX_PER_MS;
+
+  // Play one word the way the game does: seek to its start, pause at its end
+  const playWord = (index) => {
+    const timing = editedTimings[index];
+    setSelectedIndex(index);
+    try {
+      clearTimeout(stopTimeoutRef.current);
+      player.seekTo(timing.start / 1000);
+      player.play();
+      stopTimeoutRef.current = setTimeout(() => player.pause(), timing.end - timing.start);
+    } catch (error) {
+      logger.error('AUDIO_PLAYBACK', 'Word playback failed:', error);
+    }
+  };
+
+  // Closest real word before/after index (sentence break markers don't take up time)
+  const findNeighbour = (index, step) => {
+    for (let i = index + step; i >= 0 && i < editedTimings.length; i += step) {
+      if (editedTimings[i].word !== '*') return editedTimings[i];
+    }
+    return null;
+  };
+
+  // Range a boundary can move in without overlapping its neighbours
+  const getBounds = (index, edge) => {
+    const timing = editedTimings[index];
+    if (edge === 'start') {
+      const prev = findNeighbour(index, -1);
+      return [prev ? prev.end : 0, timing.end - MIN_WORD_MS];
+    }
+    const next = findNeighbour(index, 1);
+    return [timing.start + MIN_WORD_MS, next ? next.start : durationMs];
+  };
+
+  // Handle drag: move the held boundary by how far the finger went
+  const moveHandle = (pageX) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const [min, max] = getBounds(drag.index, drag.edge);
+    const value = Math.round(Math.min(max, Math.max(min, drag.value + (pageX - drag.pageX) / PX_PER_MS)));
+    // Moving a boundary means the admin has checked the word, so it's no longer flagged
+    setEditedTimings(prev => prev.map((t, i) => (i === drag.index ? { ...t, [drag.edge]: value, unsure: false } : t)));
+  };
+
+  // Handle save
+  const handleSave = () => {
+    playSound('click');
+    logger.log('ADMIN_UI', 'Word timings edited:', editedTimings);
+    onSave(editedTimings);
+  };
+
+  // Handle cancel
+  const handleCancel = () => {
+    playSound('back-button');
+    onCancel();
+  };
+
+  const renderHandle = (index, edge) => (
+    <View
+      key={`${index}-${edge}`}
+      style={[styles.handle, { left: editedTimings[index][edge] * PX_PER_MS - HANDLE_WIDTH / 2 }]}
+      onStartShouldSetResponder={() => true}
+      onResponderTerminationRequest={() => false} // Don't let the ScrollView steal a drag
+      onResponderGrant={(event) => {
+        dragRef.current = { index, edge, pageX: event.nativeEvent.pageX, value: editedTimings[index][edge] };
+        setSelectedIndex(index);
+      }}
+      onResponderMove={(event) => moveHandle(event.nativeEvent.pageX)}
+      onResponderRelease={() => { dragRef.current = null; }}
+    >
+      <View style={[styles.handleLine, { backgroundColor: primaryColor }]} />
+    </View>
+  );
+
+  const selected = selectedIndex !== null ? editedTimings[selectedIndex] : null;
+  const unsureCount = editedTimings.filter(t => t.unsure).length;
+  const barWidth = waveform ? waveform.bucketMs * PX_PER_MS : 0;
+
+  return (
+    <View style={styles.container}>
+      <View style={[styles.content, { borderColor: primaryColor }]}>
+        {/* Header */}
+        <View style={styles.header}>
+          <Text style={[styles.title, { color: primaryColor }]}>Edit Timing</Text>
+          <Text style={styles.subtitle}>Drag a word's edges to move its boundaries · tap a word to hear it</Text>
+          {unsureCount > 0 && (
+            <Text style={styles.unsureNote}>
+              {unsureCount} highlighted word{unsureCount === 1 ? ' was' : 's were'} hard to tell apart - check {unsureCount === 1 ? 'it' : 'them'}
+            </Text>
+          )}
+        </View>
+
+        {loadError ? (
+          <Text style={styles.status}>Couldn't load the recording: {loadError}</Text>
+        ) : !waveform ? (
+          <ActivityIndicator size="large" color={primaryColor} style={styles.loading} />
+        ) : (
+          <ScrollView horizontal style={styles.scrollView}>
+            <View style={[styles.track, { width: trackWidth }]}>
+              {/* Waveform */}
+              <View style={styles.waveform} pointerEvents="none">
+                {waveform.peaks.map((peak, i) => {
+                  const height = Math.max(1, peak * WAVEFORM_HEIGHT);
+                  return (
+                    <View
+                      key={i}
+                      style={[styles.bar, {
+                        left: i * barWidth,
+                        width: Math.max(1, barWidth - 1),
+                        top: (WAVEFORM_HEIGHT - height) / 2,
+                        height,
+                      }]}
+                    />
+                  );
+                })}
+              </View>
+
+              {/* Speech detected by /api/align */}
+              {(segments || []).map((segment, i) => (
+                <View
+                  key={`segment-${i}`}
+                  pointerEvents="none"
+                  style={[styles.segment, {
+                    left: segment.start_ms * PX_PER_MS,
+                    width: (segment.end_ms - segment.start_ms) * PX_PER_MS,
+                  }]}
+                />
+              ))}
+
+              {/* Words (sentence breaks are just markers) */}
+              {editedTimings.map((timing, index) => (
+                timing.word === '*' ? (
+                  <View key={index} pointerEvents="none" style={[styles.breakMarker, { left: timing.start * PX_PER_MS }]} />
+                ) : (
+                  <Pressable
+                    key={index}
+                    style={[
+                      styles.word,
+                      { left: timing.start * PX_PER_MS, width: (timing.end - timing.start) * PX_PER_MS },
+                      timing.unsure && styles.unsureWord,
+                      selectedIndex === index && { borderColor: primaryColor },
+                    ]}
+                    onPress={() => playWord(index)}
+                  >
+                    <Text style={[styles.wordText, { color: primaryColor }]} numberOfLines={1}>{timing.word}</Text>
+                  </Pressable>
+                )
+              ))}
+
+              {/* Boundary handles (on top of the words) */}
+              {editedTimings.map((timing, index) => (
+                timing.word === '*' ? null : [renderHandle(index, 'start'), renderHandle(index, 'end')]
+              ))}
+            </View>
+          </ScrollView>
+        )}
+
+        <Text style={styles.status}>
+          {selected ? `“${selected.word}” ${selected.start}–${selected.end} ms (${selected.end - selected.start} ms)${selected.unsure ? ' · hard to tell apart' : ''}` : ' '}
+        </Text>
+
+        {/* Action buttons */}
+        <View style={styles.actions}>
+          <Pressable style={[styles.cancelButton, { borderColor: primaryColor }]} onPress={handleCancel}>
+            <Text style={[styles.cancelButtonText, { color: primaryColor }]}>Cancel</Text>
+          </Pressable>
+          <Pressable
+            style={[styles.saveButton, { backgroundColor: primaryColor }, !waveform && styles.disabled]}
+            onPress={handleSave}
+            disabled={!waveform}
+          >
+            <Text style={styles.saveButtonText}>Save Changes</Text>
+          </Pressable>
+        </View>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: 'rgba(0, 0, 0, 0.95)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 40,
+  },
+  content: {
+    backgroundColor: '#000000',
+    borderRadius: 20,
+    borderWidth: 2,
+    // borderColor set inline with primaryColor
+    padding: 30,
+    width: '100%',
+    maxWidth: 1000,
+    maxHeight: '90%',
+  },
+  header: {
+    marginBottom: 20,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: '600',
+    // color set inline with primaryColor
+    marginBottom: 8,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#888888',
+  },
+  unsureNote: {
+    fontSize: 14,
+    color: UNSURE_COLOR,
+    marginTop: 6,
+  },
+  loading: {
+    height: LABEL_HEIGHT + WAVEFORM_HEIGHT + SEGMENT_HEIGHT,
+  },
+  scrollView: {
+    flexGrow: 0,
+    marginBottom: 12,
+  },
+  track: {
+    height: LABEL_HEIGHT + WAVEFORM_HEIGHT + SEGMENT_HEIGHT,
+  },
+  waveform: {
+    position: 'absolute',
+    top: LABEL_HEIGHT,
+    left: 0,
+    right: 0,
+    height: WAVEFORM_HEIGHT,
+  },
+  bar: {
+    position: 'absolute',
+    backgroundColor: '#555555',
+  },
+  segment: {
+    position: 'absolute',
+    bottom: 0,
+    height: SEGMENT_HEIGHT,
+    borderRadius: 3,
+    backgroundColor: '#4a9eff',
+  },
+  breakMarker: {
+    position: 'absolute',
+    top: LABEL_HEIGHT,
+    width: 0,
+    height: WAVEFORM_HEIGHT,
+    borderLeftWidth: 1,
+    borderStyle: 'dashed',
+    borderColor: '#888888',
+  },
+  word: {
+    position: 'absolute',
+    top: 0,
+    height: LABEL_HEIGHT + WAVEFORM_HEIGHT,
+    backgroundColor: 'rgba(255, 255, 255, 0.08)',
+    borderWidth: 1,
+    borderColor: 'transparent',
+    borderRadius: 4,
+    paddingHorizontal: 4,
+    paddingTop: 4,
+  },
+  unsureWord: {
+    backgroundColor: 'rgba(246, 173, 85, 0.2)',
+    borderColor: UNSURE_COLOR,
+  },
+  wordText: {
+    fontSize: 13,
+    // color set inline with primaryColor
+    fontWeight: '500',
+  },
+  handle: {
+    position: 'absolute',
+    top: 0,
+    width: HANDLE_WIDTH,
+    height: LABEL_HEIGHT + WAVEFORM_HEIGHT,
+    alignItems: 'center',
+    cursor: 'ew-resize',
+  },
+  handleLine: {
+    width: 2,
+    height: '100%',
+    // backgroundColor set inline with primaryColor
+  },
+  status: {
+    fontSize: 13,
+    color: '#888888',
+    marginBottom: 20,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    gap: 12,
+  },
+  cancelButton: {
+    flex: 1,
+    backgroundColor: '#000000',
+    paddingVertical: 16,
+    borderRadius: 999,
+    borderWidth: 2,
+    borderColor: '#ffffff',
+    alignItems: 'center',
+  },
+  cancelButtonText: {
+    fontSize: 16,
+    fontWeight: '500',
+    // color set inline with primaryColor
+  },
+  saveButton: {
+    flex: 1,
+    // backgroundColor set inline with primaryColor
+    paddingVertical: 16,
+    borderRadius: 999,
+    borderWidth: 2,
+    borderColor: '#000000',
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  saveButtonText: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#000000',
+  },
+  disabled: {
+    opacity: 0.3,
+  },
+});
@@ -0,0 +1,140 @@
+import { config } from '../../config';
+import { createSeededRandom } from '../../shared/utils/random';
+
+/**
+ * BotPlayer - Automated "auto-drawer" for headless tuning runs
+ * Watches the mascot every physics step and draws a Gelato under it with GameCore.createGelato(),
+ * like a player would - but with a measurable reaction latency and aim error, so survival numbers
+ * from different physics settings can be compared (see runSweep in simulation.js).
+ *
+ * Strategy per fall:
+ *   1. See the mascot as it was reactionMs ago (perception latency)
+ *   2. Once it's falling, predict where it crosses the catch line (ballistic arc, side walls reflect - or wrap in wrap mode)
+ *   3. Draw a Gelato there, off by a random aim error, tilted to steer the mascot back to center
+ */
+export class BotPlayer {
+  /**
+   * @param {Object} options
+   * @param {number} options.reactionMs - Perception latency in ms (default: 150)
+   * @param {number} options.aimError - Standard deviation of horizontal aim error in px (default: 20)
+   * @param {number} options.catchHeight - Catch line position as a fraction of screen height (default: 0.75)
+   * @param {number} options.gelatoLength - Length of drawn Gelatos in px (clamped to the game's max, default: 140)
+   * @param {number} options.maxTilt - Height difference between Gelato ends at the screen edge in px (default: 30)
+   * @param {number} options.seed - Seed for aim error (default: 0)
+   * @param {number} options.timestep - Physics step in ms, used to convert reactionMs to steps (default: 16.667)
+   */
+  constructor(options = {}) {
+    this.timestep = options.timestep ?? 16.667;
+    this.reactionMs = options.reactionMs ?? 150;
+    this.latencySteps = Math.max(0, Math.round(this.reactionMs / this.timestep));
+    this.aimError = options.aimError ?? 20;
+    this.catchHeight = options.catchHeight ?? 0.75;
+    this.gelatoLength = options.gelatoLength ?? 140;
+    this.maxTilt = options.maxTilt ?? 30;
+    this.random = createSeededRandom(options.seed ?? 0);
+
+    // Wait for the entrance animation to finish before the first draw
+    this.startDelaySteps = Math.ceil(
+      (config.physics.entrance.delayMs + config.physics.entrance.durationMs + this.reactionMs) / this.timestep
+    );
+
+    this.observations = []; // Mascot snapshots, newest last (latencySteps + 1 kept)
+    this.armed = true;      // Ready to draw for the current fall
+    this.drawCount = 0;
+  }
+
+  /**
+   * Look at the game and draw if needed - call once before every GameCore.step()
+   * @param {GameCore} gameCore
+   */
+  update(gameCore) {
+    const mascot = gameCore.mascot;
+    this.observations.push({
+      x: mascot.position.x,
+      y: mascot.position.y,
+      vx: mascot.velocity.x,
+      vy: mascot.velocity.y,
+    });
+    if (this.observations.length > this.latencySteps + 1) {
+      this.observations.shift();
+    }
+
+    if (gameCore.hasLost) return;
+
+    // First Gelato starts the game: drop one under the floating mascot
+    if (!gameCore.gameStarted) {
+      if (gameCore.stepCount >= this.startDelaySteps) {
+        const seen = this.observations[0];
+        this.draw(gameCore, seen.x, seen.y + gameCore.height * 0.15);
+      }
+      return;
+    }
+
+    // What the bot "sees" is latencySteps old
+    const seen = this.observations[0];
+    if (seen.vy < 0) {
+      this.armed = true; // Rising again after a bounce - get ready for the next fall
+      return;
+    }
+
+    const catchY = gameCore.height * this.catchHeight;
+    if (!this.armed || seen.y > catchY - gameCore.mascotRadius) return;
+
+    const landingX = this.predictLandingX(gameCore, seen, catchY);
+    this.draw(gameCore, landingX + this.gaussian() * this.aimError, catchY);
+    this.armed = false;
+  }
+
+  /**
+   * Predict where the mascot's arc crosses catchY (ignores air friction)
+   * Velocity is in px per step of the current time scale, so gravity is scaled the same way
+   */
+  predictLandingX(gameCore, seen, catchY) {
+    const { gravity } = gameCore.engine;
+    const stepMs = this.timestep * gameCore.timeScale;
+    const g = gravity.y * gravity.scale * stepMs * stepMs;
+    const dy = catchY - seen.y;
+
+    // Solve dy = vy·t + ½g·t² for the first positive t
+    const t = g > 0
+      ? (-seen.vy + Math.sqrt(seen.vy * seen.vy + 2 * g * dy)) / g
+      : dy / Math.max(seen.vy, 0.001);
+
+    const landingX = seen.x + seen.vx * t;
+
+    // Wrap mode: no walls - the ball comes back in on the other side (see GameCore.wrapMascot)
+    if (config.walls.behavior === 'wrap') {
+      const x = landingX % gameCore.width;
+      return x < 0 ? x + gameCore.width : x;
+    }
+
+    // Reflect off the side walls
+    const min = gameCore.mascotRadius;
+    const span = gameCore.width - 2 * gameCore.mascotRadius;
+    let x = (landingX - min) % (2 * span);
+    if (x < 0) x += 2 * span;
+    return min + (x > span ? 2 * span - x : x);
+  }
+
+  /**
+   * Draw a Gelato centered on (x, y), tilted toward the screen center
+   */
+  draw(gameCore, x, y) {
+    const half = Math.min(this.gelatoLength, gameCore.gelatoMaxLength) / 2;
+    const center = gameCore.width / 2;
+    const offset = Math.max(-1, Math.min(1, (x - center) / center));
+    const tilt = offset * this.maxTilt / 2; // Right end higher when right of center → bounce left
+
+    gameCore.createGelato(x - half, y + tilt, x + half, y - tilt);
+    this.drawCount++;
+  }
+
+  /**
+   * Standard normal sample (Box-Muller) from the seeded RNG
+   */
+  gaussian() {
+    const u = 1 - this.random(); // (0, 1] so log() stays finite
+    const v = this.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+}
@@ -1,9 +1,13 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { StyleSheet, View, Dimensions, Pressable, Text, Animated, ActivityIndicator, Platform, BackHandler } from 'react-native';
+import { StyleSheet, View, Dimensions, Pressable, Text, Animated, ActivityIndicator, Platform, BackHandler, Linking } from 'react-native';
 import { StatusBar } from 'expo-status-bar';
 import { Feather } from '@expo/vector-icons';
 import { GameRenderer } from './GameRenderer';
 import { GameCore } from './GameCore';
+import { ReplayRecorder } from './ReplayRecorder';
+import { appAdapters } from './gameAdapters';
+import { GAME_MODES } from './gameModes';
+import { ReplayPlayer } from '../replay-player/ReplayPlayer';
 import { config, getResponsiveConfig } from '../../config';
 import { AdminPortal } from '../admin-portal/AdminPortal';
 import { playSound } from '../../shared/utils/audio';
@@ -11,10 +15,15 @@ import { fetchMessages } from '../../shared/services/githubApi';
 import { startColorManager, getPrimaryColor } from '../../shared/services/primaryColorManager';
 import { Button } from '../../shared/components/Button';
 import { triggerDrawingHaptic, triggerHaptic } from '../../shared/utils/haptics';
+import { startDrawingPath, continueDrawingPath, finishSegmentedPath } from '../../shared/utils/drawing';
 import { DebugMenu } from '../../shared/components/DebugMenu';
 import { logger } from '../../shared/utils/logger';
 import { RadialProgressBar } from '../../shared/components/RadialProgressBar';
 import { getProgress, setProgress, addProgress } from '../../shared/services/progressStorage';
+import { getLatestReplay, saveReplay, parseReplay } from '../../shared/services/replayStorage';
+import { getChannelFromUrl, resolveMessageChannel } from '../../shared/services/messageChannelSetting';
+import { createManualClock } from '../../shared/utils/clock';
+import { generateSeed } from '../../shared/utils/random';
 
 /**
  * GameApp - Main game component
@@ -28,6 +37,9 @@ export function GameApp() {
   });
   // Game physics core
   const gameCore = useRef(null);
+
+  // Game clock - advances by FIXED_TIMESTEP per physics step (not wall time) so runs replay exactly
+  const gameClock = useRef(null);
   
   // Shared game state object - mutated directly in game loop
   // Only frame counter triggers minimal React re-render
@@ -44,6 +56,7 @@ export function GameApp() {
     primaryColor: '#FFFFFF',
     particles: [],
     wallGlows: [],
+    edgeCrossings: [],
     deathFadeProgress: 0,
     deathStartTime: null,
     coinCountCutsceneActive: false,
@@ -62,7 +75,10 @@ export function GameApp() {
     progressBarIdleStartTime: null, // When we entered idle state
     progressBarGameplayStartTime: null, // When we entered gameplay state
     gameStarted: false,
+    runBegun: false,
     hasLost: false,
+    modeStatus: null, // { mode, timeRemainingMs, wordCount, endReason } for the mode HUD
+    now: Date.now(), // Game clock time for rendering (GameCore.now() + unstepped accumulator)
   });
   
   // Frame counter for minimal React re-render trigger (just a number, not full reconciliation)
@@ -120,6 +136,46 @@ export function GameApp() {
     drawing: config.haptics.drawing,
   });
 
+  // Replay currently being watched (DEV ONLY - opened from debug menu)
+  const [activeReplay, setActiveReplay] = useState(null);
+
+  // Word fade mode (DEV ONLY - switchable at runtime from debug menu)
+  const [wordFadeMode, setWordFadeMode] = useState(config.visuals.wordFadeMode);
+
+  // Game mode (picked on the idle screen, see gameModes.js)
+  const [gameMode, setGameMode] = useState(config.gameModes.default);
+
+  // Apply word fade mode to game core when it changes
+  useEffect(() => {
+    if (gameCore.current) {
+      gameCore.current.setWordFadeMode(wordFadeMode);
+    }
+  }, [wordFadeMode]);
+
+  // Apply game mode to game core when it changes (only takes effect while idle)
+  useEffect(() => {
+    if (gameCore.current) {
+      gameCore.current.setGameMode(gameMode);
+    }
+  }, [gameMode]);
+
+  // Deep links with ?channel=<name> switch message channel (native launch links + links while running)
+  useEffect(() => {
+    const applyLink = (url) => {
+      if (!getChannelFromUrl(url) || !gameCore.current) return;
+      gameCore.current.setMessageChannel(resolveMessageChannel(url));
+    };
+
+    if (Platform.OS !== 'web') {
+      Linking.getInitialURL()
+        .then(applyLink)
+        .catch(error => logger.warn('INITIALIZATION', 'Failed to read launch link:', error));
+    }
+
+    const subscription = Linking.addEventListener('url', ({ url }) => applyLink(url));
+    return () => subscription.remove();
+  }, []);
+
   // Update global runtime config when haptics change (for audio.js to use)
   useEffect(() => {
     global.runtimeHapticsConfig = hapticsConfig;
@@ -171,7 +227,16 @@ export function GameApp() {
     gameState.current.mascotPos = { x: dimensions.width / 2, y: 100 };
     
     // Initialize physics with current dimensions and responsive config
-    gameCore.current = new GameCore(dimensions.width, dimensions.height, null, null, null, null, responsiveConfig);
+    // Seeded + stepped clock so every run can be recorded and replayed exactly
+    gameClock.current = createManualClock(Date.now());
+    gameCore.current = new GameCore(dimensions.width, dimensions.height, null, null, null, null, responsiveConfig, {
+      now: gameClock.current.now,
+      seed: generateSeed(),
+      mode: gameMode,
+      channel: resolveMessageChannel(Platform.OS === 'web' ? window.location.href : null), // ?channel= link or saved setting
+      recorder: config.replay.enabled ? new ReplayRecorder({ timestep: FIXED_TIMESTEP, onReplay: saveReplay }) : null,
+      adapters: appAdapters,
+    });
 
     let lastTime = performance.now();
     let lastFrameTime = performance.now(); // For FPS cap
@@ -202,6 +267,7 @@ export function GameApp() {
       // At 60 FPS: Run 1 physics step every frame
       // At 30 FPS: Run 2 physics steps per frame
       while (accumulator.current >= FIXED_TIMESTEP) {
+        gameClock.current.advance(FIXED_TIMESTEP);
         gameCore.current.step(FIXED_TIMESTEP);
         accumulator.current -= FIXED_TIMESTEP;
       }
@@ -209,6 +275,7 @@ export function GameApp() {
       // Update shared game state directly (mutation - bypasses React reconciliation)
       // Only frame counter triggers minimal React state update
       const state = gameState.current;
+      state.now = gameCore.current.now() + accumulator.current;
       state.mascotPos = gameCore.current.getMascotPosition();
       state.obstacles = gameCore.current.getObstacles();
       state.bounceImpact = gameCore.current.getBounceImpact();
@@ -222,6 +289,7 @@ export function GameApp() {
       state.primaryColor = gameCore.current.getPrimaryColor();
       state.particles = gameCore.current.getParticles();
       state.wallGlows = gameCore.current.getWallGlows();
+      state.edgeCrossings = gameCore.current.getEdgeCrossings();
       state.bounceRipples = gameCore.current.getBounceRipples();
       state.lastBounceScale = gameCore.current.getLastBounceScale();
       state.deathFadeProgress = gameCore.current.getDeathFadeProgress();
@@ -234,7 +302,7 @@ export function GameApp() {
       
       // Handle coin deposit animation during cutscene
       if (state.coinCountCutsceneActive && state.coinCountCutsceneStartTime !== null) {
-        const currentTime = Date.now();
+        const currentTime = state.now;
         const depositInterval = config.progressBar.coinDepositIntervalMs;
         const startDelay = config.progressBar.coinDepositStartDelayMs;
         const timeSinceCutsceneStart = currentTime - state.coinCountCutsceneStartTime;
@@ -307,17 +375,19 @@ export function GameApp() {
         }
       }
       state.gameStarted = gameCore.current.getGameStarted();
+      state.runBegun = gameCore.current.getRunBegun();
       state.hasLost = gameCore.current.getHasLost();
-      state.gelato = gameCore.current.getGelato(); // For debug visualization
+      state.modeStatus = gameCore.current.getModeStatus();
+      state.gelatos = gameCore.current.getGelatos(); // For debug visualization
       
       // Minimal React update - just a number, triggers Skia re-render without full reconciliation
       setFrame(prev => prev + 1);
 
-      // Sync lines with GameCore (updates when gelato destroyed after fade)
+      // Sync lines with GameCore (updates when a gelato is added, evicted or destroyed after fade)
       const currentGelatoData = gameCore.current.getGelatoLineData();
       if (currentGelatoData !== lastGelatoData.current) {
         lastGelatoData.current = currentGelatoData;
-        setLines(currentGelatoData ? [currentGelatoData] : []);
+        setLines(currentGelatoData);
       }
 
       // Only track FPS if debugMode is enabled
@@ -373,20 +443,29 @@ export function GameApp() {
     };
   }, []);
 
-  // Pause/resume animation when admin portal opens/closes
+  // Pause/resume animation when admin portal or a replay opens/closes
+  // (ReplayPlayer runs its own loop - two physics loops at once would halve the frame budget)
+  const isWatchingReplay = activeReplay !== null;
   useEffect(() => {
-    if (showAdmin) {
-      // Delay pausing game until entrance animation completes (400ms)
-      // This keeps the game visible and running while admin portal slides in
-      const pauseDelay = setTimeout(() => {
-        // Pause animation loop after entrance animation
+    if (showAdmin || isWatchingReplay) {
+      const pauseLoop = () => {
         if (animationFrameId.current) {
           cancelAnimationFrame(animationFrameId.current);
           animationFrameId.current = null;
         }
         // Reset accumulator to prevent time buildup while paused
         accumulator.current = 0;
-      }, 400); // Match AdminPortal entrance animation duration
+      };
+
+      // Replay covers the game right away
+      if (isWatchingReplay) {
+        pauseLoop();
+        return;
+      }
+
+      // Delay pausing game until entrance animation completes (400ms)
+      // This keeps the game visible and running while admin portal slides in
+      const pauseDelay = setTimeout(pauseLoop, 400); // Match AdminPortal entrance animation duration
 
       return () => clearTimeout(pauseDelay);
     } else {
@@ -413,12 +492,14 @@ export function GameApp() {
           accumulator.current += frameDelta;
 
           while (accumulator.current >= FIXED_TIMESTEP) {
+            gameClock.current.advance(FIXED_TIMESTEP);
             gameCore.current.step(FIXED_TIMESTEP);
             accumulator.current -= FIXED_TIMESTEP;
           }
 
           // Update shared game state directly
           const state = gameState.current;
+          state.now = gameCore.current.now() + accumulator.current;
           state.mascotPos = gameCore.current.getMascotPosition();
           state.obstacles = gameCore.current.getObstacles();
           state.bounceImpact = gameCore.current.getBounceImpact();
@@ -433,6 +514,7 @@ export function GameApp() {
           state.primaryColor = getPrimaryColor();
           state.particles = gameCore.current.getParticles();
           state.wallGlows = gameCore.current.getWallGlows();
+          state.edgeCrossings = gameCore.current.getEdgeCrossings();
           state.bounceRipples = gameCore.current.getBounceRipples();
           state.lastBounceScale = gameCore.current.getLastBounceScale();
           state.deathFadeProgress = gameCore.current.getDeathFadeProgress();
@@ -443,14 +525,16 @@ export function GameApp() {
           state.coinCount = gameCore.current.getCoinCount();
           state.progress = gameCore.current.getProgress();
           state.gameStarted = gameCore.current.getGameStarted();
+          state.runBegun = gameCore.current.getRunBegun();
           state.hasLost = gameCore.current.getHasLost();
+          state.modeStatus = gameCore.current.getModeStatus();
           
           setFrame(prev => prev + 1);
 
           const currentGelatoData = gameCore.current.getGelatoLineData();
           if (currentGelatoData !== lastGelatoData.current) {
             lastGelatoData.current = currentGelatoData;
-            setLines(currentGelatoData ? [currentGelatoData] : []);
+            setLines(currentGelatoData);
           }
 
           // Only track FPS if debugMode is enabled
@@ -471,7 +555,7 @@ export function GameApp() {
         animationFrameId.current = requestAnimationFrame(animate);
       }
     }
-  }, [showAdmin])
+  }, [showAdmin, isWatchingReplay])
 
   // Handle window resize - update boundaries without resetting game
   useEffect(() => {
@@ -515,35 +599,6 @@ export function GameApp() {
     }
   }, [showAdmin]);
 
-  // Helper: Calculate total path length
-  const calculatePathLength = (points) => {
-    let length = 0;
-    for (let i = 1; i < points.length; i++) {
-      const dx = points[i].x - points[i - 1].x;
-      const dy = points[i].y - points[i - 1].y;
-      length += Math.sqrt(dx * dx + dy * dy);
-    }
-    return length;
-  };
-
-  // Helper: Trim path from start to maintain max length
-  const trimPathToMaxLength = (points, maxLength) => {
-    let totalLength = calculatePathLength(points);
-    let trimmedPoints = [...points];
-
-    while (totalLength > maxLength && trimmedPoints.length > 2) {
-      // Remove first point
-      const dx = trimmedPoints[1].x - trimmedPoints[0].x;
-      const dy = trimmedPoints[1].y - trimmedPoints[0].y;
-      const segmentLength = Math.sqrt(dx * dx + dy * dy);
-
-      trimmedPoints.shift();
-      totalLength -= segmentLength;
-    }
-
-    return trimmedPoints;
-  };
-
   // Track last haptic position and time for drawing feedback
   const lastHapticPos = useRef(null);
   const lastHapticTime = useRef(0);
@@ -552,7 +607,7 @@ export function GameApp() {
   const handleTouchStart = (event) => {
     const touch = event.nativeEvent.touches?.[0] || event.nativeEvent;
     logger.log('TOUCH_INPUT', '🎨 Touch start:', touch.pageX, touch.pageY);
-    setCurrentPath([{ x: touch.pageX, y: touch.pageY }]);
+    setCurrentPath(startDrawingPath({ x: touch.pageX, y: touch.pageY }, config.drawing));
     lastHapticPos.current = { x: touch.pageX, y: touch.pageY };
     lastHapticTime.current = Date.now();
   };
@@ -561,15 +616,13 @@ export function GameApp() {
     if (!currentPath) return;
     const touch = event.nativeEvent.touches?.[0] || event.nativeEvent;
 
-    // Add current point to path
-    const newPath = [...currentPath, { x: touch.pageX, y: touch.pageY }];
+    const touchPoint = { x: touch.pageX, y: touch.pageY };
 
-    // Trim path if it exceeds max length (sliding start)
     // Use responsive max length from gameCore
     const maxLength = gameCore.current ? gameCore.current.getGelatoMaxLength() : config.gelato.maxLength;
-    const trimmedPath = trimPathToMaxLength(newPath, maxLength);
 
-    setCurrentPath(trimmedPath);
+    // Add current point to path, trimmed if it exceeds max length (sliding start)
+    setCurrentPath(continueDrawingPath(currentPath, touchPoint, maxLength, config.drawing));
 
     // Trigger haptic feedback based on distance AND time (prevents overlap when moving fast)
     if (config.haptics.drawing.enabled && lastHapticPos.current) {
@@ -591,6 +644,19 @@ export function GameApp() {
   };
 
   const handleTouchEnd = () => {
+    if (config.drawing.approach === 'segmented') {
+      if (currentPath && gameCore.current) {
+        // Commit the final segment under the finger (if far enough), then build one body per segment
+        const committed = finishSegmentedPath(currentPath, config.drawing);
+        if (committed.length >= 2) {
+          gameCore.current.createSegmentedGelato(committed);
+          setLines(gameCore.current.getGelatoLineData());
+        }
+      }
+      setCurrentPath(null);
+      return;
+    }
+
     if (currentPath && currentPath.length >= 2 && gameCore.current) {
       // Create straight-line Gelato from first to last point of path
       const startPoint = currentPath[0];
@@ -604,15 +670,57 @@ export function GameApp() {
         currentPath // Pass the full drawn path for morphing animation
       );
 
-      // Store the clamped line for visual rendering
+      // Store the clamped line for visual rendering (all active Gelatos, oldest evicted first)
       if (gelatoLine) {
-        setLines([gelatoLine]); // Replace old lines (only one Gelato at a time)
+        setLines(gameCore.current.getGelatoLineData());
       }
 
       setCurrentPath(null);
     }
   };
 
+  // Replay debug actions (DEV ONLY)
+  const watchLastReplay = () => {
+    const replay = getLatestReplay();
+    if (!replay) {
+      logger.warn('REPLAY', 'No recorded runs yet');
+      return;
+    }
+    setShowDebugMenu(false);
+    setActiveReplay(replay);
+  };
+
+  const exportLastReplay = () => {
+    const replay = getLatestReplay();
+    if (!replay) {
+      logger.warn('REPLAY', 'No recorded runs yet');
+      return;
+    }
+    const json = JSON.stringify(replay);
+    logger.log('REPLAY', json);
+
+    // Web: also copy to clipboard so testers can paste it into a bug report
+    if (Platform.OS === 'web' && navigator.clipboard) {
+      navigator.clipboard.writeText(json)
+        .then(() => logger.log('REPLAY', '📋 Replay copied to clipboard'))
+        .catch((error) => logger.error('REPLAY', 'Failed to copy replay:', error));
+    }
+  };
+
+  // Web only: paste a replay exported by someone else
+  const importReplay = () => {
+    const json = window.prompt('Paste replay JSON');
+    if (!json) return;
+    try {
+      const replay = parseReplay(json);
+      setShowDebugMenu(false);
+      setActiveReplay(replay);
+    } catch (error) {
+      logger.error('REPLAY', 'Invalid replay:', error);
+      window.alert(`Invalid replay: ${error.message}`);
+    }
+  };
+
   // Admin portal toggle functions
   const openAdmin = async () => {
     playSound('card-slide');
@@ -664,6 +772,51 @@ export function GameApp() {
           debugMode={debugMode}
         />
 
+        {/* Game mode picker - idle screen only (before the first Gelato - not while a zen respawn floats back in) */}
+        {!gameState.current.runBegun && !gameState.current.hasLost && (
+          <View style={styles.modePicker}>
+            {Object.values(GAME_MODES).map(mode => (
+              <Pressable
+                key={mode.id}
+                onPress={() => {
+                  playSound('click');
+                  setGameMode(mode.id);
+                }}
+                style={styles.modeButton}
+              >
+                <Text
+                  style={[
+                    styles.modeButtonText,
+                    { color: gameState.current.primaryColor, opacity: mode.id === gameMode ? 1 : 0.35 },
+                  ]}
+                >
+                  {mode.label}
+                </Text>
+              </Pressable>
+            ))}
+          </View>
+        )}
+
+        {/* Timed mode HUD - countdown while running, word score once time is up */}
+        {(() => {
+          const status = gameState.current.modeStatus;
+          if (!status || status.timeRemainingMs === null) return null;
+          if (!gameState.current.gameStarted && !gameState.current.hasLost) return null;
+
+          const seconds = Math.ceil(status.timeRemainingMs / 1000);
+          const label = status.endReason === 'time'
+            ? `${status.wordCount} words`
+            : `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+          return (
+            <View style={styles.modeHud} pointerEvents="none">
+              <Text style={[styles.modeHudText, { color: gameState.current.primaryColor }]}>
+                {label}
+              </Text>
+            </View>
+          );
+        })()}
+
         {/* Admin Button - Feather Icon */}
         <Pressable onPress={openAdmin} style={styles.adminButton}>
           <Feather name="feather" size={20} color={gameState.current.primaryColor} style={{ opacity: 0.6 }} />
@@ -695,6 +848,8 @@ export function GameApp() {
               setFpsCap={setFpsCap}
               showFps={showFps}
               setShowFps={setShowFps}
+              wordFadeMode={wordFadeMode}
+              setWordFadeMode={setWordFadeMode}
               primaryColor={gameState.current.primaryColor}
               onAddCoin={() => {
                 if (gameCore.current) {
@@ -708,11 +863,19 @@ export function GameApp() {
                 gameState.current.animatedProgress = 0;
                 animatedProgressValue.setValue(0);
               }}
+              onWatchLastReplay={config.replay.enabled ? watchLastReplay : null}
+              onExportLastReplay={config.replay.enabled ? exportLastReplay : null}
+              onImportReplay={Platform.OS === 'web' ? importReplay : null}
             />
           </>
         )}
       </View>
 
+      {/* Replay player - overlay on top of game (DEV ONLY) */}
+      {activeReplay && (
+        <ReplayPlayer replay={activeReplay} onClose={() => setActiveReplay(null)} />
+      )}
+
       {/* Admin portal - overlay on top of game */}
       {showAdmin && (
         <View style={[styles.fullScreen, { position: 'absolute', top: 0, left: 0, right: 0, bottom: 0 }]}>
@@ -733,7 +896,7 @@ export function GameApp() {
         if (!isCutscene) return null;
         
         const state = gameState.current;
-        const currentTime = Date.now();
+        const currentTime = state.now;
         const fadeDurationMs = config.progressBar.fadeDurationMs;
         
         // Determine position (cutscene only)
@@ -859,6 +1022,37 @@ const styles = StyleSheet.create({
     right: 0,
     bottom: 0,
   },
+  modePicker: {
+    position: 'absolute',
+    bottom: 60,
+    left: 0,
+    right: 0,
+    flexDirection: 'row',
+    justifyContent: 'center',
+    gap: 12,
+    zIndex: 1000,
+  },
+  modeButton: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+  },
+  modeButtonText: {
+    fontFamily: 'FinlandRounded',
+    fontSize: 18,
+  },
+  modeHud: {
+    position: 'absolute',
+    top: 56,
+    left: 0,
+    right: 0,
+    alignItems: 'center',
+    zIndex: 1000,
+  },
+  modeHudText: {
+    fontFamily: 'FinlandRounded',
+    fontSize: 22,
+    opacity: 0.8,
+  },
   adminButton: {
     position: 'absolute',
     top: 50,
@@ -1,25 +1,116 @@
 import Matter from 'matter-js';
 import { config } from '../../config';
-import { playSound, playDeathArpeggio } from '../../shared/utils/audio';
-import { createAudioPlayer } from 'expo-audio';
 import { ParallaxManager } from '../../shared/effects/ParallaxManager';
 import { logger } from '../../shared/utils/logger';
-import { notifyBounce, notifyMessageRestart } from '../../shared/services/primaryColorManager';
 import { quantizeVelocityAngle } from '../../shared/utils/physics';
+import { blendPathTowardLine, resamplePath } from '../../shared/utils/drawing';
 import { getProgress } from '../../shared/services/progressStorage';
+import { createSeededRandom } from '../../shared/utils/random';
+import { systemNow } from '../../shared/utils/clock';
+import { getGameMode } from './gameModes';
+import { getLiveMessage } from '../../shared/utils/messageSchedule';
+import { migrateMessagesData, dropInvalidMessages } from '../../shared/utils/messageSchema';
+import { DEFAULT_CHANNEL, getChannel } from '../../shared/utils/messageChannels';
+import { getCachedMessages, saveCachedMessages, getCachedAudioUri, releaseCachedAudioUri, cacheAudio } from '../../shared/services/messageCache';
+import { getMessageStorage } from '../../shared/services/messageStorage';
+
+/**
+ * Side-effect adapters - GameCore never touches audio, haptics or color APIs directly,
+ * so it can be stepped headless (Node harness). Defaults are no-ops; the app injects
+ * the real implementations (see gameAdapters.js)
+ */
+const NOOP_ADAPTERS = {
+  audio: {
+    playSound: () => {},
+    playDeathArpeggio: () => {},
+    createPlayer: () => null, // (uri) => player with seekTo/play/pause/release/volume
+  },
+  haptics: {
+    trigger: () => {}, // (eventName) - event names from config.haptics
+  },
+  color: {
+    notifyBounce: () => {},
+    notifyMessageRestart: () => {},
+    getPrimaryColor: () => '#FFFFFF',
+  },
+};
+
+// Message shown until today's message loads from GitHub (and in headless runs without one)
+export const FALLBACK_MESSAGE = [
+  "you", "are", "loved", "beyond", "measure",
+  "and", "nothing", "can", "change", "that"
+];
+
+// Game sounds that also trigger haptic feedback (sound name → config.haptics event)
+const SOUND_HAPTICS = {
+  'gelato-create': 'gelatoCreation',
+  'gelato-bounce': 'gelatoBounce',
+  'wall-bump': 'wallBump',
+  'loss': 'loss',
+};
 
 /**
  * GameCore - Physics engine using Matter.js
  * Handles all physics simulation, collision detection, and game state
+ *
+ * Determinism: all timing goes through this.now() and all randomness through this.random().
+ * Pass options.now (e.g. createManualClock().now) and options.seed to reproduce a session exactly:
+ * same seed + same timestamped createGelato() inputs → same trajectory, word reveals and loss time.
  */
 export class GameCore {
-  constructor(width, height, customMessage = null, audioUri = null, wordTimings = null, wordAudioSegments = null, responsiveConfig = null) {
+  /**
+   * @param {Object} options - Optional { now, seed, random, mode, channel, difficulty, tuning, recorder, adapters }
+   * @param {Function} options.now - Clock returning milliseconds (default: Date.now)
+   * @param {number} options.seed - Seed for the built-in RNG (default: unseeded Math.random)
+   * @param {Function} options.random - Custom RNG returning 0 <= n < 1 (overrides seed)
+   * @param {string} options.mode - Game mode id, see gameModes.js (default: config.gameModes.default)
+   * @param {string} options.channel - Message channel to play, see messageChannels.js (default: 'default')
+   * @param {Object} options.difficulty - Difficulty settings (default: config.difficulty)
+   * @param {Object} options.tuning - Physics overrides { gravityY, springBoost, angleQuantization } (default: config values)
+   * @param {ReplayRecorder} options.recorder - Records each run's inputs for replays (optional)
+   * @param {Object} options.adapters - { audio, haptics, color } side effects (default: no-ops, see NOOP_ADAPTERS)
+   */
+  constructor(width, height, customMessage = null, audioUri = null, wordTimings = null, wordAudioSegments = null, responsiveConfig = null, options = {}) {
+    // Injected clock + RNG (defaults = real time, Math.random)
+    this.now = options.now || systemNow;
+    this.seed = options.seed ?? null;
+    this.random = options.random || (this.seed !== null ? createSeededRandom(this.seed) : Math.random);
+
+    // Side-effect adapters (missing groups/functions fall back to no-ops)
+    const adapters = options.adapters || {};
+    this.adapters = {
+      audio: { ...NOOP_ADAPTERS.audio, ...adapters.audio },
+      haptics: { ...NOOP_ADAPTERS.haptics, ...adapters.haptics },
+      color: { ...NOOP_ADAPTERS.color, ...adapters.color },
+    };
+
+    // Game mode (what a miss does, difficulty, time limit - switchable while idle)
+    this.mode = getGameMode(options.mode || config.gameModes.default);
+
+    // Message channel (which timeline in messages.json to play - deep link / setting, see messageChannelSetting.js)
+    this.channel = options.channel || DEFAULT_CHANNEL;
+
+    // Difficulty settings (replays pass the settings they were recorded with)
+    this.difficulty = options.difficulty || config.difficulty;
+
+    // Bounce physics tuning (tuning sweeps and replays override these per GameCore)
+    this.tuning = {
+      gravityY: config.physics.gravityY,
+      springBoost: config.gelato.springBoost,
+      angleQuantization: config.physics.mascot.angleQuantization,
+      ...options.tuning,
+    };
+
+    // Replay recording (inputs are timestamped by physics step, see ReplayRecorder)
+    this.recorder = options.recorder || null;
+    this.stepCount = 0; // Physics steps since construction
+
     // Create Matter.js engine
     this.engine = Matter.Engine.create();
     this.world = this.engine.world;
 
-    // Set gravity from config
-    this.engine.gravity.y = config.physics.gravityY;
+    // Set gravity from config (or tuning override)
+    this.engine.gravity.y = this.tuning.gravityY;
 
     // Store dimensions
     this.width = width;
@@ -41,7 +132,7 @@ export class GameCore {
     // Create expo-audio player for full recording if available
     if (audioUri && wordTimings && wordTimings.length > 0) {
       try {
-        this.audioPlayer = createAudioPlayer({ uri: audioUri });
+        this.audioPlayer = this.adapters.audio.createPlayer(audioUri);
         // Set voice volume from config (default 0.5 = 50% volume)
         if (this.audioPlayer && config.audio && config.audio.voiceVolume !== undefined) {
           this.audioPlayer.volume = config.audio.voiceVolume;
@@ -56,34 +147,28 @@ export class GameCore {
     this.mascotTargetY = height * 0.25; // 25% from top = 75% near top
 
     // Create mascot (starts above screen for entrance animation)
-    this.mascot = Matter.Bodies.circle(
-      width / 2,
-      -this.mascotRadius * 2, // Start above screen
-      this.mascotRadius,
-      {
-        restitution: config.physics.mascot.restitution,
-        friction: config.physics.mascot.friction,
-        frictionAir: config.physics.mascot.frictionAir,
-        mass: config.physics.mascot.mass,
-        label: 'mascot',
-        // Always dynamic, we'll control gravity manually
-      }
-    );
+    this.mascot = this.createMascotBody(width / 2, -this.mascotRadius * 2);
 
     Matter.World.add(this.world, this.mascot);
 
     // Track entrance animation
-    this.entranceStartTime = Date.now();
+    this.entranceStartTime = this.now();
     this.entranceComplete = false;
 
     // Track idle float animation timing
     this.idleFloatStartTime = null; // Will be set when entrance completes
 
-    // Track whether game has started
+    // Track whether game has started (ball in play - false again while a zen respawn floats back in)
     this.gameStarted = false;
+    this.runBegun = false; // First Gelato of the run was drawn (stays true through zen respawns, until completeReset)
 
     // Track loss state
     this.hasLost = false;
+    this.endReason = null; // 'fall' or 'time' (timed mode) once the run is over
+
+    // Per-run stats for game modes (reset with each run)
+    this.runStartTime = null; // Set by the first Gelato
+    this.runWordCount = 0;    // Words revealed this run (timed mode score)
 
     // Track death fade-out animation
     this.deathFadeStartTime = null; // Timestamp when death fade started
@@ -106,53 +191,26 @@ export class GameCore {
     this.timeScale = 1.0;
 
     // Initialize parallax background manager
-    this.parallaxManager = new ParallaxManager(width, height, config.parallax);
-
-    // Create boundary walls using config
-    const wallThickness = config.walls.thickness;
-    const halfThickness = wallThickness / 2;
-
-    // Side walls only (no bottom boundary - ball can fall off)
-    const leftWall = Matter.Bodies.rectangle(
-      halfThickness,
-      height / 2,
-      wallThickness,
-      height,
-      {
-        isStatic: true,
-        label: 'wall',
-        restitution: config.walls.restitution,
-      }
-    );
-
-    const rightWall = Matter.Bodies.rectangle(
-      width - halfThickness,
-      height / 2,
-      wallThickness,
-      height,
-      {
-        isStatic: true,
-        label: 'wall',
-        restitution: config.walls.restitution,
-      }
-    );
-
-    Matter.World.add(this.world, [leftWall, rightWall]);
+    this.parallaxManager = new ParallaxManager(width, height, config.parallax, this.random);
 
-    // Store obstacles for rendering
-    this.obstacles = [leftWall, rightWall];
+    // Create boundary walls using config (none in wrap mode - edges are open)
+    this.obstacles = this.createSideWalls(width, height);
+    if (this.obstacles.length > 0) {
+      Matter.World.add(this.world, this.obstacles);
+    }
 
     // Track Gelatos (player-drawn springboards)
-    this.gelato = null; // Only one Gelato at a time (maxActiveGelatos = 1)
-    this.gelatoLineData = null; // Store start/end points for rendering
+    // Each entry: { bodies, wrapBodies, line } - oldest first, capped at config.gelato.maxActiveGelatos
+    // wrapBodies = copies of the hitbox shifted by ±width (wrap mode only)
+    this.gelatos = [];
+    this.gelatoLineData = []; // Line data for rendering (new array whenever the collection changes)
 
     // Track last bounce time for debouncing
     this.lastBounceTime = 0;
 
-    // Track bounce impact for visual deformation
+    // Most recent bounce impact / creation time across all Gelatos
+    // (per-Gelato values live on each line for deformation, pop-in and fade-out)
     this.bounceImpact = null; // { x, y, strength, timestamp }
-
-    // Track creation time for pop-in animation
     this.gelatoCreationTime = null;
     
     // Motion trail tracking (supports multiple overlapping trails)
@@ -170,6 +228,9 @@ export class GameCore {
     this.lastGelatoBounceSound = null; // Track last played gelato bounce sound to prevent consecutive repeats
     this.lastBounceSound = null; // Track the very last bounce sound (wall or gelato) for death arpeggio
 
+    // Edge-crossing effects (wrap mode replacement for wall glows)
+    this.edgeCrossings = []; // Array of { side, y, timestamp }
+
     // Bounce juice effects (Gelato bounce feedback)
     this.bounceRipples = []; // Array of { x, y, timestamp }
     this.lastBounceScale = null; // { timestamp } for mascot scale animation
@@ -189,19 +250,22 @@ export class GameCore {
         t.word.toLowerCase().replace(/[.,!?;:'"]/g, '')
       );
       logger.log('INITIALIZATION', 'Using transcribed words for message:', this.message);
+    } else if (Array.isArray(customMessage)) {
+      // Exact word list (replays pass the words the run was recorded with)
+      this.message = [...customMessage];
     } else if (customMessage) {
       // Fall back to splitting custom message text
       this.message = customMessage.toLowerCase().split(/\s+/);
     } else {
       // Default fallback message (will be replaced by loaded message from GitHub)
-      this.message = [
-        "you", "are", "loved", "beyond", "measure",
-        "and", "nothing", "can", "change", "that"
-      ];
+      this.message = [...FALLBACK_MESSAGE];
     }
     this.wordIndex = 0; // Current word in message
     this.currentWord = null; // Currently displayed word { text, timestamp }
+    this.wordFadeMode = config.visuals.wordFadeMode; // 'velocity' or 'static' (switchable at runtime from DebugMenu)
     this.shouldSpawnCoinOnNextBounce = false; // Flag to spawn coin after message completes
+    this.loadedMessageKey = null; // Identity of the message loaded from cache/GitHub (skips reloading the same one)
+    this.pendingMessage = null; // { message, audioUri } loaded mid-run, applied on the next reset
 
     // Load current message from messages.json if not in preview mode
     // Preview mode is detected by presence of wordTimings or wordAudioSegments
@@ -218,6 +282,8 @@ export class GameCore {
     Matter.Events.on(this.engine, 'collisionStart', (event) => {
       this.handleCollision(event);
     });
+
+    this.recorder?.startRun(this);
   }
 
   /**
@@ -225,9 +291,11 @@ export class GameCore {
    * Call this every frame with delta time
    */
   step(deltaMs) {
+    this.stepCount++;
+
     // Update death fade progress continuously (even during cutscene)
     if (this.hasLost && this.deathFadeStartTime !== null) {
-      const currentTime = Date.now();
+      const currentTime = this.now();
       const elapsed = currentTime - this.deathFadeStartTime;
       const fadeOutMs = config.physics.death.fadeOutMs;
       
@@ -238,7 +306,7 @@ export class GameCore {
 
     // Handle coin count cutscene (after death, before reset)
     if (this.coinCountCutsceneActive && this.coinCountCutsceneStartTime !== null) {
-      const currentTime = Date.now();
+      const currentTime = this.now();
       const cutsceneElapsed = currentTime - this.coinCountCutsceneStartTime;
       const cutsceneDuration = config.coins.deathScreen.cutsceneDurationMs;
 
@@ -257,7 +325,7 @@ export class GameCore {
 
     // Handle death fade-out animation
     if (this.hasLost && this.deathFadeStartTime !== null) {
-      const currentTime = Date.now();
+      const currentTime = this.now();
       const elapsed = currentTime - this.deathFadeStartTime;
       const fadeOutMs = config.physics.death.fadeOutMs;
       const delayBeforeReset = config.physics.death.delayBeforeResetMs;
@@ -293,15 +361,21 @@ export class GameCore {
       Matter.Body.setVelocity(this.mascot, { x: 0, y: 0 });
     }
 
-    // Check for loss (ball fell below screen)
+    // Ball fell below screen - the game mode decides (lose the run, or respawn in zen)
     if (this.gameStarted && !this.hasLost && this.mascot.position.y > this.height + this.mascotRadius * 2) {
-      this.handleLoss();
-      return; // Skip physics update on loss frame
+      this.mode.onFall(this);
+      return; // Skip physics update on loss/respawn frame
+    }
+
+    // Per-step mode rules (e.g. timed mode's countdown)
+    if (this.gameStarted && !this.hasLost && this.mode.onStep) {
+      this.mode.onStep(this);
+      if (this.hasLost) return;
     }
 
     // Handle entrance animation (with delay)
     if (!this.entranceComplete) {
-      const elapsed = Date.now() - this.entranceStartTime;
+      const elapsed = this.now() - this.entranceStartTime;
       const delayMs = config.physics.entrance.delayMs;
       const durationMs = config.physics.entrance.durationMs;
 
@@ -329,13 +403,13 @@ export class GameCore {
       if (progress >= 1) {
         this.entranceComplete = true;
         // Start idle float timing from now to ensure smooth transition
-        this.idleFloatStartTime = Date.now();
+        this.idleFloatStartTime = this.now();
       }
     }
     // Handle floating animation when stationary (before game starts)
     else if (!this.gameStarted) {
       // Use time relative to when idle float started
-      const time = (Date.now() - this.idleFloatStartTime) / 1000; // Convert to seconds
+      const time = (this.now() - this.idleFloatStartTime) / 1000; // Convert to seconds
 
       // Sine wave for smooth up/down motion using config values
       const offset = Math.sin(time * config.physics.idleFloat.speed * Math.PI * 2) * config.physics.idleFloat.amplitude;
@@ -364,6 +438,11 @@ export class GameCore {
       this.needsVelocityFlip = false; // Reset flag
     }
 
+    // Wrap mode: carry the ball over to the opposite edge
+    if (config.walls.behavior === 'wrap') {
+      this.wrapMascot();
+    }
+
     // Update parallax background based on ball's Y position (only when game started)
     if (this.gameStarted) {
       this.parallaxManager.update(this.mascot.position.y);
@@ -382,7 +461,7 @@ export class GameCore {
     
     // Update motion trail (supports multiple overlapping trails)
     if (config.physics.mascot.trail.enabled && this.gameStarted) {
-      const currentTime = Date.now();
+      const currentTime = this.now();
       const activeAfterBounceMs = config.physics.mascot.trail.activeAfterBounceMs;
       const endFadeDurationMs = config.physics.mascot.trail.endFadeDurationMs;
 
@@ -443,19 +522,12 @@ export class GameCore {
       });
     }
 
-    // Clean up Gelato after fade completes
-    if (this.bounceImpact && this.bounceImpact.timestamp) {
-      const timeSinceBounce = Date.now() - this.bounceImpact.timestamp;
-      if (timeSinceBounce >= config.gelato.fadeOutDuration) {
-        // Fade is complete - remove Gelato data
-        if (this.gelato) {
-          Matter.World.remove(this.world, this.gelato);
-          this.gelato = null;
-        }
-        this.gelatoLineData = null;
-        this.bounceImpact = null;
-      }
-    }
+    // Clean up Gelatos whose post-bounce fade has completed
+    const fadedGelatos = this.gelatos.filter(gelato => {
+      const impact = gelato.line.bounceImpact;
+      return impact && this.now() - impact.timestamp >= config.gelato.fadeOutDuration;
+    });
+    fadedGelatos.forEach(gelato => this.removeGelato(gelato));
   }
 
   /**
@@ -464,11 +536,11 @@ export class GameCore {
    * This creates a natural "fast-forward" effect where everything speeds up proportionally
    */
   updateDifficulty() {
-    if (!config.difficulty.enabled) {
+    if (!this.difficulty.enabled || !this.mode.difficulty) {
       return;
     }
 
-    const { start, end, bouncesUntilMax } = config.difficulty.speed;
+    const { start, end, bouncesUntilMax } = this.difficulty.speed;
 
     // Calculate current time scale (linear interpolation)
     const progress = Math.min(this.bounceCount / bouncesUntilMax, 1);
@@ -479,20 +551,24 @@ export class GameCore {
   }
 
   /**
-   * Handle loss (ball fell off screen)
+   * Handle loss (ball fell off screen, or the timed mode's clock ran out)
+   * @param {string} reason - 'fall' or 'time'
    */
-  handleLoss() {
+  handleLoss(reason = 'fall') {
     this.hasLost = true;
+    this.endReason = reason;
 
     // Play death arpeggio starting from the last bounce note
     // Completes the chord descent from wherever the last note was
-    playDeathArpeggio(this.lastBounceSound);
+    this.adapters.audio.playDeathArpeggio(this.lastBounceSound);
 
     // Start death fade-out animation
-    const now = Date.now();
+    const now = this.now();
     this.deathFadeStartTime = now;
     this.deathStartTime = now; // Track death start for coin count timing
     this.deathFadeProgress = 0;
+
+    this.recorder?.recordLoss(this);
   }
 
   /**
@@ -500,23 +576,27 @@ export class GameCore {
    * This is called from step() after the fade animation completes
    */
   completeReset() {
+    // Finish the run that just ended (replay is saved by the recorder)
+    this.recorder?.endRun(this);
+
     // Reset word index to start message from beginning
     this.wordIndex = 0;
     this.currentWord = null;
     this.shouldSpawnCoinOnNextBounce = false; // Reset coin spawn flag
 
+    // Switch to a message that finished loading mid-run (see useLoadedMessage)
+    if (this.pendingMessage) {
+      this.applyMessage(this.pendingMessage.message, this.pendingMessage.audioUri);
+      this.pendingMessage = null;
+    }
+
     // Notify color manager of message restart (for bounce mode with 'quote' setting)
     if (config.colors.mode === 'bounce' && config.colors.bouncesPerColorChange === 'quote') {
-      notifyMessageRestart();
+      this.adapters.color.notifyMessageRestart();
     }
 
-    // Remove any existing gelato
-    if (this.gelato) {
-      Matter.World.remove(this.world, this.gelato);
-      this.gelato = null;
-      this.gelatoLineData = null;
-      this.bounceImpact = null;
-    }
+    // Remove any existing gelatos
+    this.destroyGelato();
 
     // Clear motion trails
     this.trails = [];
@@ -524,24 +604,28 @@ export class GameCore {
     this.lastTrailTime = 0;
     this.lastBounceForTrail = 0;
 
-    // Clear wall glows
+    // Clear wall glows and edge crossings
     this.wallGlows = [];
+    this.edgeCrossings = [];
 
-    // Reset ball to starting position (above screen)
-    Matter.Body.setPosition(this.mascot, {
-      x: this.width / 2,
-      y: -this.mascotRadius * 2,
-    });
-
-    // Clear velocity (gravity will be disabled by !gameStarted check)
-    Matter.Body.setVelocity(this.mascot, { x: 0, y: 0 });
+    // Reset ball to starting position (above screen) with a fresh, motionless body
+    // Recreating (instead of moving) also clears spin and float drift from the last run,
+    // so every run starts from exactly the same state as a new GameCore (replays rely on this)
+    Matter.World.remove(this.world, this.mascot);
+    this.mascot = this.createMascotBody(this.width / 2, -this.mascotRadius * 2);
+    Matter.World.add(this.world, this.mascot);
+    this.lastBounceTime = 0;
 
     // Reset entrance animation
-    this.entranceStartTime = Date.now();
+    this.entranceStartTime = this.now();
     this.entranceComplete = false;
     this.idleFloatStartTime = null;
     this.gameStarted = false;
+    this.runBegun = false;
     this.hasLost = false;
+    this.endReason = null;
+    this.runStartTime = null;
+    this.runWordCount = 0;
 
     // Reset death fade state
     this.deathFadeStartTime = null;
@@ -556,6 +640,70 @@ export class GameCore {
     // Reset bounce count and difficulty
     this.bounceCount = 0;
     this.updateDifficulty();
+
+    // Next run starts from this clean state
+    this.recorder?.startRun(this);
+  }
+
+  /**
+   * Catch the ball after a miss and float it back in without ending the run (zen mode)
+   * Keeps the message position, bounce count and coins - only the ball and Gelatos reset
+   * The recorded replay does end at each fall: the next one starts at the respawned entrance
+   * (a fresh GameCore's starting state, apart from the word position it records)
+   */
+  respawnMascot() {
+    this.recorder?.recordLoss(this);
+    this.recorder?.endRun(this);
+
+    this.destroyGelato();
+
+    // Let the current trail fade out instead of connecting it to the respawned ball
+    if (this.currentTrail.length > 0) {
+      this.trails.push({ points: this.currentTrail, bounceTime: this.lastBounceForTrail });
+    }
+    this.currentTrail = [];
+
+    // Fresh, motionless body above the screen, then replay the entrance + idle float
+    Matter.World.remove(this.world, this.mascot);
+    this.mascot = this.createMascotBody(this.width / 2, -this.mascotRadius * 2);
+    Matter.World.add(this.world, this.mascot);
+    this.entranceStartTime = this.now();
+    this.entranceComplete = false;
+    this.idleFloatStartTime = null;
+
+    // Next Gelato drops the ball again (run timer keeps going, runBegun stays set)
+    this.gameStarted = false;
+
+    this.recorder?.startRun(this);
+
+    logger.log('PHYSICS', `Respawned mascot (${this.mode.id} mode)`);
+  }
+
+  /**
+   * Switch game mode (only while idle - before the first Gelato of a run, zen respawns included)
+   * @param {string} modeId - Mode id from gameModes.js
+   * @returns {boolean} Whether the mode was switched
+   */
+  setGameMode(modeId) {
+    if (this.runBegun || this.hasLost) {
+      logger.warn('PHYSICS', `Can't switch to ${modeId} mode during a run`);
+      return false;
+    }
+
+    // Nothing has been drawn yet, so this drops an empty recording - restart it under the new mode
+    this.recorder?.endRun(this);
+
+    this.mode = getGameMode(modeId);
+    this.wordIndex = 0;
+    this.currentWord = null;
+    this.runStartTime = null;
+    this.runWordCount = 0;
+    this.bounceCount = 0;
+    this.timeScale = 1.0;
+    this.updateDifficulty();
+
+    this.recorder?.startRun(this);
+    return true;
   }
 
   /**
@@ -573,7 +721,7 @@ export class GameCore {
 
       if (mascotBody && gelatoBody) {
         // Check debounce timer
-        const currentTime = Date.now();
+        const currentTime = this.now();
         if (currentTime - this.lastBounceTime < config.bounce.minIntervalMs) {
           continue; // Skip this bounce (too soon)
         }
@@ -592,13 +740,13 @@ export class GameCore {
         
         // Notify color manager of bounce (for bounce mode)
         if (config.colors.mode === 'bounce') {
-          notifyBounce();
+          this.adapters.color.notifyBounce();
         }
         
-        // Apply spring boost perpendicular to Gelato
-        const angle = gelatoBody.angle;
-        const normalX = -Math.sin(angle); // Perpendicular to line
-        const normalY = Math.cos(angle);
+        // Apply spring boost perpendicular to the Gelato segment that was hit
+        // (curved Gelatos are compound bodies - gelatoBody is the local part, with its own normal)
+        const normalX = gelatoBody.gelatoNormal.x;
+        const normalY = gelatoBody.gelatoNormal.y;
 
         // Calculate how hard the ball is hitting the Gelato (dot product)
         const currentVelocity = mascotBody.velocity;
@@ -606,7 +754,7 @@ export class GameCore {
 
         // Scale springBoost inversely with timeScale to maintain consistent bounce height
         // When time runs faster, ball hits harder, so we need less boost to reach same height
-        const effectiveSpringBoost = config.gelato.springBoost / this.timeScale;
+        const effectiveSpringBoost = this.tuning.springBoost / this.timeScale;
 
         // Apply trampoline effect: reflect velocity across normal and amplify
         // Remove the component moving INTO the gelato and add it back multiplied
@@ -618,14 +766,15 @@ export class GameCore {
         });
 
         // Quantize bounce angle to discrete directions
-        if (config.physics.mascot.angleQuantization.enabled) {
+        const angleQuantization = this.tuning.angleQuantization;
+        if (angleQuantization.enabled) {
           const vel = mascotBody.velocity;
           const quantized = quantizeVelocityAngle(
             vel.x,
             vel.y,
-            config.physics.mascot.angleQuantization.numDirections,
+            angleQuantization.numDirections,
             {
-              preventStraightUp: config.physics.mascot.angleQuantization.preventStraightUp,
+              preventStraightUp: angleQuantization.preventStraightUp,
             }
           );
 
@@ -652,10 +801,10 @@ export class GameCore {
         // Randomly pick one of the deep bass chord tones for musical variety (but prevent consecutive repeats)
         const gelatoBounceVariants = ['gelato-bounce-C2', 'gelato-bounce-E2', 'gelato-bounce-G2', 'gelato-bounce-C3'];
         const availableBounceVariants = gelatoBounceVariants.filter(v => v !== this.lastGelatoBounceSound);
-        const randomBounceVariant = availableBounceVariants[Math.floor(Math.random() * availableBounceVariants.length)];
+        const randomBounceVariant = availableBounceVariants[Math.floor(this.random() * availableBounceVariants.length)];
         this.lastGelatoBounceSound = randomBounceVariant;
         this.lastBounceSound = randomBounceVariant; // Track for death arpeggio
-        playSound(randomBounceVariant);
+        this.playGameSound(randomBounceVariant);
 
         // Bounce juice effects (radial ripple + mascot scale pulse + collision glow)
         if (config.physics.mascot.bounceJuice.ripple.enabled) {
@@ -669,13 +818,20 @@ export class GameCore {
           this.lastBounceScale = { timestamp: currentTime };
         }
 
-        // Store impact data for visual deformation
+        // Store impact data for visual deformation (on the Gelato that was hit)
         this.bounceImpact = {
           x: mascotBody.position.x,
           y: mascotBody.position.y,
           strength: Math.abs(impactSpeed),
           timestamp: currentTime,
         };
+        const hitBody = gelatoBody.parent; // Compound part → whole Gelato body (plain bodies are their own parent)
+        const hitGelato = this.gelatos.find(gelato =>
+          gelato.bodies.includes(hitBody) || gelato.wrapBodies.includes(hitBody)
+        );
+        if (hitGelato) {
+          hitGelato.line.bounceImpact = this.bounceImpact;
+        }
 
         // Check if we just completed the message (wordIndex wrapped from last to 0)
         const wasLastWord = this.wordIndex === this.message.length - 1;
@@ -689,10 +845,10 @@ export class GameCore {
             vx: config.coins.physics.velocityX,
             vy: config.coins.physics.velocityY,
             timestamp: currentTime,
-            rotationPhase: Math.random() * Math.PI * 2, // Random initial rotation phase
+            rotationPhase: this.random() * Math.PI * 2, // Random initial rotation phase
           });
           this.lastCoinSpawnTime = currentTime; // Track spawn time for death screen timing
-          playSound('pickup-coin');
+          this.playGameSound('pickup-coin');
           this.shouldSpawnCoinOnNextBounce = false; // Reset flag
           // Clear current word so no text is displayed on coin bounce
           this.currentWord = null;
@@ -718,10 +874,10 @@ export class GameCore {
         // Randomly pick one of the chord tones for musical variety (but prevent consecutive repeats)
         const wallBumpVariants = ['wall-bump-C4', 'wall-bump-E4', 'wall-bump-G4', 'wall-bump-C5'];
         const availableVariants = wallBumpVariants.filter(v => v !== this.lastWallBumpSound);
-        const randomVariant = availableVariants[Math.floor(Math.random() * availableVariants.length)];
+        const randomVariant = availableVariants[Math.floor(this.random() * availableVariants.length)];
         this.lastWallBumpSound = randomVariant;
         this.lastBounceSound = randomVariant; // Track for death arpeggio
-        playSound(randomVariant);
+        this.playGameSound(randomVariant);
 
         // Spawn wall glow
         if (config.walls.glow.enabled) {
@@ -729,7 +885,7 @@ export class GameCore {
           this.wallGlows.push({
             side: isLeftWall ? 'left' : 'right',
             y: mascotBody.position.y,  // Exact Y position of impact
-            timestamp: Date.now(),
+            timestamp: this.now(),
           });
         }
 
@@ -786,8 +942,7 @@ export class GameCore {
    * Get current primary color (now reads from universal color manager)
    */
   getPrimaryColor() {
-    const { getPrimaryColor } = require('../../shared/services/primaryColorManager');
-    return getPrimaryColor();
+    return this.adapters.color.getPrimaryColor();
   }
 
   /**
@@ -797,7 +952,7 @@ export class GameCore {
   getTrail() {
     if (!config.physics.mascot.trail.enabled) return { trails: [] };
 
-    const currentTime = Date.now();
+    const currentTime = this.now();
     const activeAfterBounceMs = config.physics.mascot.trail.activeAfterBounceMs;
     const endFadeDurationMs = config.physics.mascot.trail.endFadeDurationMs;
 
@@ -848,9 +1003,15 @@ export class GameCore {
    * @param {Array} originalPath - Original drawn path array of {x, y} points (optional)
    */
   createGelato(startX, startY, endX, endY, originalPath = null) {
+    this.recorder?.recordGelato(this, startX, startY, endX, endY, originalPath);
+
     // Start the game on first gelato creation
     if (!this.gameStarted) {
       this.gameStarted = true;
+      if (!this.runBegun) {
+        this.runBegun = true;
+        this.runStartTime = this.now(); // Not on zen relaunches - the run timer keeps going
+      }
       // Ball is already dynamic, just enable physics by allowing gravity
     }
 
@@ -866,32 +1027,182 @@ export class GameCore {
       endY = startY + dy * scale;
     }
 
-    // Destroy previous Gelato if exists (only one at a time)
-    if (this.gelato) {
-      Matter.World.remove(this.world, this.gelato);
+    // Evict oldest Gelatos (FIFO) to make room for this one
+    this.evictOldestGelatos();
+
+    // Curved collision: chain of short segments along the same blended path the renderer draws
+    const useCurvedBody = config.gelato.collisionShape === 'path' &&
+                          config.gelato.renderMode === 'curved' &&
+                          originalPath && originalPath.length > 2;
+
+    const { body, wrapBodies } = useCurvedBody
+      ? this.createGelatoPathBody(resamplePath(
+          blendPathTowardLine(originalPath, { x: startX, y: startY }, { x: endX, y: endY }, config.gelato.curveBlend),
+          config.gelato.pathSegmentLength
+        ))
+      : this.createGelatoSegmentBody(startX, startY, endX, endY, true, true);
+
+    return this.addGelato([body], wrapBodies, {
+      startX,
+      startY,
+      endX,
+      endY,
+      originalPath: originalPath || null, // Store original drawn path
+    });
+  }
+
+  /**
+   * Create a segmented Gelato from grid-snapped vertices (config.drawing.approach = 'segmented')
+   * Each segment gets its own physics body, so the ball bounces off whichever segment it hits
+   * @param {Array} vertices - Committed path vertices [{x, y}, ...] (at least 2)
+   */
+  createSegmentedGelato(vertices) {
+    this.recorder?.recordSegmentedGelato(this, vertices);
+
+    // Start the game on first gelato creation
+    if (!this.gameStarted) {
+      this.gameStarted = true;
+      if (!this.runBegun) {
+        this.runBegun = true;
+        this.runStartTime = this.now(); // Not on zen relaunches - the run timer keeps going
+      }
     }
 
-    // Calculate center point and angle
-    const centerX = (startX + endX) / 2;
-    const centerY = (startY + endY) / 2;
+    // Check max length constraint: shorten from the start (matches the sliding draw)
+    vertices = [...vertices];
+    let excess = -this.gelatoMaxLength;
+    for (let i = 1; i < vertices.length; i++) {
+      excess += Math.hypot(vertices[i].x - vertices[i - 1].x, vertices[i].y - vertices[i - 1].y);
+    }
+    while (excess > 0 && vertices.length > 2) {
+      const firstLength = Math.hypot(vertices[1].x - vertices[0].x, vertices[1].y - vertices[0].y);
+      if (firstLength > excess) break;
+      vertices.shift();
+      excess -= firstLength;
+    }
+    if (excess > 0) {
+      // Pull the first vertex toward the second by the remaining excess
+      const [a, b] = vertices;
+      const firstLength = Math.hypot(b.x - a.x, b.y - a.y);
+      const t = excess / firstLength;
+      vertices[0] = { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+    }
+
+    // Evict oldest Gelatos (FIFO) to make room for this one
+    this.evictOldestGelatos();
+
+    const bodies = [];
+    const wrapBodies = [];
+    const lastIndex = vertices.length - 2;
+    for (let i = 0; i <= lastIndex; i++) {
+      const a = vertices[i];
+      const b = vertices[i + 1];
+      // Length forgiveness only on the two outer ends (inner joints would just overlap)
+      const segment = this.createGelatoSegmentBody(a.x, a.y, b.x, b.y, i === 0, i === lastIndex);
+      bodies.push(segment.body);
+      wrapBodies.push(...segment.wrapBodies);
+    }
+
+    const first = vertices[0];
+    const last = vertices[vertices.length - 1];
+    return this.addGelato(bodies, wrapBodies, {
+      startX: first.x,
+      startY: first.y,
+      endX: last.x,
+      endY: last.y,
+      originalPath: vertices, // Rendered as an exact polyline
+      segmented: true,
+    });
+  }
+
+  /**
+   * Remove oldest Gelatos until there's room for one more (config.gelato.maxActiveGelatos)
+   */
+  evictOldestGelatos() {
+    const maxActive = Math.max(1, config.gelato.maxActiveGelatos);
+    while (this.gelatos.length >= maxActive) {
+      this.removeGelato(this.gelatos[0]);
+    }
+  }
+
+  /**
+   * Create one static hitbox for a straight Gelato segment (already added to the world)
+   * @param {boolean} extendStart - Add length forgiveness past (x1, y1)
+   * @param {boolean} extendEnd - Add length forgiveness past (x2, y2)
+   * @returns {{ body: Object, wrapBodies: Array }}
+   */
+  createGelatoSegmentBody(x1, y1, x2, y2, extendStart, extendEnd) {
+    const body = this.buildGelatoSegmentBody(x1, y1, x2, y2, extendStart, extendEnd);
+    Matter.World.add(this.world, body);
+
+    // Wrap mode: the forgiveness hitbox can poke past a screen edge, and the ball can
+    // straddle the seam - add copies of the hitbox on the other side so both line up
+    const wrapBodies = config.walls.behavior === 'wrap'
+      ? this.createGelatoWrapBodies(body, shift => this.buildGelatoSegmentBody(x1, y1, x2, y2, extendStart, extendEnd, shift))
+      : [];
+
+    return { body, wrapBodies };
+  }
+
+  /**
+   * Create a curved Gelato hitbox: one compound body made of short segments along the path
+   * (already added to the world). Length forgiveness only on the two outer ends.
+   * @param {Array} points - Path points [{x, y}, ...] (at least 2)
+   * @returns {{ body: Object, wrapBodies: Array }}
+   */
+  createGelatoPathBody(points) {
+    const build = (shiftX = 0) => {
+      const lastIndex = points.length - 2;
+      const parts = [];
+      for (let i = 0; i <= lastIndex; i++) {
+        const a = points[i];
+        const b = points[i + 1];
+        parts.push(this.buildGelatoSegmentBody(a.x, a.y, b.x, b.y, i === 0, i === lastIndex, shiftX));
+      }
+      return Matter.Body.create({
+        parts,
+        isStatic: true,
+        label: 'gelato',
+        restitution: 0.1, // Low restitution - we handle bounce manually
+      });
+    };
+
+    const body = build();
+    Matter.World.add(this.world, body);
+
+    const wrapBodies = config.walls.behavior === 'wrap'
+      ? this.createGelatoWrapBodies(body, build)
+      : [];
+
+    return { body, wrapBodies };
+  }
 
+  /**
+   * Build (but don't add) a static hitbox for a straight Gelato segment
+   * Applies forgiveness rules: extra length on the requested ends, extra thickness below only
+   * Stores the surface normal on the body so bounces use the local segment, not the compound angle
+   * @param {boolean} extendStart - Add length forgiveness past (x1, y1)
+   * @param {boolean} extendEnd - Add length forgiveness past (x2, y2)
+   * @param {number} shiftX - Horizontal offset (wrap copies use ±width)
+   */
+  buildGelatoSegmentBody(x1, y1, x2, y2, extendStart, extendEnd, shiftX = 0) {
     // Normalize draw direction: always treat line as left-to-right
     // This ensures the normal always points in a consistent direction
-    let normalizedStartX = startX;
-    let normalizedStartY = startY;
-    let normalizedEndX = endX;
-    let normalizedEndY = endY;
+    let normalizedStartX = x1;
+    let normalizedStartY = y1;
+    let normalizedEndX = x2;
+    let normalizedEndY = y2;
 
-    if (endX < startX) {
+    if (x2 < x1) {
       // Line was drawn right-to-left, swap endpoints
-      normalizedStartX = endX;
-      normalizedStartY = endY;
-      normalizedEndX = startX;
-      normalizedEndY = startY;
+      normalizedStartX = x2;
+      normalizedStartY = y2;
+      normalizedEndX = x1;
+      normalizedEndY = y1;
     }
 
     const angle = Math.atan2(normalizedEndY - normalizedStartY, normalizedEndX - normalizedStartX);
-    const gelatoLength = Math.sqrt((endX - startX) ** 2 + (endY - startY) ** 2);
+    const gelatoLength = Math.sqrt((x2 - x1) ** 2 + (y2 - y1) ** 2);
 
     // Calculate responsive thickness (scale with mascot radius)
     // Base thickness is 4px at 30px radius, scale proportionally
@@ -900,9 +1211,17 @@ export class GameCore {
     const responsiveThickness = (baseThickness / baseRadius) * this.mascotRadius;
 
     // Apply forgiveness extensions (invisible hitbox buffers)
-    // Horizontal: extend length on both ends for left/right forgiveness
+    // Horizontal: extend length on the requested ends for left/right forgiveness
     const forgivenessExtension = this.gelatoMaxLength * config.gelato.forgiveness.extensionPercent;
-    const physicsLength = gelatoLength + (forgivenessExtension * 2);
+    const startExtension = extendStart ? forgivenessExtension : 0;
+    const endExtension = extendEnd ? forgivenessExtension : 0;
+    const physicsLength = gelatoLength + startExtension + endExtension;
+
+    // One-sided extension shifts the center along the drawn direction
+    const dirX = gelatoLength > 0 ? (x2 - x1) / gelatoLength : 0;
+    const dirY = gelatoLength > 0 ? (y2 - y1) / gelatoLength : 0;
+    const centerX = (x1 + x2) / 2 + dirX * (endExtension - startExtension) / 2;
+    const centerY = (y1 + y2) / 2 + dirY * (endExtension - startExtension) / 2;
 
     // Vertical: add thickness multiplier for "late draw" forgiveness (ONLY BELOW)
     // Makes physics body thicker than visual line, but only extends downward
@@ -919,8 +1238,8 @@ export class GameCore {
 
     // Create static rectangular body for the Gelato
     // Note: physics body is longer AND thicker (below only) than visual line for easier collision
-    this.gelato = Matter.Bodies.rectangle(
-      offsetCenterX,
+    const body = Matter.Bodies.rectangle(
+      offsetCenterX + shiftX,
       offsetCenterY,
       physicsLength,
       physicsThickness,
@@ -932,52 +1251,134 @@ export class GameCore {
       }
     );
 
-    Matter.World.add(this.world, this.gelato);
+    body.gelatoNormal = { x: normalX, y: normalY };
+
+    return body;
+  }
 
+  /**
+   * Register a new Gelato in the collection and kick off its creation feedback
+   * @param {Array} bodies - Physics bodies already added to the world
+   * @param {Array} wrapBodies - Wrapped hitbox copies already added to the world
+   * @param {Object} lineData - { startX, startY, endX, endY, originalPath, segmented? }
+   * @returns {Object} Line data for rendering
+   */
+  addGelato(bodies, wrapBodies, lineData) {
     // Play gelato creation sound
-    playSound('gelato-create');
+    this.playGameSound('gelato-create');
+
+    // Track creation time for pop-in and morphing animations
+    this.gelatoCreationTime = this.now();
 
     // Store line data for rendering (including original path for morphing animation)
-    this.gelatoLineData = {
-      startX,
-      startY,
-      endX,
-      endY,
-      originalPath: originalPath || null, // Store original drawn path
+    const line = {
+      ...lineData,
+      creationTime: this.gelatoCreationTime, // Pop-in animation start
+      bounceImpact: null,                    // Set when this Gelato is bounced on (deformation + fade-out)
     };
 
-    // Track creation time for pop-in and morphing animations
-    this.gelatoCreationTime = Date.now();
+    this.gelatos.push({ bodies, wrapBodies, line });
+    this.gelatoLineData = this.gelatos.map(gelato => gelato.line);
 
     // Return line data for rendering
-    return this.gelatoLineData;
+    return line;
   }
 
   /**
-   * Get current Gelato for rendering (if exists)
+   * Remove a single Gelato (physics bodies + line data)
    */
-  getGelato() {
-    if (!this.gelato) return null;
+  removeGelato(gelato) {
+    gelato.bodies.forEach(body => {
+      Matter.World.remove(this.world, body);
+    });
+    gelato.wrapBodies.forEach(wrapBody => {
+      Matter.World.remove(this.world, wrapBody);
+    });
+    this.gelatos = this.gelatos.filter(g => g !== gelato);
+    this.gelatoLineData = this.gelatos.map(g => g.line);
+  }
 
-    return {
-      x: this.gelato.position.x,
-      y: this.gelato.position.y,
-      angle: this.gelato.angle,
-      width: this.gelato.bounds.max.x - this.gelato.bounds.min.x,
-      height: this.gelato.bounds.max.y - this.gelato.bounds.min.y,
-    };
+  /**
+   * Create shifted copies of a Gelato hitbox across the wrap seam (wrap mode only)
+   * A copy is needed whenever the hitbox comes within one ball radius of an edge,
+   * since a ball straddling the seam is partly drawn on the opposite side
+   * @param {Object} body - The on-screen hitbox
+   * @param {Function} build - (shiftX) => new body offset horizontally by shiftX
+   * @returns {Array} Copies already added to the world (empty if none needed)
+   */
+  createGelatoWrapBodies(body, build) {
+    const bounds = body.bounds;
+    const shifts = [];
+    if (bounds.min.x < this.mascotRadius) shifts.push(this.width);              // Pokes out left → copy on right
+    if (bounds.max.x > this.width - this.mascotRadius) shifts.push(-this.width); // Pokes out right → copy on left
+
+    const wrapBodies = shifts.map(shift => build(shift));
+
+    if (wrapBodies.length > 0) {
+      Matter.World.add(this.world, wrapBodies);
+    }
+    return wrapBodies;
   }
 
   /**
-   * Destroy current Gelato
+   * Teleport the mascot to the opposite edge once its center crosses the seam
+   * Velocity is untouched, and the trail is split so it doesn't streak across the screen
    */
-  destroyGelato() {
-    if (this.gelato) {
-      Matter.World.remove(this.world, this.gelato);
-      this.gelato = null;
-      this.gelatoLineData = null;
-      this.bounceImpact = null;
+  wrapMascot() {
+    const { x, y } = this.mascot.position;
+    let shift = 0;
+    if (x < 0) shift = this.width;
+    else if (x > this.width) shift = -this.width;
+    if (shift === 0) return;
+
+    Matter.Body.setPosition(this.mascot, { x: x + shift, y });
+
+    // Split the trail at the seam: old half runs off the exit edge, new half runs in from the entry edge
+    if (this.currentTrail.length > 0) {
+      const lastPoint = this.currentTrail[this.currentTrail.length - 1];
+      this.trails.push({
+        points: [...this.currentTrail, { x, y, timestamp: this.now() }],
+        bounceTime: this.lastBounceForTrail, // Keep fading in sync with the active trail
+      });
+      this.currentTrail = [{ ...lastPoint, x: lastPoint.x + shift }];
     }
+
+    // Edge-crossing glow on both sides (exit + entry)
+    if (config.walls.edgeCrossing.enabled) {
+      const currentTime = this.now();
+      const exitSide = shift > 0 ? 'left' : 'right';
+      const entrySide = shift > 0 ? 'right' : 'left';
+      this.edgeCrossings.push(
+        { side: exitSide, y, timestamp: currentTime },
+        { side: entrySide, y, timestamp: currentTime }
+      );
+    }
+  }
+
+  /**
+   * Get Gelato hitboxes for debug rendering (one per physics body)
+   */
+  getGelatos() {
+    // Curved Gelatos are compound bodies - show each segment part (parts[0] is the parent itself)
+    const hitboxes = this.gelatos
+      .flatMap(gelato => gelato.bodies)
+      .flatMap(body => (body.parts.length > 1 ? body.parts.slice(1) : [body]));
+
+    return hitboxes.map(body => ({
+      x: body.position.x,
+      y: body.position.y,
+      angle: body.angle,
+      width: body.bounds.max.x - body.bounds.min.x,
+      height: body.bounds.max.y - body.bounds.min.y,
+    }));
+  }
+
+  /**
+   * Destroy all active Gelatos
+   */
+  destroyGelato() {
+    [...this.gelatos].forEach(gelato => this.removeGelato(gelato));
+    this.bounceImpact = null;
   }
 
   /**
@@ -999,10 +1400,11 @@ export class GameCore {
    */
   revealNextWord() {
     const word = this.message[this.wordIndex];
+    this.runWordCount++;
     const mascotBody = this.mascot;
     this.currentWord = {
       text: word,
-      timestamp: Date.now(),
+      timestamp: this.now(),
       initialVelocityY: mascotBody.velocity.y, // Store Y velocity at bounce
     };
 
@@ -1044,9 +1446,69 @@ export class GameCore {
 
   /**
    * Get current word for display
+   * Returns { text, timestamp, initialVelocityY, fadeMode, opacity } or null
    */
   getCurrentWord() {
-    return this.currentWord;
+    if (!this.currentWord) return null;
+
+    return {
+      ...this.currentWord,
+      fadeMode: this.wordFadeMode,
+      opacity: this.getWordOpacity(),
+    };
+  }
+
+  /**
+   * Calculate current word opacity based on the active fade mode
+   * - 'velocity': opacity synced 1:1 with ball motion (fades as the ball rises, peaks and falls)
+   * - 'static': three-phase timed fade (fade-in → persist → fade-out)
+   */
+  getWordOpacity() {
+    const word = this.currentWord;
+    if (!word) return 0;
+
+    if (this.wordFadeMode === 'static') {
+      const timeSinceReveal = this.now() - word.timestamp;
+      const fadeInDuration = config.visuals.wordFadeInMs;
+      const persistDuration = config.visuals.wordPersistMs;
+      const fadeOutDuration = config.visuals.wordFadeOutMs;
+
+      if (timeSinceReveal < fadeInDuration) {
+        // Phase 1: Fade in from 0% → 100%
+        return timeSinceReveal / fadeInDuration;
+      }
+      if (timeSinceReveal < fadeInDuration + persistDuration) {
+        // Phase 2: Stay at 100%
+        return 1;
+      }
+      if (timeSinceReveal < fadeInDuration + persistDuration + fadeOutDuration) {
+        // Phase 3: Fade out from 100% → 0%
+        const fadeOutProgress = (timeSinceReveal - fadeInDuration - persistDuration) / fadeOutDuration;
+        return 1 - fadeOutProgress;
+      }
+      // Fully faded out
+      return 0;
+    }
+
+    // Velocity-based fade
+    if (word.initialVelocityY === undefined) return 0;
+
+    // At bounce: initialVelocityY is negative (upward)
+    // As ball falls: velocityY increases toward positive (downward)
+    // Fade from 100% to 0% as velocity goes from initial (negative) to 0 (peak) to positive
+    const velocityRange = Math.abs(word.initialVelocityY);
+    const velocityChange = this.mascot.velocity.y - word.initialVelocityY;
+
+    // Normalize velocity change: 0 at bounce, 1 when velocity reverses completely
+    const fadeProgress = Math.min(1, Math.max(0, velocityChange / (velocityRange * 2)));
+    return 1 - fadeProgress;
+  }
+
+  /**
+   * Switch word fade mode at runtime ('velocity' or 'static')
+   */
+  setWordFadeMode(mode) {
+    this.wordFadeMode = mode;
   }
 
   /**
@@ -1057,7 +1519,8 @@ export class GameCore {
   }
 
   /**
-   * Get Gelato line data for rendering
+   * Get line data for all active Gelatos (oldest first)
+   * Array identity only changes when a Gelato is added or removed
    */
   getGelatoLineData() {
     return this.gelatoLineData;
@@ -1076,30 +1539,15 @@ export class GameCore {
       this.mascotRadius = responsiveConfig.mascotRadius;
       this.gelatoMaxLength = responsiveConfig.gelatoMaxLength;
       
-      // Destroy existing gelato if it exists (it will be recreated with new size on next draw)
-      if (this.gelato) {
-        Matter.World.remove(this.world, this.gelato);
-        this.gelato = null;
-        this.gelatoLineData = null;
-      }
+      // Destroy existing gelatos (they will be recreated with new size on next draw)
+      this.destroyGelato();
       
       // Update mascot body radius (requires recreating the body)
       const currentPos = this.mascot.position;
       const currentVel = this.mascot.velocity;
       Matter.World.remove(this.world, this.mascot);
       
-      this.mascot = Matter.Bodies.circle(
-        currentPos.x,
-        currentPos.y,
-        this.mascotRadius,
-        {
-          restitution: config.physics.mascot.restitution,
-          friction: config.physics.mascot.friction,
-          frictionAir: config.physics.mascot.frictionAir,
-          mass: config.physics.mascot.mass,
-          label: 'mascot',
-        }
-      );
+      this.mascot = this.createMascotBody(currentPos.x, currentPos.y);
       
       Matter.Body.setVelocity(this.mascot, currentVel);
       Matter.World.add(this.world, this.mascot);
@@ -1110,10 +1558,55 @@ export class GameCore {
       Matter.World.remove(this.world, obstacle);
     });
 
-    // Create new boundaries with new dimensions (side walls only)
+    // Create new boundaries with new dimensions (side walls only, none in wrap mode)
+    this.obstacles = this.createSideWalls(width, height);
+    if (this.obstacles.length > 0) {
+      Matter.World.add(this.world, this.obstacles);
+    }
+  }
+
+  /**
+   * Play a game sound through the audio adapter (plus its haptic, if it has one)
+   * @param {string} name - Sound name (see audio.js)
+   */
+  playGameSound(name) {
+    this.adapters.audio.playSound(name);
+
+    const hapticEvent = SOUND_HAPTICS[name];
+    if (hapticEvent) {
+      this.adapters.haptics.trigger(hapticEvent);
+    }
+  }
+
+  /**
+   * Create the mascot physics body
+   * Always dynamic - gravity is controlled manually (velocity zeroed until the game starts)
+   * @param {number} x - Center X position
+   * @param {number} y - Center Y position
+   */
+  createMascotBody(x, y) {
+    return Matter.Bodies.circle(x, y, this.mascotRadius, {
+      restitution: config.physics.mascot.restitution,
+      friction: config.physics.mascot.friction,
+      frictionAir: config.physics.mascot.frictionAir,
+      mass: config.physics.mascot.mass,
+      label: 'mascot',
+    });
+  }
+
+  /**
+   * Create static side walls for the current screen size
+   * Returns an empty array in wrap mode (ball teleports across edges instead)
+   */
+  createSideWalls(width, height) {
+    if (config.walls.behavior === 'wrap') {
+      return [];
+    }
+
     const wallThickness = config.walls.thickness;
     const halfThickness = wallThickness / 2;
 
+    // Side walls only (no bottom boundary - ball can fall off)
     const leftWall = Matter.Bodies.rectangle(
       halfThickness,
       height / 2,
@@ -1138,89 +1631,184 @@ export class GameCore {
       }
     );
 
-    Matter.World.add(this.world, [leftWall, rightWall]);
-    this.obstacles = [leftWall, rightWall];
+    return [leftWall, rightWall];
   }
 
   /**
-   * Load current message from messages.json
-   * Fetches from GitHub API (always fresh on refresh!)
+   * Load current message from messages.json (stale-while-revalidate)
+   * 1. Show the cached copy instantly - works offline (see messageCache.js)
+   * 2. Fetch fresh from message storage in the background and update the cache (see messageStorage.js)
+   * 3. Switch to the fresh message if it changed (right away while idle, otherwise after this run)
+   * Picks the live message by date (see messageSchedule.js), so scheduled messages go live on their own
+   * and days between them are filled from the channel's recurring / evergreen rotation
+   * Both copies are migrated and validated first (see messageSchema.js) - a malformed message is skipped
    */
   async loadCurrentMessage() {
+    const cached = getCachedMessages();
+    const cachedData = cached ? this.prepareMessagesData(cached.data, 'cached') : null;
+    const cachedLive = cachedData ? getLiveMessage(this.getChannelData(cachedData)) : null;
+    if (cachedLive?.message?.words) {
+      await this.useLoadedMessage(cachedLive);
+      logger.log('GITHUB_API', `⚡ Using cached message (${cachedLive.date}) while revalidating`);
+    }
+
+    const storage = getMessageStorage();
+
     try {
-      // Get GitHub token from environment
-      const token = process.env.EXPO_PUBLIC_GITHUB_TOKEN;
+      const data = this.prepareMessagesData(await storage.fetchMessages(), storage.name); // Cache busted - always fresh
+      if (!data) throw new Error('messages.json could not be read');
+      saveCachedMessages(data);
+
+      // Today's scheduled message (or the `current` override), else today's rotation message,
+      // else the latest one scheduled before the player's local date
+      const live = getLiveMessage(this.getChannelData(data, true));
+
+      if (live?.message?.words) {
+        await this.useLoadedMessage(live);
+        const rotation = live.source === 'scheduled' ? '' : `, ${live.source}`;
+        logger.log('GITHUB_API', `✅ Loaded fresh message from ${storage.name} storage (${live.date}${rotation}):`, live.message.words);
+      } else {
+        logger.warn('GITHUB_API', 'No message is live yet (none scheduled on or before today, no rotation)');
+      }
+    } catch (error) {
+      logger.warn('GITHUB_API', `Failed to load current message from ${storage.name} storage:`, error);
+      logger.warn('GITHUB_API', `Using ${cachedLive ? 'cached' : 'fallback'} message`);
+      // Keep using the cached/fallback message
+    }
+  }
 
-      // Build GitHub API URL with cache buster to force fresh fetch
-      const cacheBuster = Date.now();
-      const url = `https://api.github.com/repos/preetoshii/spherical-truth-machine/contents/messages.json?ref=master&_=${cacheBuster}`;
+  /**
+   * Upgrade messages.json to the current schema and drop entries the game can't play
+   * Without them the live message falls back to the latest valid earlier one
+   * @param {Object} data - Raw messages.json
+   * @param {string} source - Where it came from (for logs)
+   * @returns {Object|null} Playable messages data, or null if the file is unusable (e.g. newer schema)
+   */
+  prepareMessagesData(data, source) {
+    try {
+      const { data: valid, rejected } = dropInvalidMessages(migrateMessagesData(data));
+      rejected.forEach(({ channel, date, entry, errors }) => {
+        logger.warn('GITHUB_API', `Skipping invalid ${source} message for ${date || entry || 'channel'} (${channel}): ${errors.join('; ')}`);
+      });
+      return valid;
+    } catch (error) {
+      logger.warn('GITHUB_API', `Ignoring ${source} messages.json:`, error.message);
+      return null;
+    }
+  }
 
-      const headers = {
-        'Accept': 'application/vnd.github.v3+json',
-      };
+  /**
+   * This game's channel in messages.json - unknown channels fall back to the default one
+   * @param {Object} data - Prepared messages data
+   * @param {boolean} warn - Log the fallback
+   * @returns {Object} { current, messages }
+   */
+  getChannelData(data, warn = false) {
+    const channelData = getChannel(data, this.channel);
+    if (channelData) return channelData;
 
-      // Add authorization if token is available
-      if (token) {
-        headers['Authorization'] = `Bearer ${token}`;
+    if (warn) {
+      logger.warn('GITHUB_API', `No "${this.channel}" message channel - playing the default channel`);
+    }
+    return getChannel(data, DEFAULT_CHANNEL);
+  }
+
+  /**
+   * Switch message channel (e.g. from a deep link) and load its live message
+   * Mid-run the new message waits for the next reset, like any other message update
+   * @param {string} channel - Channel name (see messageChannels.js)
+   * @returns {Promise} Resolves once the channel's message is loaded
+   */
+  setMessageChannel(channel) {
+    const next = channel || DEFAULT_CHANNEL;
+    if (next === this.channel) return this.messageLoadPromise;
+
+    this.channel = next;
+    logger.log('GITHUB_API', `Switching to message channel "${next}"`);
+    this.messageLoadPromise = this.loadCurrentMessage();
+    return this.messageLoadPromise;
+  }
+
+  /**
+   * Switch to a message loaded from the cache or storage (no-op if it's already the one in use)
+   * Mid-run the switch waits for the next reset, so the message never changes under the player
+   * @param {Object} live - { date, message } from getLiveMessage()
+   */
+  async useLoadedMessage({ date, message }) {
+    // Prefer transformed audio, fallback to original
+    const audioFilename = message.audio ? (message.audio.transformed || message.audio.original) : null;
+
+    const key = JSON.stringify([date, message.words, audioFilename]);
+    if (key === this.loadedMessageKey) return;
+    this.loadedMessageKey = key;
+
+    // Audio: cached copy if we have one, otherwise stream from storage and cache it for next launch
+    let audioUri = null;
+    if (audioFilename) {
+      const audioUrl = getMessageStorage().resolveAudioUrl(audioFilename);
+      audioUri = await getCachedAudioUri(audioUrl);
+      if (!audioUri) {
+        const separator = audioUrl.includes('?') ? '&' : '?';
+        audioUri = `${audioUrl}${separator}t=${Date.now()}`; // Cache buster (real time, network only)
+        cacheAudio(audioUrl, audioUri); // Background - offline play from next launch
       }
+    }
+
+    if (this.gameStarted || this.hasLost || this.wordIndex > 0) {
+      if (this.pendingMessage && this.pendingMessage.audioUri !== audioUri) {
+        releaseCachedAudioUri(this.pendingMessage.audioUri); // Superseded before it was ever played
+      }
+      this.pendingMessage = { message, audioUri };
+      logger.log('GITHUB_API', `Message for ${date} will start after this run`);
+    } else {
+      this.applyMessage(message, audioUri);
+    }
+  }
 
-      const response = await fetch(url, { headers });
+  /**
+   * Replace the message words, voice audio and word timings
+   * @param {Object} message - Message from messages.json ({ words, audio, wordTimings })
+   * @param {string|null} audioUri - Playable audio URI (cached object URL or storage URL)
+   */
+  applyMessage(message, audioUri) {
+    this.message = message.words;
 
-      if (!response.ok) {
-        logger.warn('GITHUB_API', 'Could not load messages.json from GitHub API, using fallback');
-        return;
+    // Drop the previous message's voice
+    if (this.audioPlayer) {
+      try {
+        this.audioPlayer.pause();
+      } catch (error) {
+        logger.error('AUDIO_PLAYBACK', 'Failed to stop previous audio:', error);
       }
+    }
+    this.audioPlayer = null;
+    if (this.audioUri !== audioUri) {
+      releaseCachedAudioUri(this.audioUri); // Its player is gone - free the cached object URL
+    }
+    this.audioUri = null;
+    this.wordTimings = null;
 
-      const apiData = await response.json();
-
-      // GitHub API returns base64-encoded content
-      const decodedContent = atob(apiData.content);
-      const data = JSON.parse(decodedContent);
-
-      const currentDate = data.current;
-      const currentMessage = data.messages[currentDate];
-
-      if (currentMessage && currentMessage.words) {
-        this.message = currentMessage.words;
-        logger.log('GITHUB_API', '✅ Loaded fresh message from GitHub:', this.message);
-
-        // Load audio if available
-        if (currentMessage.audio) {
-          // Build GitHub raw URLs for audio files
-          const audioFolder = config.github.audioFolder;
-          const baseUrl = 'https://raw.githubusercontent.com/preetoshii/spherical-truth-machine/master/';
-
-          // Prefer transformed audio, fallback to original
-          let audioFilename = currentMessage.audio.transformed || currentMessage.audio.original;
-          if (audioFilename) {
-            this.audioUri = `${baseUrl}${audioFolder}${audioFilename}?t=${cacheBuster}`;
-            logger.log('AUDIO_PLAYBACK', '✅ Loaded audio URI:', this.audioUri);
-
-            // Create audio player
-            try {
-              this.audioPlayer = createAudioPlayer({ uri: this.audioUri });
-              if (this.audioPlayer && config.audio && config.audio.voiceVolume !== undefined) {
-                this.audioPlayer.volume = config.audio.voiceVolume;
-              }
-              logger.log('AUDIO_PLAYBACK', '✅ Created audio player from GitHub URL');
-            } catch (error) {
-              logger.error('AUDIO_PLAYBACK', 'Failed to create audio player:', error);
-            }
-          }
+    // Load audio if available
+    if (audioUri) {
+      this.audioUri = audioUri;
+      logger.log('AUDIO_PLAYBACK', '✅ Loaded audio URI:', this.audioUri);
 
-          // Load word timings if available
-          if (currentMessage.wordTimings) {
-            this.wordTimings = currentMessage.wordTimings;
-            logger.log('AUDIO_PLAYBACK', '✅ Loaded word timings:', this.wordTimings.length, 'words');
-          }
+      // Create audio player
+      try {
+        this.audioPlayer = this.adapters.audio.createPlayer(this.audioUri);
+        if (this.audioPlayer && config.audio && config.audio.voiceVolume !== undefined) {
+          this.audioPlayer.volume = config.audio.voiceVolume;
         }
-      } else {
-        logger.warn('GITHUB_API', 'No message found for current date:', currentDate);
+        logger.log('AUDIO_PLAYBACK', '✅ Created audio player');
+      } catch (error) {
+        logger.error('AUDIO_PLAYBACK', 'Failed to create audio player:', error);
+      }
+
+      // Load word timings if available
+      if (message.wordTimings) {
+        this.wordTimings = message.wordTimings;
+        logger.log('AUDIO_PLAYBACK', '✅ Loaded word timings:', this.wordTimings.length, 'words');
       }
-    } catch (error) {
-      logger.warn('GITHUB_API', 'Failed to load current message from GitHub:', error);
-      logger.warn('GITHUB_API', 'Using fallback message');
-      // Keep using the fallback message set in constructor
     }
   }
 
@@ -1247,20 +1835,20 @@ export class GameCore {
     // Spawn particles
     for (let i = 0; i < particleConfig.count; i++) {
       const spreadAngle = particleConfig.spreadAngle * (Math.PI / 180); // Convert to radians
-      const randomAngle = (Math.random() - 0.5) * spreadAngle; // Random angle within spread
+      const randomAngle = (this.random() - 0.5) * spreadAngle; // Random angle within spread
 
       // Base direction (away from wall) + random spread
       const baseAngle = directionX > 0 ? 0 : Math.PI; // 0 = right, PI = left
       const finalAngle = baseAngle + randomAngle;
 
       // Random velocity magnitude (scaled for responsive sizing)
-      const baseSpeed = particleConfig.velocityMin + Math.random() * (particleConfig.velocityMax - particleConfig.velocityMin);
+      const baseSpeed = particleConfig.velocityMin + this.random() * (particleConfig.velocityMax - particleConfig.velocityMin);
       const speed = baseSpeed * scale;
       const vx = Math.cos(finalAngle) * speed;
-      const vy = (Math.random() - 0.5) * speed * 0.5; // Slight vertical variation
+      const vy = (this.random() - 0.5) * speed * 0.5; // Slight vertical variation
 
       // Random size (scaled by mascot radius for responsive sizing)
-      const baseSize = particleConfig.sizeMin + Math.random() * (particleConfig.sizeMax - particleConfig.sizeMin);
+      const baseSize = particleConfig.sizeMin + this.random() * (particleConfig.sizeMax - particleConfig.sizeMin);
       const size = baseSize * scale;
 
       this.particles.push({
@@ -1270,7 +1858,7 @@ export class GameCore {
         vy,
         size,
         opacity: 1,
-        timestamp: Date.now(),
+        timestamp: this.now(),
       });
     }
   }
@@ -1280,7 +1868,7 @@ export class GameCore {
    */
   updateParticles(delta) {
     const particleConfig = config.walls.particles;
-    const currentTime = Date.now();
+    const currentTime = this.now();
 
     // Calculate responsive scale for gravity
     const scale = this.mascotRadius / 30;
@@ -1317,7 +1905,7 @@ export class GameCore {
    */
   updateWallGlows() {
     const glowConfig = config.walls.glow;
-    const currentTime = Date.now();
+    const currentTime = this.now();
 
     // Remove fully faded glows
     this.wallGlows = this.wallGlows.filter(glow => {
@@ -1325,6 +1913,13 @@ export class GameCore {
       return age < glowConfig.fadeOutMs;
     });
 
+    // Remove fully faded edge crossings
+    const edgeCrossingConfig = config.walls.edgeCrossing;
+    this.edgeCrossings = this.edgeCrossings.filter(crossing => {
+      const age = currentTime - crossing.timestamp;
+      return age < edgeCrossingConfig.fadeOutMs;
+    });
+
     // Remove old bounce ripples
     const rippleDuration = config.physics.mascot.bounceJuice.ripple.duration;
     this.bounceRipples = this.bounceRipples.filter(ripple => {
@@ -1340,7 +1935,7 @@ export class GameCore {
   updateCoins() {
     if (!config.coins.enabled) return;
 
-    const currentTime = Date.now();
+    const currentTime = this.now();
     const totalDuration = config.coins.physics.lifetime + config.coins.physics.fadeDuration;
     const gravity = config.coins.physics.gravity;
 
@@ -1373,7 +1968,7 @@ export class GameCore {
   getCoins() {
     if (!config.coins.enabled) return [];
 
-    const currentTime = Date.now();
+    const currentTime = this.now();
     return this.coins.map(coin => {
       const age = currentTime - coin.timestamp;
       let opacity = 1.0;
@@ -1430,6 +2025,13 @@ export class GameCore {
     return this.wallGlows;
   }
 
+  /**
+   * Get edge crossings for rendering (wrap mode)
+   */
+  getEdgeCrossings() {
+    return this.edgeCrossings;
+  }
+
   /**
    * Get bounce ripples for rendering
    */
@@ -1492,7 +2094,7 @@ export class GameCore {
   addDebugCoin() {
     if (config.coins.enabled) {
       this.coinCount++;
-      const currentTime = Date.now();
+      const currentTime = this.now();
       const mascotPos = this.getMascotPosition();
       this.coins.push({
         x: mascotPos.x,
@@ -1500,9 +2102,9 @@ export class GameCore {
         vx: config.coins.physics.velocityX,
         vy: config.coins.physics.velocityY,
         timestamp: currentTime,
-        rotationPhase: Math.random() * Math.PI * 2,
+        rotationPhase: this.random() * Math.PI * 2,
       });
-      playSound('pickup-coin');
+      this.playGameSound('pickup-coin');
     }
   }
 
@@ -1513,6 +2115,13 @@ export class GameCore {
     return this.gameStarted;
   }
 
+  /**
+   * Whether a run is in progress (first Gelato drawn, not yet reset - true while a zen respawn floats in)
+   */
+  getRunBegun() {
+    return this.runBegun;
+  }
+
   /**
    * Get has lost state
    */
@@ -1520,6 +2129,41 @@ export class GameCore {
     return this.hasLost;
   }
 
+  /**
+   * Get active game mode id
+   */
+  getGameMode() {
+    return this.mode.id;
+  }
+
+  /**
+   * Milliseconds since the first Gelato of this run (0 while idle)
+   */
+  getRunElapsed() {
+    return this.runStartTime !== null ? this.now() - this.runStartTime : 0;
+  }
+
+  /**
+   * Get mode HUD data
+   * Returns { mode, timeRemainingMs (null = no limit), wordCount, endReason }
+   */
+  getModeStatus() {
+    const { timeLimitMs } = this.mode;
+    return {
+      mode: this.mode.id,
+      timeRemainingMs: timeLimitMs ? Math.max(0, timeLimitMs - this.getRunElapsed()) : null,
+      wordCount: this.runWordCount,
+      endReason: this.endReason,
+    };
+  }
+
+  /**
+   * Get RNG seed (null when running on unseeded Math.random)
+   */
+  getSeed() {
+    return this.seed;
+  }
+
   /**
    * Clean up resources
    */
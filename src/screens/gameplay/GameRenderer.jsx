@@ -2,6 +2,7 @@ import React, { useEffect, useRef, memo } from 'react';
 import { Canvas, Circle, Fill, Line, Rect, RoundedRect, vec, DashPathEffect, Path, Skia, Group, Oval, Blur, LinearGradient } from '@shopify/react-native-skia';
 import { Text, View, StyleSheet, Animated } from 'react-native';
 import { config } from '../../config';
+import { blendPathTowardLine } from '../../shared/utils/drawing';
 // Wall glow feature added
 // Load Inter font (clean, geometric, open-source)
 if (typeof document !== 'undefined') {
@@ -328,7 +329,8 @@ function ZogChanFace({ x, y, color, isSpeaking, radius }) {
  */
 const GameRendererComponent = ({ width, height, gameState, frame, lines = [], currentPath = null, debugMode = false }) => {
   // Extract values from shared state object (read directly, no React reconciliation)
-  const { mascotPos, obstacles = [], bounceImpact, gelatoCreationTime, currentWord, mascotVelocityY = 0, mascotRadius = 45, parallaxStars = [], trails = [], primaryColor = '#FFFFFF', particles = [], wallGlows = [], bounceRipples = [], lastBounceScale = null, deathFadeProgress = 0, deathStartTime = null, coinCountCutsceneActive = false, coinCountCutsceneStartTime = null, coins = [], coinCount = 0 } = gameState;
+  const { mascotPos, obstacles = [], currentWord, mascotVelocityY = 0, mascotRadius = 45, parallaxStars = [], trails = [], primaryColor = '#FFFFFF', particles = [], wallGlows = [], edgeCrossings = [], bounceRipples = [], lastBounceScale = null, deathFadeProgress = 0, deathStartTime = null, coinCountCutsceneActive = false, coinCountCutsceneStartTime = null, coins = [], coinCount = 0, now = Date.now() } = gameState;
+  // now = game clock time (GameCore.now()); all effect timestamps come from that clock, so animations compare against it
   const mascotX = mascotPos.x;
   const mascotY = mascotPos.y;
 
@@ -338,46 +340,8 @@ const GameRendererComponent = ({ width, height, gameState, frame, lines = [], cu
   // Frame is used to trigger re-render but not read directly
   // eslint-disable-next-line no-unused-vars
   const _frame = frame;
-  // Calculate word opacity based on configured fade mode
-  let wordOpacity = 0;
-
-  if (currentWord) {
-    if (config.visuals.wordFadeMode === 'velocity') {
-      // Velocity-based fade: opacity synced 1:1 with ball motion
-      if (currentWord.initialVelocityY !== undefined) {
-        // At bounce: initialVelocityY is negative (upward)
-        // As ball falls: velocityY increases toward positive (downward)
-        // Fade from 100% to 0% as velocity goes from initial (negative) to 0 (peak) to positive
-        const velocityRange = Math.abs(currentWord.initialVelocityY);
-        const velocityChange = mascotVelocityY - currentWord.initialVelocityY;
-
-        // Normalize velocity change: 0 at bounce, 1 when velocity reverses completely
-        const fadeProgress = Math.min(1, Math.max(0, velocityChange / (velocityRange * 2)));
-        wordOpacity = 1 - fadeProgress;
-      }
-    } else if (config.visuals.wordFadeMode === 'static') {
-      // Static/time-based fade: three-phase animation (fade-in, persist, fade-out)
-      const timeSinceReveal = Date.now() - currentWord.timestamp;
-      const fadeInDuration = config.visuals.wordFadeInMs;
-      const persistDuration = config.visuals.wordPersistMs;
-      const fadeOutDuration = config.visuals.wordFadeOutMs;
-
-      if (timeSinceReveal < fadeInDuration) {
-        // Phase 1: Fade in from 0% → 100%
-        wordOpacity = timeSinceReveal / fadeInDuration;
-      } else if (timeSinceReveal < fadeInDuration + persistDuration) {
-        // Phase 2: Stay at 100%
-        wordOpacity = 1;
-      } else if (timeSinceReveal < fadeInDuration + persistDuration + fadeOutDuration) {
-        // Phase 3: Fade out from 100% → 0%
-        const fadeOutProgress = (timeSinceReveal - fadeInDuration - persistDuration) / fadeOutDuration;
-        wordOpacity = 1 - fadeOutProgress;
-      } else {
-        // Fully faded out
-        wordOpacity = 0;
-      }
-    }
-  }
+  // Word opacity is calculated by GameCore for the active fade mode ('velocity' or 'static')
+  const wordOpacity = currentWord ? currentWord.opacity ?? 0 : 0;
 
   // Calculate word vertical offset - DIRECT 1:1 mapping with velocity
   // Negative velocity (up) = negative offset (up), positive velocity (down) = positive offset (down)
@@ -405,7 +369,7 @@ const GameRendererComponent = ({ width, height, gameState, frame, lines = [], cu
           // Calculate twinkle effect (subtle opacity pulsing)
           let twinkledOpacity = star.opacity;
           if (config.parallax.twinkle.enabled) {
-            const time = Date.now() / 1000; // Current time in seconds
+            const time = now / 1000; // Current time in seconds
             const { speed, intensity } = config.parallax.twinkle;
             
             // Each star twinkles at its own rate with unique phase offset
@@ -447,21 +411,20 @@ const GameRendererComponent = ({ width, height, gameState, frame, lines = [], cu
 
       {/* Draw all completed lines (Gelatos) with deformation effect */}
       {lines.map((line, index) => {
-        // Render curved path if enabled and path exists
-        if (config.gelato.renderMode === 'curved' && line.originalPath && line.originalPath.length > 1) {
+        // Each Gelato animates independently (own pop-in, bounce deformation and fade-out)
+        const { bounceImpact, creationTime: gelatoCreationTime } = line;
+
+        // Render curved path if enabled and path exists (segmented Gelatos are always drawn as their exact polyline)
+        if ((line.segmented || config.gelato.renderMode === 'curved') && line.originalPath && line.originalPath.length > 1) {
           // Base blend: Interpolate each point toward straight line using curveBlend
-          const blendAmount = config.gelato.curveBlend; // 0.0 to 1.0
-          const blendedPoints = line.originalPath.map((point, i) => {
-            const t = i / (line.originalPath.length - 1);
-            const straightX = line.startX + (line.endX - line.startX) * t;
-            const straightY = line.startY + (line.endY - line.startY) * t;
-            // blendAmount = 0.0 → use straight line (straightX)
-            // blendAmount = 1.0 → use original drawing (point.x)
-            // blendAmount = 0.5 → 50/50 mix
-            const blendedX = point.x * blendAmount + straightX * (1 - blendAmount);
-            const blendedY = point.y * blendAmount + straightY * (1 - blendAmount);
-            return { x: blendedX, y: blendedY };
-          });
+          // (same helper GameCore uses for the curved physics body, so visual and hitbox match)
+          const blendAmount = line.segmented ? 1.0 : config.gelato.curveBlend; // 0.0 to 1.0
+          const blendedPoints = blendPathTowardLine(
+            line.originalPath,
+            { x: line.startX, y: line.startY },
+            { x: line.endX, y: line.endY },
+            blendAmount
+          );
 
           // Calculate perpendicular direction for deformations
           const dx = line.endX - line.startX;
@@ -473,7 +436,7 @@ const GameRendererComponent = ({ width, height, gameState, frame, lines = [], cu
           // Apply creation pop-in oscillation
           let creationBendAmount = 0;
           if (gelatoCreationTime) {
-            const timeSinceCreation = Date.now() - gelatoCreationTime;
+            const timeSinceCreation = now - gelatoCreationTime;
             const creationConfig = config.gelato.creation;
 
             if (timeSinceCreation < creationConfig.duration) {
@@ -488,7 +451,7 @@ const GameRendererComponent = ({ width, height, gameState, frame, lines = [], cu
           // Apply bounce deformation oscillation
           let bounceBendAmount = 0;
           if (bounceImpact && bounceImpact.timestamp) {
-            const timeSinceBounce = Date.now() - bounceImpact.timestamp;
+            const timeSinceBounce = now - bounceImpact.timestamp;
             const deformConfig = config.gelato.deformation;
 
             if (timeSinceBounce < deformConfig.duration) {
@@ -526,7 +489,7 @@ const GameRendererComponent = ({ width, height, gameState, frame, lines = [], cu
           // Calculate fade-out opacity after bounce
           let opacity = 1;
           if (bounceImpact && bounceImpact.timestamp) {
-            const timeSinceBounce = Date.now() - bounceImpact.timestamp;
+            const timeSinceBounce = now - bounceImpact.timestamp;
             const fadeOutDuration = config.gelato.fadeOutDuration;
             const fadeProgress = Math.min(timeSinceBounce / fadeOutDuration, 1);
             opacity = 1 - fadeProgress;
@@ -547,7 +510,7 @@ const GameRendererComponent = ({ width, height, gameState, frame, lines = [], cu
 
         // Check if we should apply deformation or fade to this line
         if (bounceImpact && bounceImpact.timestamp) {
-          const timeSinceBounce = Date.now() - bounceImpact.timestamp;
+          const timeSinceBounce = now - bounceImpact.timestamp;
           const deformConfig = config.gelato.deformation;
           const fadeOutDuration = config.gelato.fadeOutDuration;
 
@@ -626,7 +589,7 @@ const GameRendererComponent = ({ width, height, gameState, frame, lines = [], cu
 
         // Check for creation animation (pop-in effect)
         if (gelatoCreationTime) {
-          const timeSinceCreation = Date.now() - gelatoCreationTime;
+          const timeSinceCreation = now - gelatoCreationTime;
           const creationConfig = config.gelato.creation;
 
           if (timeSinceCreation < creationConfig.duration) {
@@ -690,24 +653,22 @@ const GameRendererComponent = ({ width, height, gameState, frame, lines = [], cu
         );
       })}
 
-      {/* Debug visualization: Show actual physics hitbox for gelato forgiveness */}
-      {debugMode && gameState.gelato && (() => {
-        const gelato = gameState.gelato;
+      {/* Debug visualization: Show actual physics hitboxes for gelato forgiveness */}
+      {debugMode && gameState.gelatos && gameState.gelatos.map((gelato, index) => (
         // Draw semi-transparent red rectangle showing actual physics hitbox
-        return (
-          <Rect
-            x={gelato.x - gelato.width / 2}
-            y={gelato.y - gelato.height / 2}
-            width={gelato.width}
-            height={gelato.height}
-            color="#FF000040"
-            style="stroke"
-            strokeWidth={2}
-            transform={[{ rotate: gelato.angle }]}
-            origin={vec(gelato.x, gelato.y)}
-          />
-        );
-      })()}
+        <Rect
+          key={`gelato-hitbox-${index}`}
+          x={gelato.x - gelato.width / 2}
+          y={gelato.y - gelato.height / 2}
+          width={gelato.width}
+          height={gelato.height}
+          color="#FF000040"
+          style="stroke"
+          strokeWidth={2}
+          transform={[{ rotate: gelato.angle }]}
+          origin={vec(gelato.x, gelato.y)}
+        />
+      ))}
 
       {/* Motion trails behind ball - supports multiple overlapping trails */}
       {trails.map((trailData, trailIdx) => {
@@ -778,7 +739,7 @@ const GameRendererComponent = ({ width, height, gameState, frame, lines = [], cu
       })}
 
       {/* Draw current path being drawn (dotted curved preview) */}
-      {currentPath && currentPath.length >= 2 && (() => {
+      {currentPath && currentPath.length >= 2 && config.drawing.approach !== 'segmented' && (() => {
         const path = Skia.Path.Make();
         path.moveTo(currentPath[0].x, currentPath[0].y);
         for (let i = 1; i < currentPath.length; i++) {
@@ -798,6 +759,49 @@ const GameRendererComponent = ({ width, height, gameState, frame, lines = [], cu
         );
       })()}
 
+      {/* Segmented preview: committed grid segments solid, pending segment (to finger) dotted */}
+      {currentPath && currentPath.length >= 2 && config.drawing.approach === 'segmented' && (() => {
+        const committedPoints = currentPath.slice(0, -1);
+        const lastCommitted = committedPoints[committedPoints.length - 1];
+        const fingerPoint = currentPath[currentPath.length - 1];
+
+        const committedPath = Skia.Path.Make();
+        committedPath.moveTo(committedPoints[0].x, committedPoints[0].y);
+        for (let i = 1; i < committedPoints.length; i++) {
+          committedPath.lineTo(committedPoints[i].x, committedPoints[i].y);
+        }
+
+        const pendingPath = Skia.Path.Make();
+        pendingPath.moveTo(lastCommitted.x, lastCommitted.y);
+        pendingPath.lineTo(fingerPoint.x, fingerPoint.y);
+
+        return (
+          <>
+            {committedPoints.length >= 2 && (
+              <Path
+                path={committedPath}
+                color={primaryColor}
+                opacity={0.6}
+                style="stroke"
+                strokeWidth={config.gelato.previewThickness || config.gelato.thickness}
+                strokeCap="round"
+                strokeJoin="round"
+              />
+            )}
+            <Path
+              path={pendingPath}
+              color={primaryColor}
+              opacity={0.4}
+              style="stroke"
+              strokeWidth={config.gelato.previewThickness || config.gelato.thickness}
+              strokeCap="round"
+            >
+              <DashPathEffect intervals={[1, 15]} />
+            </Path>
+          </>
+        );
+      })()}
+
       {/* Wall bounce particles (dust clouds) */}
       {particles.map((particle, index) => (
         <Circle
@@ -817,7 +821,7 @@ const GameRendererComponent = ({ width, height, gameState, frame, lines = [], cu
         const glowRadiusY = mascotRadius * config.physics.mascot.glow.scaleY;
 
         // Pulsating animation using sine wave
-        const time = Date.now() / 1000; // Convert to seconds
+        const time = now / 1000; // Convert to seconds
         const pulsePhase = (Math.sin(time * Math.PI * 2 / config.physics.mascot.glow.pulseSpeed) + 1) / 2; // 0 to 1
         const pulseAmount = config.physics.mascot.glow.pulseAmount;
         const baseOpacity = config.physics.mascot.glow.opacity;
@@ -851,7 +855,7 @@ const GameRendererComponent = ({ width, height, gameState, frame, lines = [], cu
       {/* Wall glow effects (impact feedback on side walls) */}
       {config.walls.glow.enabled && wallGlows.map((glow, index) => {
         const glowConfig = config.walls.glow;
-        const currentTime = Date.now();
+        const currentTime = now;
         const age = currentTime - glow.timestamp;
 
         // Calculate opacity: fade from peak to 0 linearly
@@ -883,10 +887,39 @@ const GameRendererComponent = ({ width, height, gameState, frame, lines = [], cu
         );
       })}
 
+      {/* Edge-crossing glows (wrap mode - ball passed through a screen edge) */}
+      {config.walls.edgeCrossing.enabled && edgeCrossings.map((crossing, index) => {
+        const crossingConfig = config.walls.edgeCrossing;
+        const age = now - crossing.timestamp;
+
+        // Fade from peak to 0 linearly
+        const fadeProgress = age / crossingConfig.fadeOutMs;
+        const crossingOpacity = Math.max(0, (1 - fadeProgress) * crossingConfig.opacity);
+
+        // Centered exactly on the screen edge (half the glow spills off-screen)
+        const glowX = crossing.side === 'left' ? 0 : width;
+        const glowWidth = mascotRadius * crossingConfig.scaleX;
+        const glowHeight = mascotRadius * crossingConfig.scaleY;
+
+        return (
+          <Oval
+            key={`edge-crossing-${index}`}
+            x={glowX - glowWidth}
+            y={crossing.y - glowHeight}
+            width={glowWidth * 2}
+            height={glowHeight * 2}
+            color={primaryColor}
+            opacity={crossingOpacity}
+          >
+            <Blur blur={crossingConfig.blur} />
+          </Oval>
+        );
+      })}
+
       {/* Bounce ripple effects */}
       {config.physics.mascot.bounceJuice.ripple.enabled && bounceRipples.map((ripple, index) => {
         const rippleConfig = config.physics.mascot.bounceJuice.ripple;
-        const currentTime = Date.now();
+        const currentTime = now;
         const age = currentTime - ripple.timestamp;
         const progress = Math.min(age / rippleConfig.duration, 1);
 
@@ -920,7 +953,7 @@ const GameRendererComponent = ({ width, height, gameState, frame, lines = [], cu
           let scale = 1.0;
           if (config.physics.mascot.bounceJuice.scale.enabled && lastBounceScale) {
             const scaleConfig = config.physics.mascot.bounceJuice.scale;
-            const currentTime = Date.now();
+            const currentTime = now;
             const age = currentTime - lastBounceScale.timestamp;
 
             if (age < scaleConfig.duration) {
@@ -931,27 +964,38 @@ const GameRendererComponent = ({ width, height, gameState, frame, lines = [], cu
             }
           }
 
+          // Wrap mode: while the ball straddles a screen edge, also draw it on the opposite side
+          const mascotXs = [mascotX];
+          if (config.walls.behavior === 'wrap') {
+            if (mascotX - mascotRadius < 0) mascotXs.push(mascotX + width);
+            if (mascotX + mascotRadius > width) mascotXs.push(mascotX - width);
+          }
+
           return (
             <>
-              <Circle
-                cx={mascotX}
-                cy={mascotY}
-                r={mascotRadius * scale}
-                color={primaryColor}
-                style="stroke"
-                strokeWidth={config.gelato.thickness}
-              />
-
-              {/* ZogChan Face */}
-              {config.physics.mascot.face.enabled && (
-                <ZogChanFace
-                  x={mascotX}
-                  y={mascotY}
-                  color={primaryColor}
-                  isSpeaking={currentWord !== null}
-                  radius={mascotRadius * scale}
-                />
-              )}
+              {mascotXs.map((x, copyIndex) => (
+                <React.Fragment key={`mascot-${copyIndex}`}>
+                  <Circle
+                    cx={x}
+                    cy={mascotY}
+                    r={mascotRadius * scale}
+                    color={primaryColor}
+                    style="stroke"
+                    strokeWidth={config.gelato.thickness}
+                  />
+
+                  {/* ZogChan Face */}
+                  {config.physics.mascot.face.enabled && (
+                    <ZogChanFace
+                      x={x}
+                      y={mascotY}
+                      color={primaryColor}
+                      isSpeaking={currentWord !== null}
+                      radius={mascotRadius * scale}
+                    />
+                  )}
+                </React.Fragment>
+              ))}
 
               {/* Coin animations */}
               {config.coins.enabled && coins.map((coin, index) => {
@@ -993,7 +1037,7 @@ const GameRendererComponent = ({ width, height, gameState, frame, lines = [], cu
         const fadeInMs = config.coins.deathScreen.fadeInMs;
         
         // Calculate coin count opacity based on time since cutscene started
-        const currentTime = Date.now();
+        const currentTime = now;
         const timeSinceCutsceneStart = currentTime - coinCountCutsceneStartTime;
         
         let coinCountOpacity = 0;
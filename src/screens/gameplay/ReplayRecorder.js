@@ -0,0 +1,176 @@
+import { logger } from '../../shared/utils/logger';
+
+/**
+ * Replay format version - bump when the replay shape or input semantics change
+ */
+export const REPLAY_VERSION = 1;
+
+/**
+ * Flatten a path of {x, y} points into [x0, y0, x1, y1, ...] (compact JSON)
+ * @param {Array} path - Path points [{x, y}, ...]
+ * @returns {Array<number>}
+ */
+export function flattenPath(path) {
+  const flat = [];
+  for (const point of path) {
+    flat.push(point.x, point.y);
+  }
+  return flat;
+}
+
+/**
+ * Expand a flattened path back into {x, y} points
+ * @param {Array<number>} flat - [x0, y0, x1, y1, ...]
+ * @returns {Array} - Path points [{x, y}, ...]
+ */
+export function expandPath(flat) {
+  const path = [];
+  for (let i = 0; i < flat.length; i += 2) {
+    path.push({ x: flat[i], y: flat[i + 1] });
+  }
+  return path;
+}
+
+/**
+ * ReplayRecorder - Captures each run (reset → reset) as a compact JSON replay
+ *
+ * GameCore calls into the recorder at run start, on every createGelato()/createSegmentedGelato(),
+ * on loss and at run end. Inputs are keyed by physics step since run start (what the replay
+ * player uses - exact) and by ms since run start (for humans reading the JSON).
+ *
+ * A run starts at the ball's entrance (construction, reset or zen respawn). Zen runs don't reset
+ * the message, so a run after a respawn records the word it starts on (startWordIndex).
+ *
+ * Exact playback requires the recorded GameCore to run on a clock that advances by `timestep`
+ * per step (see createManualClock), so the replay can rebuild the same timeline from clockStart.
+ * The RNG only drives cosmetics (particles, stars, sound variants), so later runs in a session
+ * still replay the same trajectory, word reveals and loss time even though the RNG has moved on.
+ *
+ * Replay shape:
+ * {
+ *   version, recordedAt, seed, timestep, clockStart,
+ *   width, height, responsiveConfig: { mascotRadius, gelatoMaxLength },
+ *   mode, difficulty, tuning: { gravityY, springBoost, angleQuantization }, message: [...words], startWordIndex,
+ *   inputs: [{ step, t, type: 'gelato', line: [x1, y1, x2, y2], path: [x0, y0, ...] | null }
+ *          | { step, t, type: 'segmented', path: [x0, y0, ...] }],
+ *   loss: { step, t } | null,
+ *   duration: { step, t },
+ * }
+ */
+export class ReplayRecorder {
+  /**
+   * @param {Object} options
+   * @param {number} options.timestep - Fixed physics timestep in ms (GameCore.step() delta)
+   * @param {Function} options.onReplay - Called with each finished replay (runs without input are skipped)
+   */
+  constructor({ timestep, onReplay = null }) {
+    this.timestep = timestep;
+    this.onReplay = onReplay;
+    this.run = null; // { startStep, startTime, startWordIndex, inputs, loss }
+  }
+
+  /**
+   * Start recording a new run (called by GameCore on construction, after each reset/zen respawn
+   * and on a mode switch)
+   * Anchored to the ball's entrance, so a run restarted while the ball already floats (mode switch)
+   * still lines up with the fresh GameCore the replay starts from
+   */
+  startRun(core) {
+    const stepsSinceEntrance = Math.round((core.now() - core.entranceStartTime) / this.timestep);
+    this.run = {
+      startStep: core.stepCount - stepsSinceEntrance,
+      startTime: core.entranceStartTime,
+      startWordIndex: core.wordIndex,
+      inputs: [],
+      loss: null,
+    };
+  }
+
+  /**
+   * Record a straight/curved Gelato (arguments exactly as passed to GameCore.createGelato)
+   */
+  recordGelato(core, startX, startY, endX, endY, originalPath) {
+    if (!this.run) return;
+    this.run.inputs.push({
+      ...this.getRunTiming(core),
+      type: 'gelato',
+      line: [startX, startY, endX, endY],
+      path: originalPath ? flattenPath(originalPath) : null,
+    });
+  }
+
+  /**
+   * Record a segmented Gelato (vertices exactly as passed to GameCore.createSegmentedGelato)
+   */
+  recordSegmentedGelato(core, vertices) {
+    if (!this.run) return;
+    this.run.inputs.push({
+      ...this.getRunTiming(core),
+      type: 'segmented',
+      path: flattenPath(vertices),
+    });
+  }
+
+  /**
+   * Record the moment the ball fell off screen
+   */
+  recordLoss(core) {
+    if (!this.run) return;
+    this.run.loss = this.getRunTiming(core);
+  }
+
+  /**
+   * Finish the current run and hand its replay to onReplay
+   */
+  endRun(core) {
+    const replay = this.getCurrentReplay(core);
+    this.run = null;
+
+    if (replay) {
+      logger.log('REPLAY', `🎬 Recorded run: ${replay.inputs.length} gelatos, ${(replay.duration.t / 1000).toFixed(1)}s${replay.loss ? `, lost at ${(replay.loss.t / 1000).toFixed(1)}s` : ''}`);
+      this.onReplay?.(replay);
+    }
+  }
+
+  /**
+   * Build a replay of the run recorded so far (null if nothing was drawn yet)
+   * @returns {Object|null}
+   */
+  getCurrentReplay(core) {
+    if (!this.run || this.run.inputs.length === 0) {
+      return null;
+    }
+
+    return {
+      version: REPLAY_VERSION,
+      recordedAt: new Date().toISOString(),
+      seed: core.seed,
+      timestep: this.timestep,
+      clockStart: this.run.startTime,
+      width: core.width,
+      height: core.height,
+      responsiveConfig: {
+        mascotRadius: core.mascotRadius,
+        gelatoMaxLength: core.gelatoMaxLength,
+      },
+      mode: core.mode.id,
+      difficulty: core.difficulty,
+      tuning: core.tuning,
+      message: [...core.message],
+      startWordIndex: this.run.startWordIndex,
+      inputs: [...this.run.inputs],
+      loss: this.run.loss,
+      duration: this.getRunTiming(core),
+    };
+  }
+
+  /**
+   * Steps and ms elapsed since the current run started
+   */
+  getRunTiming(core) {
+    return {
+      step: core.stepCount - this.run.startStep,
+      t: core.now() - this.run.startTime,
+    };
+  }
+}
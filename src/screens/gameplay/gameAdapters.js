@@ -0,0 +1,25 @@
+import { createAudioPlayer } from 'expo-audio';
+import { playSound, playDeathArpeggio } from '../../shared/utils/audio';
+import { triggerHaptic } from '../../shared/utils/haptics';
+import { notifyBounce, notifyMessageRestart, getPrimaryColor } from '../../shared/services/primaryColorManager';
+
+/**
+ * Real side-effect adapters for GameCore inside the app
+ * (GameCore defaults to no-ops so it can also run headless - see scripts/simulate.mjs)
+ */
+export const appAdapters = {
+  audio: {
+    playSound,
+    playDeathArpeggio,
+    createPlayer: (uri) => createAudioPlayer({ uri }),
+  },
+  haptics: {
+    // Use runtime config if available (from haptics debug menu), otherwise use default
+    trigger: (eventName) => triggerHaptic(eventName, global.runtimeHapticsConfig),
+  },
+  color: {
+    notifyBounce,
+    notifyMessageRestart,
+    getPrimaryColor,
+  },
+};
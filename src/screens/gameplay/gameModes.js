@@ -0,0 +1,53 @@
+import { config } from '../../config';
+
+/**
+ * Game modes - the rules around GameCore's "fall → draw → bounce" loop
+ *
+ * GameCore asks the active mode what happens at each decision point:
+ *   difficulty     - Whether bounces speed up time (config.difficulty)
+ *   onFall(core)   - Ball dropped below the screen: lose the run or respawn it
+ *   onStep(core)   - Once per physics step while a run is in progress (e.g. a countdown)
+ *   timeLimitMs    - Run length for timed modes (null = no limit), used for HUD countdowns
+ *
+ * A new mode only needs an entry here (plus a label) - GameApp lists them on the idle screen.
+ */
+export const GAME_MODES = {
+  endless: {
+    id: 'endless',
+    label: 'endless',
+    difficulty: true,
+    timeLimitMs: null,
+    onFall: (core) => core.handleLoss('fall'),
+  },
+
+  zen: {
+    id: 'zen',
+    label: 'zen',
+    difficulty: false,
+    timeLimitMs: null,
+    // No death: catch the ball and float it back in, message keeps going
+    onFall: (core) => core.respawnMascot(),
+  },
+
+  timed: {
+    id: 'timed',
+    label: 'timed',
+    difficulty: true,
+    timeLimitMs: config.gameModes.timed.durationMs,
+    onFall: (core) => core.handleLoss('fall'),
+    onStep: (core) => {
+      if (core.getRunElapsed() >= core.mode.timeLimitMs) {
+        core.handleLoss('time');
+      }
+    },
+  },
+};
+
+/**
+ * Look up a mode by id (unknown ids fall back to endless)
+ * @param {string} id - Mode id ('endless', 'zen', 'timed')
+ * @returns {Object} Mode definition
+ */
+export function getGameMode(id) {
+  return GAME_MODES[id] || GAME_MODES.endless;
+}
@@ -0,0 +1,174 @@
+import { config } from '../../config';
+import { FALLBACK_MESSAGE } from './GameCore';
+import { BotPlayer } from './BotPlayer';
+import { REPLAY_VERSION } from './ReplayRecorder';
+import { ReplayRunner } from '../replay-player/ReplayRunner';
+
+const FIXED_TIMESTEP = 16.667; // Same 60 Hz physics step as GameApp / useGameLoop
+const DEFAULT_MAX_STEPS = 60 * 60 * 5; // 5 minutes of game time
+const DEFAULT_SWEEP_MAX_STEPS = 60 * 60 * 2; // 2 minutes per sweep run (counts as survived)
+
+/**
+ * Run a scripted scenario through GameCore headless (no audio, haptics, color or rendering)
+ *
+ * A scenario uses the replay input format, so a replay exported from the debug menu can be
+ * run as-is. Everything except inputs is optional:
+ * {
+ *   name, width, height, seed, message: [...words], responsiveConfig, mode, difficulty, tuning,
+ *   maxSteps,                     // Stop here if the ball never falls (default 5 minutes)
+ *   inputs: [{ step, line: [x1, y1, x2, y2], path: [x0, y0, ...] | null }
+ *          | { step, type: 'segmented', path: [x0, y0, ...] }],
+ * }
+ *
+ * Pass a BotPlayer to have it draw Gelatos live on top of (or instead of) the scripted inputs.
+ *
+ * @param {Object} scenario - Scripted inputs and settings
+ * @param {Object} options - Optional { bot }
+ * @param {BotPlayer} options.bot - Auto-drawer, updated before every physics step
+ * @returns {Object} { bounces, words: [{ word, step, t }], lossStep, lossTime, endReason, steps }
+ */
+export function runSimulation(scenario, { bot = null } = {}) {
+  const replay = {
+    version: REPLAY_VERSION,
+    seed: 0,
+    timestep: FIXED_TIMESTEP,
+    clockStart: 0,
+    width: 390,
+    height: 844,
+    responsiveConfig: null,
+    difficulty: null,
+    message: FALLBACK_MESSAGE,
+    inputs: [],
+    ...scenario,
+    duration: { step: scenario.maxSteps ?? scenario.duration?.step ?? DEFAULT_MAX_STEPS },
+  };
+
+  const runner = new ReplayRunner(replay);
+  const gameCore = runner.gameCore;
+  const words = [];
+  let lastWord = null;
+  let lossStep = null;
+  let lossTime = null;
+
+  while (!runner.isFinished()) {
+    bot?.update(gameCore);
+    runner.step();
+
+    // Word reveals (a new currentWord object per reveal)
+    if (gameCore.currentWord && gameCore.currentWord !== lastWord) {
+      words.push({ word: gameCore.currentWord.text, step: gameCore.stepCount, t: runner.getElapsed() });
+    }
+    lastWord = gameCore.currentWord;
+
+    if (gameCore.hasLost) {
+      lossStep = gameCore.stepCount;
+      lossTime = runner.getElapsed();
+      break;
+    }
+  }
+
+  const result = {
+    bounces: gameCore.bounceCount,
+    words,
+    lossStep,
+    lossTime,
+    endReason: gameCore.endReason,
+    steps: gameCore.stepCount,
+  };
+  runner.destroy();
+  return result;
+}
+
+/**
+ * Build GameCore overrides for one sweep combination
+ * Keys are dotted paths into config.difficulty ('difficulty.speed.end') or the GameCore tuning
+ * ('gravityY', 'springBoost', 'angleQuantization.numDirections')
+ * @returns {Object} { difficulty, tuning }
+ */
+function buildOverrides(params) {
+  const overrides = {
+    difficulty: structuredClone(config.difficulty),
+    tuning: {
+      gravityY: config.physics.gravityY,
+      springBoost: config.gelato.springBoost,
+      angleQuantization: structuredClone(config.physics.mascot.angleQuantization),
+    },
+  };
+
+  Object.entries(params).forEach(([path, value]) => {
+    const keys = path.split('.');
+    const target = keys[0] === 'difficulty' ? overrides : overrides.tuning;
+    const parent = keys.slice(0, -1).reduce((obj, key) => obj?.[key], target);
+    const last = keys[keys.length - 1];
+
+    if (!parent || !(last in parent)) {
+      throw new Error(`Unknown sweep parameter "${path}"`);
+    }
+    parent[last] = value;
+  });
+
+  return overrides;
+}
+
+/**
+ * Every combination of a parameter grid ({ key: [values] } → [{ key: value }])
+ */
+function gridCombinations(grid) {
+  return Object.entries(grid).reduce(
+    (combos, [key, values]) => combos.flatMap(combo => values.map(value => ({ ...combo, [key]: value }))),
+    [{}]
+  );
+}
+
+/**
+ * Play every combination of a parameter grid with the bot and report how long it survives
+ *
+ * grid: {
+ *   gravityY: [0.8, 1.0],
+ *   springBoost: [1.0, 1.25],
+ *   'difficulty.speed.end': [1.4, 1.7],
+ *   'angleQuantization.numDirections': [16, 32],
+ * }
+ *
+ * Each combination is played `runs` times with seeds 0..runs-1 (game and bot aim), so reports
+ * are reproducible and every combination faces the same aim errors.
+ *
+ * @param {Object} grid - Parameter values to try, keyed by dotted path
+ * @param {Object} options - Optional { runs, maxSteps, bot, scenario, onResult }
+ * @param {number} options.runs - Runs per combination (default: 5)
+ * @param {number} options.maxSteps - Step cap per run, reaching it counts as survived (default: 2 minutes)
+ * @param {Object} options.bot - BotPlayer options (reactionMs, aimError, ...)
+ * @param {Object} options.scenario - Base scenario (width, height, message, ...)
+ * @param {Function} options.onResult - Called with each combination's row as it finishes
+ * @returns {Array} [{ params, runs, avgBounces, minBounces, maxBounces, avgSurvivalMs, survived }]
+ */
+export function runSweep(grid, { runs = 5, maxSteps = DEFAULT_SWEEP_MAX_STEPS, bot = {}, scenario = {}, onResult } = {}) {
+  return gridCombinations(grid).map(params => {
+    const overrides = buildOverrides(params);
+    const bounces = [];
+    const survivalMs = [];
+    let survived = 0;
+
+    for (let seed = 0; seed < runs; seed++) {
+      const result = runSimulation(
+        { ...scenario, ...overrides, seed, maxSteps },
+        { bot: new BotPlayer({ ...bot, seed, timestep: scenario.timestep }) }
+      );
+      bounces.push(result.bounces);
+      survivalMs.push(result.lossTime ?? result.steps * (scenario.timestep ?? FIXED_TIMESTEP));
+      if (result.lossStep === null) survived++;
+    }
+
+    const row = {
+      params,
+      runs,
+      avgBounces: bounces.reduce((sum, n) => sum + n, 0) / runs,
+      minBounces: Math.min(...bounces),
+      maxBounces: Math.max(...bounces),
+      avgSurvivalMs: survivalMs.reduce((sum, ms) => sum + ms, 0) / runs,
+      survived,
+    };
+    onResult?.(row);
+    return row;
+  });
+}
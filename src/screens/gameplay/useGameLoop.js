@@ -1,5 +1,6 @@
 import { useEffect, useRef, useState } from 'react';
 import { GameCore } from './GameCore';
+import { appAdapters } from './gameAdapters';
 import { getResponsiveConfig } from '../../config';
 
 /**
@@ -55,7 +56,8 @@ export function useGameLoop(dimensions, customMessage = null, audioUri = null, w
       audioUri,
       wordTimings,
       wordAudioSegments,
-      responsiveConfig
+      responsiveConfig,
+      { adapters: appAdapters }
     );
 
     let animationFrameId;
@@ -103,11 +105,11 @@ export function useGameLoop(dimensions, customMessage = null, audioUri = null, w
       trail.current = trailData.trail;
       primaryColor.current = gameCore.current.getPrimaryColor();
 
-      // Sync lines with GameCore (updates when gelato destroyed after fade)
+      // Sync lines with GameCore (updates when a gelato is added, evicted or destroyed after fade)
       const currentGelatoData = gameCore.current.getGelatoLineData();
       if (currentGelatoData !== lastGelatoData.current) {
         lastGelatoData.current = currentGelatoData;
-        setLines(currentGelatoData ? [currentGelatoData] : []);
+        setLines(currentGelatoData);
       }
 
       // Force re-render (at display refresh rate for smooth visuals)
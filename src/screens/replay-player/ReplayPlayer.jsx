@@ -0,0 +1,239 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { View, Text, StyleSheet, Dimensions, Pressable, Platform } from 'react-native';
+import { Feather } from '@expo/vector-icons';
+import { GameRenderer } from '../gameplay/GameRenderer';
+import { ReplayRunner } from './ReplayRunner';
+import { appAdapters } from '../gameplay/gameAdapters';
+import { getPrimaryColor } from '../../shared/services/primaryColorManager';
+import { logger } from '../../shared/utils/logger';
+
+const SPEED_OPTIONS = [0.5, 1, 2, 4];
+
+/**
+ * ReplayPlayer - Watch a recorded run
+ * Plays a replay through a fresh GameCore (see ReplayRunner) and renders it with GameRenderer.
+ * The recorded screen size is scaled to fit the current window. Touch input is ignored.
+ *
+ * @param {Object} replay - Replay from ReplayRecorder / replayStorage
+ * @param {Function} onClose - Called when the player is dismissed
+ */
+export function ReplayPlayer({ replay, onClose }) {
+  const [windowSize] = useState(() => {
+    const { width, height } = Dimensions.get('window');
+    return { width, height };
+  });
+  const scale = Math.min(windowSize.width / replay.width, windowSize.height / replay.height, 1);
+
+  const runner = useRef(null);
+  const gameState = useRef({ mascotPos: { x: replay.width / 2, y: 100 } });
+  const [frame, setFrame] = useState(0);
+  const [lines, setLines] = useState([]);
+  const lastGelatoData = useRef(null);
+
+  // Playback controls
+  const [playing, setPlaying] = useState(true);
+  const [speed, setSpeed] = useState(1);
+  const [restartKey, setRestartKey] = useState(0);
+  const [error, setError] = useState(null);
+  const playingRef = useRef(playing);
+  const speedRef = useRef(speed);
+
+  useEffect(() => {
+    playingRef.current = playing;
+  }, [playing]);
+
+  useEffect(() => {
+    speedRef.current = speed;
+  }, [speed]);
+
+  // Build a fresh runner and play it (restartKey rebuilds from the beginning)
+  useEffect(() => {
+    try {
+      runner.current = new ReplayRunner(replay, appAdapters);
+    } catch (err) {
+      logger.error('REPLAY', 'Failed to load replay:', err);
+      setError(err.message);
+      return;
+    }
+
+    let animationFrameId;
+    let lastTime = performance.now();
+    let accumulator = 0;
+
+    const animate = (currentTime) => {
+      const deltaTime = currentTime - lastTime;
+      lastTime = currentTime;
+
+      // Same fixed-timestep loop as the live game, scaled by playback speed
+      if (playingRef.current) {
+        accumulator += Math.min(deltaTime, 100) * speedRef.current;
+        while (accumulator >= replay.timestep && !runner.current.isFinished()) {
+          runner.current.step();
+          accumulator -= replay.timestep;
+        }
+        if (runner.current.isFinished()) {
+          accumulator = 0;
+          setPlaying(false);
+        }
+      }
+
+      // Update shared game state directly (same fields the main game feeds GameRenderer)
+      const gameCore = runner.current.gameCore;
+      const state = gameState.current;
+      state.now = gameCore.now() + accumulator;
+      state.mascotPos = gameCore.getMascotPosition();
+      state.obstacles = gameCore.getObstacles();
+      state.currentWord = gameCore.getCurrentWord();
+      state.mascotVelocityY = gameCore.getMascotVelocityY();
+      state.mascotRadius = gameCore.getMascotRadius();
+      state.parallaxStars = gameCore.getParallaxStars();
+      state.trails = gameCore.getTrail().trails;
+      state.primaryColor = getPrimaryColor();
+      state.particles = gameCore.getParticles();
+      state.wallGlows = gameCore.getWallGlows();
+      state.edgeCrossings = gameCore.getEdgeCrossings();
+      state.bounceRipples = gameCore.getBounceRipples();
+      state.lastBounceScale = gameCore.getLastBounceScale();
+      state.deathFadeProgress = gameCore.getDeathFadeProgress();
+      state.deathStartTime = gameCore.getDeathStartTime();
+      state.coins = gameCore.getCoins();
+      state.coinCount = gameCore.getCoinCount();
+      state.elapsed = runner.current.getElapsed();
+      state.appliedInputs = runner.current.getAppliedInputCount();
+
+      const currentGelatoData = gameCore.getGelatoLineData();
+      if (currentGelatoData !== lastGelatoData.current) {
+        lastGelatoData.current = currentGelatoData;
+        setLines(currentGelatoData);
+      }
+
+      setFrame(prev => prev + 1);
+      animationFrameId = requestAnimationFrame(animate);
+    };
+
+    animationFrameId = requestAnimationFrame(animate);
+    logger.log('REPLAY', `▶️ Playing replay recorded ${replay.recordedAt} (${replay.inputs.length} gelatos)`);
+
+    return () => {
+      cancelAnimationFrame(animationFrameId);
+      if (runner.current) {
+        runner.current.destroy();
+        runner.current = null;
+      }
+      lastGelatoData.current = null;
+    };
+  }, [replay, restartKey]);
+
+  const restart = () => {
+    setRestartKey(prev => prev + 1);
+    setPlaying(true);
+  };
+
+  const cycleSpeed = () => {
+    setSpeed(SPEED_OPTIONS[(SPEED_OPTIONS.indexOf(speed) + 1) % SPEED_OPTIONS.length]);
+  };
+
+  const primaryColor = gameState.current.primaryColor || '#FFFFFF';
+  const formatSeconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+  return (
+    // Swallow touches so nothing reaches the game underneath
+    <View style={styles.container} onStartShouldSetResponder={() => true}>
+      {error ? (
+        <Text style={[styles.statusText, styles.errorText]}>Can't play replay: {error}</Text>
+      ) : (
+        <View style={[styles.stage, { width: replay.width, height: replay.height, transform: [{ scale }] }]}>
+          {runner.current && (
+            <GameRenderer
+              width={replay.width}
+              height={replay.height}
+              gameState={gameState.current}
+              frame={frame}
+              lines={lines}
+              currentPath={null}
+            />
+          )}
+        </View>
+      )}
+
+      {/* Controls */}
+      <View style={styles.controls}>
+        <Pressable onPress={onClose} style={styles.controlButton}>
+          <Feather name="x" size={20} color={primaryColor} />
+        </Pressable>
+        {!error && (
+          <>
+            <Pressable onPress={() => (runner.current?.isFinished() ? restart() : setPlaying(!playing))} style={styles.controlButton}>
+              <Feather name={playing ? 'pause' : 'play'} size={20} color={primaryColor} />
+            </Pressable>
+            <Pressable onPress={restart} style={styles.controlButton}>
+              <Feather name="rotate-ccw" size={20} color={primaryColor} />
+            </Pressable>
+            <Pressable onPress={cycleSpeed} style={styles.controlButton}>
+              <Text style={[styles.speedText, { color: primaryColor }]}>{speed}x</Text>
+            </Pressable>
+          </>
+        )}
+      </View>
+
+      {/* Playback status */}
+      {!error && (
+        <Text style={[styles.statusText, { color: primaryColor }]}>
+          {formatSeconds(gameState.current.elapsed || 0)} / {formatSeconds(replay.duration.t)}
+          {'  •  '}gelatos {gameState.current.appliedInputs || 0}/{replay.inputs.length}
+          {replay.loss ? `  •  lost at ${formatSeconds(replay.loss.t)}` : ''}
+        </Text>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: '#000000',
+    justifyContent: 'center',
+    alignItems: 'center',
+    zIndex: 10000,
+  },
+  stage: {
+    overflow: 'hidden',
+  },
+  controls: {
+    position: 'absolute',
+    top: 50,
+    left: 50,
+    flexDirection: 'row',
+    gap: 12,
+  },
+  controlButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  speedText: {
+    fontFamily: 'monospace',
+    fontSize: 13,
+    fontWeight: 'bold',
+  },
+  statusText: {
+    position: 'absolute',
+    bottom: 40,
+    fontFamily: Platform.OS === 'ios' ? 'Courier New' : 'monospace',
+    fontSize: 12,
+    color: '#FFFFFF',
+    opacity: 0.7,
+  },
+  errorText: {
+    position: 'relative',
+    bottom: 0,
+    color: '#FF4444',
+  },
+});
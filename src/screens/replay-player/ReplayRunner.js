@@ -0,0 +1,102 @@
+import { GameCore } from '../gameplay/GameCore';
+import { REPLAY_VERSION, expandPath } from '../gameplay/ReplayRecorder';
+import { createManualClock } from '../../shared/utils/clock';
+
+/**
+ * ReplayRunner - Feeds a recorded replay back into a fresh GameCore
+ * Rebuilds the run's clock, seed, dimensions, message, mode, difficulty and tuning, then applies each
+ * recorded input right before the physics step it originally happened on.
+ * Rendering-agnostic: ReplayPlayer draws it, but it can just as well run headless.
+ */
+export class ReplayRunner {
+  /**
+   * @param {Object} replay - Replay from ReplayRecorder / replayStorage
+   * @param {Object} adapters - GameCore side-effect adapters (default: none = silent)
+   */
+  constructor(replay, adapters = null) {
+    if (replay.version !== REPLAY_VERSION) {
+      throw new Error(`Unsupported replay version ${replay.version} (expected ${REPLAY_VERSION})`);
+    }
+
+    this.replay = replay;
+    this.clock = createManualClock(replay.clockStart);
+    this.inputIndex = 0; // Next input to apply
+
+    // Message is passed as a word list, which also keeps GameCore from fetching today's message
+    this.gameCore = new GameCore(
+      replay.width,
+      replay.height,
+      replay.message,
+      null,
+      null,
+      null,
+      replay.responsiveConfig,
+      {
+        now: this.clock.now,
+        seed: replay.seed,
+        mode: replay.mode,
+        difficulty: replay.difficulty,
+        tuning: replay.tuning,
+        adapters,
+      }
+    );
+
+    // Zen runs recorded after a respawn pick up mid-message
+    this.gameCore.wordIndex = replay.startWordIndex || 0;
+  }
+
+  /**
+   * Advance the replay by one fixed physics step
+   */
+  step() {
+    // Apply inputs that happened before this step (same order as the live run)
+    const { inputs, timestep } = this.replay;
+    while (this.inputIndex < inputs.length && inputs[this.inputIndex].step <= this.gameCore.stepCount) {
+      this.applyInput(inputs[this.inputIndex]);
+      this.inputIndex++;
+    }
+
+    this.clock.advance(timestep);
+    this.gameCore.step(timestep);
+  }
+
+  /**
+   * Replay one recorded input into GameCore
+   */
+  applyInput(input) {
+    if (input.type === 'segmented') {
+      this.gameCore.createSegmentedGelato(expandPath(input.path));
+    } else {
+      const [startX, startY, endX, endY] = input.line;
+      this.gameCore.createGelato(startX, startY, endX, endY, input.path ? expandPath(input.path) : null);
+    }
+  }
+
+  /**
+   * Whether the recorded run has been fully played back
+   */
+  isFinished() {
+    return this.gameCore.stepCount >= this.replay.duration.step;
+  }
+
+  /**
+   * Milliseconds of game time played back so far
+   */
+  getElapsed() {
+    return this.clock.now() - this.replay.clockStart;
+  }
+
+  /**
+   * Number of recorded inputs applied so far
+   */
+  getAppliedInputCount() {
+    return this.inputIndex;
+  }
+
+  /**
+   * Clean up resources
+   */
+  destroy() {
+    this.gameCore.destroy();
+  }
+}
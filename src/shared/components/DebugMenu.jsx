@@ -3,10 +3,11 @@ import { StyleSheet, View, Text, Pressable, ScrollView, Platform } from 'react-n
 import { config } from '../../config';
 import { triggerHaptic } from '../utils/haptics';
 
-export function DebugMenu({ visible, onClose, hapticsConfig, setHapticsConfig, fpsCap, setFpsCap, showFps, setShowFps, primaryColor = '#FFFFFF', onAddCoin, onResetProgress }) {
+export function DebugMenu({ visible, onClose, hapticsConfig, setHapticsConfig, fpsCap, setFpsCap, showFps, setShowFps, wordFadeMode, setWordFadeMode, primaryColor = '#FFFFFF', onAddCoin, onResetProgress, onWatchLastReplay, onExportLastReplay, onImportReplay }) {
   if (!visible) return null;
 
   const fpsCapOptions = [null, 10, 20, 30, 40, 50, 60, 70, 80, 90, 120];
+  const wordFadeModeOptions = ['velocity', 'static'];
 
   const updateHapticConfig = (eventName, field, change) => {
     setHapticsConfig({
@@ -75,6 +76,33 @@ export function DebugMenu({ visible, onClose, hapticsConfig, setHapticsConfig, f
             </View>
           </View>
 
+          {/* Word Fade Mode Section */}
+          {setWordFadeMode && (
+            <View style={styles.section}>
+              <Text style={[styles.sectionTitle, { color: primaryColor }]}>Word Fade</Text>
+              <Text style={styles.sectionSubtitle}>Velocity = synced to ball | Static = timed fade in/persist/out</Text>
+              <View style={styles.fpsGrid}>
+                {wordFadeModeOptions.map(option => (
+                  <Pressable
+                    key={option}
+                    onPress={() => setWordFadeMode(option)}
+                    style={[
+                      styles.fpsOption,
+                      wordFadeMode === option && styles.fpsOptionActive
+                    ]}
+                  >
+                    <Text style={[
+                      styles.fpsOptionText,
+                      wordFadeMode === option && { color: primaryColor }
+                    ]}>
+                      {option === 'velocity' ? 'Velocity' : 'Static'}
+                    </Text>
+                  </Pressable>
+                ))}
+              </View>
+            </View>
+          )}
+
           {/* Haptics Section */}
           <View style={styles.section}>
             <Text style={[styles.sectionTitle, { color: primaryColor }]}>Haptics (Android)</Text>
@@ -365,6 +393,41 @@ export function DebugMenu({ visible, onClose, hapticsConfig, setHapticsConfig, f
               )}
             </View>
           )}
+
+          {/* Replays Section */}
+          {(onWatchLastReplay || onImportReplay) && (
+            <View style={styles.section}>
+              <Text style={[styles.sectionTitle, { color: primaryColor }]}>Replays</Text>
+              <Text style={styles.sectionSubtitle}>Every run is recorded - watch or export the last one</Text>
+
+              {onWatchLastReplay && (
+                <Pressable
+                  onPress={onWatchLastReplay}
+                  style={[styles.testButton, { marginBottom: 12 }]}
+                >
+                  <Text style={styles.testButtonText}>Watch Last Run</Text>
+                </Pressable>
+              )}
+
+              {onExportLastReplay && (
+                <Pressable
+                  onPress={onExportLastReplay}
+                  style={[styles.testButton, { marginBottom: 12 }]}
+                >
+                  <Text style={styles.testButtonText}>{Platform.OS === 'web' ? 'Copy Last Run JSON' : 'Log Last Run JSON'}</Text>
+                </Pressable>
+              )}
+
+              {onImportReplay && (
+                <Pressable
+                  onPress={onImportReplay}
+                  style={styles.testButton}
+                >
+                  <Text style={styles.testButtonText}>Play Replay JSON…</Text>
+                </Pressable>
+              )}
+            </View>
+          )}
         </ScrollView>
 
         {/* Close Button at Bottom */}
@@ -19,11 +19,13 @@ export class ParallaxManager {
    * @param {number} width - Screen width
    * @param {number} height - Screen height
    * @param {object} config - Parallax configuration from config.js
+   * @param {Function} random - RNG returning 0 <= n < 1 (seeded by GameCore for reproducible sessions)
    */
-  constructor(width, height, config) {
+  constructor(width, height, config, random = Math.random) {
     this.width = width;
     this.height = height;
     this.config = config;
+    this.random = random;
 
     // Track cumulative upward distance traveled
     this.cumulativeUpwardDistance = 0;
@@ -80,18 +82,18 @@ export class ParallaxManager {
     const { color, wrapPadding, opacity: globalOpacity = 1.0 } = this.config;
 
     // Random initial Y position
-    const initialY = Math.random() * (this.height + 2 * wrapPadding) - wrapPadding;
+    const initialY = this.random() * (this.height + 2 * wrapPadding) - wrapPadding;
 
     return {
       // Random position across screen (including wrap padding above/below)
-      x: Math.random() * this.width,
+      x: this.random() * this.width,
       y: initialY, // Start at initial position
 
       // Store initial Y for offset calculations
       initialY: initialY, // Preserve the random starting position
 
       // Random size within layer's range
-      size: sizeMin + Math.random() * (sizeMax - sizeMin),
+      size: sizeMin + this.random() * (sizeMax - sizeMin),
 
       // Visual properties
       color: color,
@@ -102,8 +104,8 @@ export class ParallaxManager {
       layerIndex: layerIndex,
       
       // Twinkle animation properties
-      twinklePhase: Math.random() * Math.PI * 2, // Random phase offset (0 to 2π)
-      twinkleSpeed: 0.8 + Math.random() * 0.4,   // Random speed variation (0.8x to 1.2x)
+      twinklePhase: this.random() * Math.PI * 2, // Random phase offset (0 to 2π)
+      twinkleSpeed: 0.8 + this.random() * 0.4,   // Random speed variation (0.8x to 1.2x)
     };
   }
 
@@ -175,15 +177,15 @@ export class ParallaxManager {
         star.initialY = star.y - (this.cumulativeUpwardDistance * star.speed);
 
         // Give star a new random X position
-        star.x = Math.random() * this.width;
+        star.x = this.random() * this.width;
 
         // Optional: Randomize size again for variety
         const layerConfig = this.layers[star.layerIndex].config;
-        star.size = layerConfig.sizeMin + Math.random() * (layerConfig.sizeMax - layerConfig.sizeMin);
+        star.size = layerConfig.sizeMin + this.random() * (layerConfig.sizeMax - layerConfig.sizeMin);
         
         // Give star new random twinkle properties for variety
-        star.twinklePhase = Math.random() * Math.PI * 2;
-        star.twinkleSpeed = 0.8 + Math.random() * 0.4;
+        star.twinklePhase = this.random() * Math.PI * 2;
+        star.twinkleSpeed = 0.8 + this.random() * 0.4;
       }
     });
   }
@@ -206,9 +208,9 @@ export class ParallaxManager {
 
     // Reset all stars to initial positions
     this.allStars.forEach(star => {
-      star.y = Math.random() * (this.height + 2 * this.config.wrapPadding) - this.config.wrapPadding;
+      star.y = this.random() * (this.height + 2 * this.config.wrapPadding) - this.config.wrapPadding;
       star.initialY = star.y;
-      star.x = Math.random() * this.width;
+      star.x = this.random() * this.width;
     });
   }
 
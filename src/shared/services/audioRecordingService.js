@@ -10,8 +10,12 @@
  *   await startRecording(recorder);
  *   await stopRecording(recorder);
  *   const uri = recorder.uri; // Get recorded file
+ *
+ * Or import an existing file instead of recording:
+ *   const picked = await pickAudioFile(); // { uri, name } or null
  */
 
+import { Platform } from 'react-native';
 import { RecordingPresets } from 'expo-audio';
 import { logger } from '../utils/logger';
 
@@ -50,6 +54,64 @@ export async function stopRecording(recorder) {
   }
 }
 
+/**
+ * Pick an existing audio file (voice memo, studio take) instead of recording one
+ * Web only - opens the browser's file chooser. /api/align sniffs the format, so any
+ * file it accepts (m4a, webm, wav, mp3, ogg, flac) can be picked.
+ * @returns {Promise<Object|null>} { uri, name } (blob URI of the file - free it with releaseAudioUri), or null if nothing was picked
+ */
+export function pickAudioFile() {
+  if (Platform.OS !== 'web') {
+    return Promise.reject(new Error('Importing audio files is only available on web'));
+  }
+
+  return new Promise((resolve) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'audio/*,.m4a,.webm,.wav,.mp3,.ogg,.flac';
+
+    let settled = false;
+    const settle = (result) => {
+      if (settled) return;
+      settled = true;
+      window.removeEventListener('focus', handleFocus);
+      resolve(result);
+    };
+
+    // Older browsers don't fire cancel - the page getting focus back without a file means the chooser
+    // was dismissed (change can land just after focus, so give it a moment)
+    const handleFocus = () => {
+      setTimeout(() => {
+        if (!input.files?.length) settle(null);
+      }, 500);
+    };
+
+    input.onchange = () => {
+      const file = input.files?.[0];
+      if (!file) {
+        settle(null);
+        return;
+      }
+      logger.log('AUDIO_RECORDING', 'Imported file:', file.name, file.type, `${file.size} bytes`);
+      settle({ uri: URL.createObjectURL(file), name: file.name });
+    };
+    input.oncancel = () => settle(null); // Chooser dismissed
+    window.addEventListener('focus', handleFocus);
+    input.click();
+  });
+}
+
+/**
+ * Free a recording's blob URI once nothing will play it again (replaced, discarded or saved)
+ * Web only - native recordings are files on disk and cost nothing to keep a URI to
+ * @param {string} uri - URI from stopRecording() or pickAudioFile()
+ */
+export function releaseAudioUri(uri) {
+  if (Platform.OS === 'web' && typeof uri === 'string' && uri.startsWith('blob:')) {
+    URL.revokeObjectURL(uri);
+  }
+}
+
 /**
  * Format duration in milliseconds to MM:SS
  * @param {number} durationMillis - Duration in milliseconds
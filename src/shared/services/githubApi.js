@@ -1,145 +1,216 @@
 /**
- * GitHub API integration for messages.json
- * Handles reading and writing message data to GitHub repository
+ * Message data API for messages.json
+ * Reads and writes message data through the active storage backend
+ * (GitHub repo by default, or a local directory - see messageStorage.js)
  */
 
 import { logger } from '../utils/logger.js';
+import { getLiveMessage, describeRepeat } from '../utils/messageSchedule.js';
+import { mergeMessages, resolveConflicts, sameMessages } from '../utils/messageMerge.js';
+import { migrateMessagesData, splitWords, validateMessage, validateRotationEntry } from '../utils/messageSchema.js';
+import { DEFAULT_CHANNEL, describeChannel, ensureChannel, getChannel } from '../utils/messageChannels.js';
+import { getMessageStorage } from './messageStorage.js';
 
-// GitHub configuration
-const GITHUB_CONFIG = {
-  owner: 'preetoshii', // GitHub username
-  repo: 'spherical-truth-machine',
-  branch: 'master',
-  filePath: 'messages.json',
-  token: process.env.EXPO_PUBLIC_GITHUB_TOKEN || null, // Load from environment variable
-};
+const MAX_SAVE_ATTEMPTS = 3; // Merge + retry this many times before giving up on a save
+
+// messages.json versions as read from storage, by _sha - the common base for three-way merges
+// when a save loses the race with another admin / tab (callers mutate fetched data, so keep copies)
+const snapshots = new Map();
+const MAX_SNAPSHOTS = 10;
 
 /**
- * Fetch messages.json from GitHub
- * @returns {Promise<Object>} { current, messages }
+ * Remember a version of messages.json as the merge base for saves built on it
  */
-export async function fetchMessages() {
-  const { owner, repo, filePath, token } = GITHUB_CONFIG;
+function rememberSnapshot(messagesData) {
+  if (!messagesData?._sha) return;
+  const { _sha, ...cleanData } = messagesData;
+  snapshots.set(_sha, JSON.parse(JSON.stringify(cleanData)));
+  if (snapshots.size > MAX_SNAPSHOTS) {
+    snapshots.delete(snapshots.keys().next().value); // Oldest first
+  }
+}
+
+/**
+ * Read messages.json from storage, upgraded to the current schema (see messageSchema.js)
+ * The upgrade is written back with the next save
+ */
+async function readMessages(storage) {
+  return migrateMessagesData(await storage.fetchMessages());
+}
+
+/**
+ * Refuse to save a message entry that would break the game (see validateMessage)
+ * @param {string} date - Date (or other label) for the error message
+ * @param {Object} message - Message entry
+ * @param {Array<string>} errors - Problems already found (default: validateMessage(message))
+ * @throws {Error} With .validationErrors listing the problems
+ */
+function assertValidMessage(date, message, errors = validateMessage(message)) {
+  if (errors.length === 0) return;
 
-  if (!token) {
-    logger.warn('GITHUB_API', 'No GitHub token found. Using local fallback.');
-    // Fallback: try to fetch from local server (for development)
+  const error = new Error(`Invalid message for ${date}: ${errors.join('; ')}`);
+  error.validationErrors = errors;
+  logger.error('GITHUB_API', error.message);
+  throw error;
+}
+
+/**
+ * Whether a storage error means messages.json changed since it was read
+ * (409: SHA mismatch, 422: branch moved / SHA missing)
+ */
+function isStaleWrite(error) {
+  return error?.status === 409 || error?.status === 422;
+}
+
+/**
+ * Write messages.json, merging with newer changes when someone else saved first
+ * On a stale write: re-fetch, three-way merge per date, and retry if no date was edited on both sides.
+ * Overlapping edits throw an error with .conflicts (see resolveMessageConflict)
+ * @param {Object} messagesData - { current, messages, _sha } to write
+ * @param {Function} write - async (data) => { data, commitSha } - one write attempt
+ * @returns {Promise<Object>} { data, commitSha }
+ */
+async function saveWithMerge(messagesData, write) {
+  const storage = getMessageStorage();
+  let data = messagesData;
+
+  for (let attempt = 1; ; attempt++) {
     try {
-      const response = await fetch('/messages.json');
-      if (!response.ok) throw new Error('Local fetch failed');
-      return await response.json();
+      const result = await write(data);
+      rememberSnapshot(result.data);
+      return result;
     } catch (error) {
-      logger.error('GITHUB_API', 'Failed to fetch messages locally:', error);
-      // Return default fallback
-      return {
-        current: new Date().toISOString().split('T')[0],
-        messages: {}
-      };
+      if (!isStaleWrite(error) || attempt >= MAX_SAVE_ATTEMPTS) throw error;
+
+      // Someone else saved first - merge their version with ours
+      const base = snapshots.get(data._sha) || { messages: {} }; // Unknown base: only untouched dates merge cleanly
+      const theirs = await readMessages(storage);
+      rememberSnapshot(theirs);
+
+      const { merged, conflicts } = mergeMessages(base, data, theirs);
+
+      if (conflicts.length > 0) {
+        const conflictError = new Error(`Save conflicts with newer changes: ${conflicts.map(c => c.date || c.field).join(', ')}`);
+        conflictError.conflicts = conflicts; // [{ field, date, base, mine, theirs }]
+        conflictError.merged = merged;
+        conflictError.theirs = theirs;
+        conflictError.retry = write;
+        throw conflictError;
+      }
+
+      logger.log('GITHUB_API', `messages.json changed since it was loaded - merged, retrying (attempt ${attempt + 1})`);
+      data = { ...merged, _sha: theirs._sha };
     }
   }
+}
 
-  try {
-    const url = `https://api.github.com/repos/${owner}/${repo}/contents/${filePath}`;
-    const response = await fetch(url, {
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Accept': 'application/vnd.github.v3+json',
-      },
-    });
+/**
+ * Fetch messages.json from storage (migrated to the current schema)
+ * @returns {Promise<Object>} { schemaVersion, current, messages, _sha }
+ */
+export async function fetchMessages() {
+  const storage = getMessageStorage();
 
-    if (!response.ok) {
-      throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+  try {
+    const data = await readMessages(storage);
+    rememberSnapshot(data);
+    return data;
+  } catch (error) {
+    if (storage.canWrite()) {
+      logger.error('GITHUB_API', `Failed to fetch messages from ${storage.name} storage:`, error);
+      throw error;
     }
 
-    const data = await response.json();
-
-    // GitHub returns base64-encoded content
-    const decodedContent = atob(data.content);
-    const messagesData = JSON.parse(decodedContent);
-
-    // Store SHA for future updates
-    messagesData._sha = data.sha;
-
-    return messagesData;
-  } catch (error) {
-    logger.error('GITHUB_API', 'Failed to fetch messages from GitHub:', error);
-    throw error;
+    // Read-only (no token): fallback to the copy served by the local dev server
+    logger.warn('GITHUB_API', 'Could not fetch messages and no GitHub token found. Using local fallback.');
+    try {
+      const response = await fetch('/messages.json');
+      if (!response.ok) throw new Error('Local fetch failed');
+      return migrateMessagesData(await response.json());
+    } catch (localError) {
+      logger.error('GITHUB_API', 'Failed to fetch messages locally:', localError);
+      // Return default fallback
+      return migrateMessagesData({
+        current: new Date().toISOString().split('T')[0],
+        messages: {}
+      });
+    }
   }
 }
 
 /**
- * Update messages.json on GitHub
- * @param {Object} messagesData - { current, messages }
+ * Update messages.json in storage
+ * Merges automatically if someone else saved other dates since messagesData was fetched
+ * @param {Object} messagesData - { current, messages, _sha }
  * @param {string} commitMessage - Commit message
  * @returns {Promise<Object>} Updated data with new SHA
+ * @throws {Error} With .conflicts if the same date was changed on both sides
  */
 export async function updateMessages(messagesData, commitMessage = 'Update messages') {
-  const { owner, repo, filePath, token } = GITHUB_CONFIG;
+  const storage = getMessageStorage();
 
-  if (!token) {
+  if (!storage.canWrite()) {
     logger.error('GITHUB_API', 'No GitHub token found. Cannot update messages.');
     throw new Error('GitHub token required for updates');
   }
 
   try {
-    // Extract SHA if it exists (needed for updates)
-    const sha = messagesData._sha;
-
-    // Remove SHA from data before encoding (don't want it in the file)
-    const { _sha, ...cleanData } = messagesData;
-
-    // Encode content as base64
-    const content = btoa(JSON.stringify(cleanData, null, 2));
-
-    const url = `https://api.github.com/repos/${owner}/${repo}/contents/${filePath}`;
-    const response = await fetch(url, {
-      method: 'PUT',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Accept': 'application/vnd.github.v3+json',
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        message: commitMessage,
-        content: content,
-        sha: sha, // Required for updates
-        branch: GITHUB_CONFIG.branch,
-      }),
-    });
-
-    if (!response.ok) {
-      throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+    const result = await saveWithMerge(messagesData, async (data) => ({
+      data: await storage.updateMessages(data, commitMessage),
+      commitSha: null,
+    }));
+    return result.data;
+  } catch (error) {
+    if (error.conflicts) {
+      logger.warn('GITHUB_API', error.message);
+    } else {
+      logger.error('GITHUB_API', `Failed to update messages in ${storage.name} storage:`, error);
     }
+    throw error;
+  }
+}
 
-    const result = await response.json();
+/**
+ * Finish a save that failed with conflicts (error.conflicts) by picking a side for the overlapping dates
+ * Non-overlapping changes from both sides are kept either way (audio of a dropped message isn't uploaded)
+ * @param {Error} error - Error thrown by a save (updateMessages, saveMessage, saveMessageWithAudio...)
+ * @param {string} side - 'mine' (overwrite their edits of those dates) or 'theirs' (drop mine)
+ * @returns {Promise<Object>} { data, commitSha } - commitSha is null if nothing needed saving
+ */
+export async function resolveMessageConflict(error, side) {
+  const { conflicts, merged, theirs, retry } = error;
+  const resolved = resolveConflicts(merged, conflicts, side);
 
-    // Return updated data with new SHA
-    return {
-      ...cleanData,
-      _sha: result.content.sha,
-    };
-  } catch (error) {
-    logger.error('GITHUB_API', 'Failed to update messages on GitHub:', error);
-    throw error;
+  // Keeping theirs with nothing else of mine left to add - already saved
+  if (sameMessages(resolved, theirs)) {
+    return { data: theirs, commitSha: null };
+  }
+
+  try {
+    return await saveWithMerge({ ...resolved, _sha: theirs._sha }, retry);
+  } catch (retryError) {
+    logger.error('GITHUB_API', `Failed to save conflict resolution (${side}):`, retryError);
+    throw retryError;
   }
 }
 
 /**
- * Get current message (convenience function)
+ * Get current (live) message (convenience function)
+ * Latest message dated on or before the local date, unless `current` overrides it (see messageSchedule.js)
+ * @param {string} channel - Channel name (see messageChannels.js)
  * @returns {Promise<Object>} { text, words }
  */
-export async function getCurrentMessage() {
+export async function getCurrentMessage(channel = DEFAULT_CHANNEL) {
   try {
     const data = await fetchMessages();
-    const currentDate = data.current;
-    const currentMessage = data.messages[currentDate];
+    const live = getLiveMessage(getChannel(data, channel));
 
-    if (!currentMessage) {
-      logger.warn('GITHUB_API', `No message found for current date: ${currentDate}`);
+    if (!live) {
+      logger.warn('GITHUB_API', 'No message is live yet (none scheduled on or before today)');
       return null;
     }
 
-    return currentMessage;
+    return live.message;
   } catch (error) {
     logger.error('GITHUB_API', 'Failed to get current message:', error);
     return null;
@@ -150,23 +221,25 @@ export async function getCurrentMessage() {
  * Update a specific date's message
  * @param {string} date - Date in YYYY-MM-DD format
  * @param {string} text - Message text
+ * @param {string} channel - Channel name (see messageChannels.js)
  * @returns {Promise<Object>} Updated messages data
  */
-export async function updateMessageForDate(date, text) {
+export async function updateMessageForDate(date, text, channel = DEFAULT_CHANNEL) {
   try {
     // Fetch current data
     const messagesData = await fetchMessages();
 
     // Split text into words
-    const words = text.toLowerCase().split(/\s+/).filter(word => word.length > 0);
+    const message = { text, words: splitWords(text) };
+    assertValidMessage(date, message);
 
     // Update message for the date
-    messagesData.messages[date] = { text, words };
+    ensureChannel(messagesData, channel).messages[date] = message;
 
-    // Save back to GitHub
+    // Save back to storage
     const updated = await updateMessages(
       messagesData,
-      `Update message for ${date}`
+      `Update message for ${date}${describeChannel(channel)}`
     );
 
     return updated;
@@ -177,22 +250,24 @@ export async function updateMessageForDate(date, text) {
 }
 
 /**
- * Set current active message date
+ * Set current active message date (explicit override of the date-based schedule)
+ * Stays live until a message scheduled after it reaches its date
  * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} channel - Channel name (see messageChannels.js)
  * @returns {Promise<Object>} Updated messages data
  */
-export async function setCurrentDate(date) {
+export async function setCurrentDate(date, channel = DEFAULT_CHANNEL) {
   try {
     // Fetch current data
     const messagesData = await fetchMessages();
 
     // Update current date
-    messagesData.current = date;
+    ensureChannel(messagesData, channel).current = date;
 
-    // Save back to GitHub
+    // Save back to storage
     const updated = await updateMessages(
       messagesData,
-      `Set current message to ${date}`
+      `Set current message to ${date}${describeChannel(channel)}`
     );
 
     return updated;
@@ -202,14 +277,95 @@ export async function setCurrentDate(date) {
   }
 }
 
+/**
+ * Add an empty channel (see messageChannels.js)
+ * @param {string} channel - Channel name (lowercase letters, digits, dashes)
+ * @returns {Promise<Object>} Updated messages data
+ */
+export async function createChannel(channel) {
+  try {
+    const messagesData = await fetchMessages();
+
+    if (getChannel(messagesData, channel)) {
+      return messagesData; // Already there
+    }
+
+    ensureChannel(messagesData, channel);
+    return await updateMessages(messagesData, `Add message channel: ${channel}`);
+  } catch (error) {
+    logger.error('GITHUB_API', `Failed to create channel ${channel}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Add a message to a channel's rotation - fills days without a scheduled message (see messageSchedule.js)
+ * @param {Object} message - Message entry ({ text, words, audio?, wordTimings? } - audio files are shared, not copied)
+ * @param {Object|null} repeat - { weekly: 0-6 } or { yearly: 'MM-DD' } for a recurring rule, null for the evergreen pool
+ * @param {string} channel - Channel name (see messageChannels.js)
+ * @returns {Promise<Object>} Updated messages data
+ */
+export async function addRotationMessage(message, repeat = null, channel = DEFAULT_CHANNEL) {
+  const entry = repeat
+    ? { id: createRotationId(), repeat, message }
+    : { id: createRotationId(), message };
+  const label = repeat ? describeRepeat(repeat) : 'evergreen';
+  assertValidMessage(label, message, validateRotationEntry(entry, Boolean(repeat)));
+
+  try {
+    const messagesData = await fetchMessages();
+    const timeline = ensureChannel(messagesData, channel);
+    const key = repeat ? 'recurring' : 'evergreen';
+    timeline[key] = [...(timeline[key] || []), entry];
+
+    return await updateMessages(messagesData, `Add ${label} message${describeChannel(channel)}`);
+  } catch (error) {
+    logger.error('GITHUB_API', `Failed to add ${label} message:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Remove a recurring rule or evergreen pool message
+ * @param {string} id - Rotation entry id
+ * @param {string} channel - Channel name (see messageChannels.js)
+ * @returns {Promise<Object>} Updated messages data
+ */
+export async function removeRotationMessage(id, channel = DEFAULT_CHANNEL) {
+  try {
+    const messagesData = await fetchMessages();
+    const timeline = ensureChannel(messagesData, channel);
+
+    for (const key of ['recurring', 'evergreen']) {
+      if (timeline[key]) {
+        timeline[key] = timeline[key].filter(entry => entry.id !== id);
+      }
+    }
+
+    return await updateMessages(messagesData, `Remove rotation message ${id}${describeChannel(channel)}`);
+  } catch (error) {
+    logger.error('GITHUB_API', `Failed to remove rotation message ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Id for a new rotation entry (unique enough for a hand-curated list)
+ */
+function createRotationId() {
+  return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
 /**
  * Save a message and optionally make it current (Send Now)
+ * Scheduled messages go live on their date without makeCurrent (see messageSchedule.js)
  * @param {string} date - Date in YYYY-MM-DD format
  * @param {string} text - Message text
- * @param {boolean} makeCurrent - Whether to set as current message
+ * @param {boolean} makeCurrent - Whether to set as current message (override)
+ * @param {string} channel - Channel name (see messageChannels.js)
  * @returns {Promise<Object>} Updated messages data
  */
-export async function saveMessage(date, text, makeCurrent = false) {
+export async function saveMessage(date, text, makeCurrent = false, channel = DEFAULT_CHANNEL) {
   // Validation: Prevent saving invalid data
   if (!date || date === 'null' || date === 'undefined') {
     const error = new Error(`Invalid date: "${date}". Cannot save message.`);
@@ -228,27 +384,22 @@ export async function saveMessage(date, text, makeCurrent = false) {
     const messagesData = await fetchMessages();
 
     // Split text into words
-    const words = text.trim().toLowerCase().split(/\s+/).filter(word => word.length > 0);
-
-    // Additional check: ensure we have words after processing
-    if (words.length === 0) {
-      const error = new Error(`Message contains no valid words: "${text}"`);
-      logger.error('GITHUB_API', error);
-      throw error;
-    }
+    const message = { text, words: splitWords(text) };
+    assertValidMessage(date, message);
 
     // Update message for the date
-    messagesData.messages[date] = { text, words };
+    const timeline = ensureChannel(messagesData, channel);
+    timeline.messages[date] = message;
 
     // If makeCurrent, also update the current date pointer
     if (makeCurrent) {
-      messagesData.current = date;
+      timeline.current = date;
     }
 
-    // Save back to GitHub
+    // Save back to storage
     const commitMsg = makeCurrent
-      ? `Send message now: ${date}`
-      : `Schedule message for ${date}`;
+      ? `Send message now: ${date}${describeChannel(channel)}`
+      : `Schedule message for ${date}${describeChannel(channel)}`;
 
     const updated = await updateMessages(messagesData, commitMsg);
 
@@ -259,15 +410,70 @@ export async function saveMessage(date, text, makeCurrent = false) {
   }
 }
 
+/**
+ * Revision history of one date's message, newest first
+ * Only versions where that date's entry changed are listed (from the storage commit history)
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} limit - How many messages.json commits to look back through
+ * @param {string} channel - Channel name (see messageChannels.js)
+ * @returns {Promise<Array>} [{ commitSha, author, date, commitMessage, message }] - message null = removed
+ */
+export async function fetchMessageHistory(date, limit = 20, channel = DEFAULT_CHANNEL) {
+  try {
+    const versions = (await getMessageStorage().fetchHistory(limit)).filter(version => version.data);
+    const entryAt = (index) => (versions[index] && getChannel(versions[index].data, channel)?.messages?.[date]) ?? null;
+
+    return versions
+      .map(({ data, ...version }, index) => ({ ...version, message: entryAt(index) }))
+      .filter((version, index) => {
+        if (index === versions.length - 1) return version.message !== null; // Oldest we can see
+        return JSON.stringify(version.message) !== JSON.stringify(entryAt(index + 1));
+      });
+  } catch (error) {
+    logger.error('GITHUB_API', `Failed to fetch history for ${date}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Restore a past version of a date's message (saved as a new commit - history is never rewritten)
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Object} version - Entry from fetchMessageHistory()
+ * @param {string} channel - Channel name (see messageChannels.js)
+ * @returns {Promise<Object>} Updated messages data
+ */
+export async function restoreMessageVersion(date, version, channel = DEFAULT_CHANNEL) {
+  try {
+    const messagesData = await fetchMessages();
+    const timeline = ensureChannel(messagesData, channel);
+
+    if (version.message) {
+      // Old commits may predate the current schema
+      const message = migrateMessagesData({ messages: { [date]: version.message } }).messages[date];
+      assertValidMessage(date, message);
+      timeline.messages[date] = message;
+    } else {
+      delete timeline.messages[date];
+    }
+
+    return await updateMessages(
+      messagesData,
+      `Restore message for ${date}${describeChannel(channel)} from ${version.commitSha.slice(0, 7)}`
+    );
+  } catch (error) {
+    logger.error('GITHUB_API', `Failed to restore message for ${date}:`, error);
+    throw error;
+  }
+}
+
 /**
  * Generate audio filename from message text
  * @param {string} text - Message text
  * @param {string} audioType - 'original' or 'transformed'
+ * @param {string} ext - File extension matching the audio's container (e.g. 'm4a', 'webm', 'mp3')
  * @returns {Promise<string>} - Filename (e.g., "25-10-2025-you-are-braver-original.m4a")
  */
-async function generateAudioFilename(text, audioType) {
-  const { config } = await import('../../config.js');
-
+async function generateAudioFilename(text, audioType, ext) {
   // Get date in DD-MM-YYYY format
   const now = new Date();
   const day = String(now.getDate()).padStart(2, '0');
@@ -286,33 +492,19 @@ async function generateAudioFilename(text, audioType) {
   const wordsStr = words.join('-');
 
   // Build base filename
-  const ext = audioType === 'original' ? 'm4a' : 'mp3';
   const baseFilename = `${dateStr}-${wordsStr}-${audioType}.${ext}`;
 
   // Check for duplicates and append -2, -3, etc.
-  const { owner, repo, token } = GITHUB_CONFIG;
-  const audioFolder = config.github.audioFolder;
+  const storage = getMessageStorage();
 
   let filename = baseFilename;
   let counter = 2;
 
   while (true) {
-    const checkPath = `${audioFolder}${filename}`;
-    const checkUrl = `https://api.github.com/repos/${owner}/${repo}/contents/${checkPath}`;
-
     try {
-      const response = await fetch(checkUrl, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Accept': 'application/vnd.github.v3+json'
-        }
-      });
-
-      if (!response.ok) {
+      if (!(await storage.audioFileExists(filename))) {
         // File doesn't exist - we can use this filename
-        if (response.status === 404) {
-          logger.log('GITHUB_API', `✓ Filename available: ${filename}`);
-        }
+        logger.log('GITHUB_API', `✓ Filename available: ${filename}`);
         break;
       }
 
@@ -329,90 +521,19 @@ async function generateAudioFilename(text, audioType) {
   return filename;
 }
 
-/**
- * Upload audio file to GitHub
- * @param {string} filename - Filename (generated by generateAudioFilename)
- * @param {Blob} audioBlob - Audio file data
- * @returns {Promise<string>} - Filename in repo
- */
-async function uploadAudioFile(filename, audioBlob) {
-  const { config } = await import('../../config.js');
-  const { owner, repo, branch, token } = GITHUB_CONFIG;
-
-  if (!token) {
-    throw new Error('GitHub token required for audio uploads');
-  }
-
-  // Build full file path
-  const audioFolder = config.github.audioFolder;
-  const filePath = `${audioFolder}${filename}`;
-
-  // Check if file exists (get SHA for overwrite)
-  let existingSha = null;
-  try {
-    const checkUrl = `https://api.github.com/repos/${owner}/${repo}/contents/${filePath}`;
-    const checkResponse = await fetch(checkUrl, {
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Accept': 'application/vnd.github.v3+json'
-      }
-    });
-    if (checkResponse.ok) {
-      const data = await checkResponse.json();
-      existingSha = data.sha;
-      logger.log('GITHUB_API', `File exists, will overwrite: ${filename}`);
-    } else if (checkResponse.status === 404) {
-      logger.log('GITHUB_API', `Creating new file: ${filename}`);
-    }
-  } catch (e) {
-    // File doesn't exist yet
-    logger.log('GITHUB_API', `Creating new file: ${filename}`);
-  }
-
-  // Convert blob to base64
-  const arrayBuffer = await audioBlob.arrayBuffer();
-  const bytes = new Uint8Array(arrayBuffer);
-  let binary = '';
-  for (let i = 0; i < bytes.length; i++) {
-    binary += String.fromCharCode(bytes[i]);
-  }
-  const base64Content = btoa(binary);
-
-  // Upload to GitHub
-  const uploadUrl = `https://api.github.com/repos/${owner}/${repo}/contents/${filePath}`;
-  const response = await fetch(uploadUrl, {
-    method: 'PUT',
-    headers: {
-      'Authorization': `Bearer ${token}`,
-      'Accept': 'application/vnd.github.v3+json',
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      message: `Upload audio: ${filename}`,
-      content: base64Content,
-      sha: existingSha,
-      branch
-    })
-  });
-
-  if (!response.ok) {
-    const errorData = await response.json();
-    throw new Error(`Failed to upload audio: ${errorData.message}`);
-  }
-
-  logger.log('GITHUB_API', `✓ Uploaded audio: ${filename}`);
-  return filename; // Return just filename, not full path
-}
-
 /**
  * Save message with audio files and word timings
+ * Audio and the messages.json entry are written in one commit - they land together or not at all
  * @param {string} date - Date in YYYY-MM-DD format
  * @param {string} text - Message text
- * @param {Object} audioData - { originalUri, transformedUri, wordTimings, words }
+ * @param {Object} audioData - { originalUri, originalFormat, transformedUri, wordTimings, words }
+ *   originalFormat is the container /api/align sniffed (format.input) - defaults to m4a (native recordings)
  * @param {boolean} makeCurrent - Set as active message
- * @returns {Promise<Object>} - Updated messages data
+ * @param {string} channel - Channel name (see messageChannels.js)
+ * @returns {Promise<Object>} - { data, commitSha } (commitSha is null for backends without history)
+ * @throws {Error} With .conflicts if the date was changed by someone else meanwhile (see resolveMessageConflict)
  */
-export async function saveMessageWithAudio(date, text, audioData, makeCurrent = false) {
+export async function saveMessageWithAudio(date, text, audioData, makeCurrent = false, channel = DEFAULT_CHANNEL) {
   // Validation
   if (!date || date === 'null') {
     throw new Error(`Invalid date: "${date}"`);
@@ -424,28 +545,32 @@ export async function saveMessageWithAudio(date, text, audioData, makeCurrent =
     throw new Error('Audio data is required (at minimum, originalUri)');
   }
 
+  const storage = getMessageStorage();
+
+  if (!storage.canWrite()) {
+    throw new Error('GitHub token required for audio uploads');
+  }
+
   try {
     logger.log('GITHUB_API', 'Starting audio upload process...');
 
-    // 1. Generate filenames based on message text
-    const originalFilename = await generateAudioFilename(text, 'original');
-    const transformedFilename = await generateAudioFilename(text, 'transformed');
+    // 1. Generate filenames based on message text (transformed voices always come back from ElevenLabs as mp3)
+    const originalFilename = await generateAudioFilename(text, 'original', audioData.originalFormat || 'm4a');
+    const transformedFilename = await generateAudioFilename(text, 'transformed', 'mp3');
 
-    // 2. Upload original audio (required)
+    // 2. Read original audio (required)
     const originalResponse = await fetch(audioData.originalUri);
-    const originalBlob = await originalResponse.blob();
-    await uploadAudioFile(originalFilename, originalBlob);
+    const audioFiles = [{ filename: originalFilename, blob: await originalResponse.blob() }];
 
-    // 3. Upload transformed audio (optional)
-    let transformedUploaded = false;
+    // 3. Read transformed audio (optional)
+    let hasTransformed = false;
     if (audioData.transformedUri) {
       try {
         const transformedResponse = await fetch(audioData.transformedUri);
-        const transformedBlob = await transformedResponse.blob();
-        await uploadAudioFile(transformedFilename, transformedBlob);
-        transformedUploaded = true;
+        audioFiles.push({ filename: transformedFilename, blob: await transformedResponse.blob() });
+        hasTransformed = true;
       } catch (error) {
-        logger.warn('GITHUB_API', 'Failed to upload transformed audio (continuing with original):', error);
+        logger.warn('GITHUB_API', 'Failed to read transformed audio (continuing with original):', error);
         // Continue - we have original audio
       }
     }
@@ -460,30 +585,42 @@ export async function saveMessageWithAudio(date, text, audioData, makeCurrent =
       audio: {
         original: originalFilename  // Store just filename
       },
-      wordTimings: audioData.wordTimings
+      wordTimings: audioData.wordTimings?.map(({ word, start, end }) => ({ word, start, end })) // Drop admin-only flags (unsure)
     };
 
-    // Add transformed filename only if upload succeeded
-    if (transformedUploaded) {
+    // Add transformed filename only if it's part of this commit
+    if (hasTransformed) {
       messageObj.audio.transformed = transformedFilename;
     }
 
+    // Words and timings must line up before anything is committed
+    assertValidMessage(date, messageObj);
+
     // 6. Update messages data
-    messagesData.messages[date] = messageObj;
+    const timeline = ensureChannel(messagesData, channel);
+    timeline.messages[date] = messageObj;
 
     if (makeCurrent) {
-      messagesData.current = date;
+      timeline.current = date;
     }
 
-    // 7. Save to GitHub
+    // 7. Commit audio + messages.json together
     const commitMsg = makeCurrent
-      ? `Send message with audio now: ${date}`
-      : `Schedule message with audio for ${date}`;
-
-    const updated = await updateMessages(messagesData, commitMsg);
+      ? `Send message with audio now: ${date}${describeChannel(channel)}`
+      : `Schedule message with audio for ${date}${describeChannel(channel)}`;
+
+    // Only upload the files the written data still points at - keeping their version of this date
+    // in a conflict (resolveMessageConflict 'theirs') would otherwise commit audio nothing uses
+    const result = await saveWithMerge(messagesData, (data) => {
+      const savedAudio = getChannel(data, channel)?.messages?.[date]?.audio;
+      const usedAudioFiles = audioFiles.filter(({ filename }) =>
+        filename === savedAudio?.original || filename === savedAudio?.transformed
+      );
+      return storage.commitChanges({ messagesData: data, audioFiles: usedAudioFiles, commitMessage: commitMsg });
+    });
 
-    logger.log('GITHUB_API', '✓ Message with audio saved successfully');
-    return updated;
+    logger.log('GITHUB_API', '✓ Message with audio saved successfully', result.commitSha || '');
+    return result;
   } catch (error) {
     logger.error('GITHUB_API', 'Failed to save message with audio:', error);
     throw error;
@@ -0,0 +1,357 @@
+/**
+ * GitHub storage backend
+ * messages.json and audio files live in the game's GitHub repo (config.github),
+ * read and written through the GitHub Contents API.
+ * Writes need EXPO_PUBLIC_GITHUB_TOKEN; reads work without it (public repo, rate limited).
+ */
+
+import { config } from '../../config.js';
+import { logger } from '../utils/logger.js';
+import { blobToBase64, textToBase64, base64ToText } from '../utils/encoding.js';
+
+const token = process.env.EXPO_PUBLIC_GITHUB_TOKEN || null; // Load from environment variable
+
+/**
+ * Contents API URL for a repo path
+ */
+function contentsUrl(path) {
+  const { owner, repo } = config.github;
+  return `https://api.github.com/repos/${owner}/${repo}/contents/${path}`;
+}
+
+/**
+ * Request headers (authorized when a token is available)
+ */
+function headers(extra = {}) {
+  return {
+    'Accept': 'application/vnd.github.v3+json',
+    ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+    ...extra,
+  };
+}
+
+/**
+ * Call the Git Data API (refs, commits, trees, blobs)
+ * @param {string} path - Path under /repos/{owner}/{repo}/git/
+ * @param {Object} options - { method, body }
+ * @returns {Promise<Object>} Parsed JSON response
+ * @throws {Error} With .status set to the HTTP status on failure
+ */
+async function gitData(path, { method = 'GET', body } = {}) {
+  const { owner, repo } = config.github;
+  const response = await fetch(`https://api.github.com/repos/${owner}/${repo}/git/${path}`, {
+    method,
+    headers: headers(body ? { 'Content-Type': 'application/json' } : {}),
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  if (!response.ok) {
+    const error = new Error(`GitHub API error (git/${path}): ${response.status} ${response.statusText}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return await response.json();
+}
+
+export const githubStorage = {
+  name: 'github',
+
+  /**
+   * Whether this backend can save (admin portal)
+   */
+  canWrite() {
+    return !!token;
+  },
+
+  /**
+   * Fetch messages.json (always fresh - cache busted)
+   * Throws on network/API errors - callers decide on fallbacks
+   * @returns {Promise<Object>} { current, messages, _sha }
+   */
+  async fetchMessages() {
+    const { messagesPath, branch } = config.github;
+    const cacheBuster = Date.now(); // Real time on purpose (network cache, not gameplay)
+
+    const response = await fetch(`${contentsUrl(messagesPath)}?ref=${branch}&_=${cacheBuster}`, {
+      headers: headers(),
+    });
+
+    if (!response.ok) {
+      throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+
+    // GitHub returns base64-encoded content (UTF-8 - messages can hold any language or emoji)
+    const messagesData = JSON.parse(base64ToText(data.content));
+
+    // Store SHA for future updates
+    messagesData._sha = data.sha;
+
+    return messagesData;
+  },
+
+  /**
+   * Write messages.json
+   * @param {Object} messagesData - { current, messages, _sha }
+   * @param {string} commitMessage - Commit message
+   * @returns {Promise<Object>} Updated data with new SHA
+   * @throws {Error} With .status 409/422 if messages.json changed since _sha
+   */
+  async updateMessages(messagesData, commitMessage) {
+    if (!token) {
+      throw new Error('GitHub token required for updates');
+    }
+
+    // Extract SHA if it exists (needed for updates)
+    const sha = messagesData._sha;
+
+    // Remove SHA from data before encoding (don't want it in the file)
+    const { _sha, ...cleanData } = messagesData;
+
+    // Encode content as base64 (of the UTF-8 bytes)
+    const content = textToBase64(JSON.stringify(cleanData, null, 2));
+
+    const response = await fetch(contentsUrl(config.github.messagesPath), {
+      method: 'PUT',
+      headers: headers({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({
+        message: commitMessage,
+        content: content,
+        sha: sha, // Required for updates
+        branch: config.github.branch,
+      }),
+    });
+
+    if (!response.ok) {
+      const error = new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+      error.status = response.status; // 409: messages.json changed since _sha
+      throw error;
+    }
+
+    const result = await response.json();
+
+    // Return updated data with new SHA
+    return {
+      ...cleanData,
+      _sha: result.content.sha,
+    };
+  },
+
+  /**
+   * Whether an audio file already exists
+   * @param {string} filename - Filename in the audio folder
+   * @returns {Promise<boolean>}
+   */
+  async audioFileExists(filename) {
+    const response = await fetch(contentsUrl(`${config.github.audioFolder}${filename}`), {
+      headers: headers(),
+    });
+    return response.ok;
+  },
+
+  /**
+   * Upload an audio file (overwrites an existing file with the same name)
+   * @param {string} filename - Filename in the audio folder
+   * @param {Blob} audioBlob - Audio file data
+   * @returns {Promise<string>} Filename
+   */
+  async uploadAudio(filename, audioBlob) {
+    if (!token) {
+      throw new Error('GitHub token required for audio uploads');
+    }
+
+    const url = contentsUrl(`${config.github.audioFolder}${filename}`);
+
+    // Check if file exists (get SHA for overwrite)
+    let existingSha = null;
+    try {
+      const checkResponse = await fetch(url, { headers: headers() });
+      if (checkResponse.ok) {
+        const data = await checkResponse.json();
+        existingSha = data.sha;
+        logger.log('GITHUB_API', `File exists, will overwrite: ${filename}`);
+      } else if (checkResponse.status === 404) {
+        logger.log('GITHUB_API', `Creating new file: ${filename}`);
+      }
+    } catch (e) {
+      // File doesn't exist yet
+      logger.log('GITHUB_API', `Creating new file: ${filename}`);
+    }
+
+    const base64Content = await blobToBase64(audioBlob);
+
+    const response = await fetch(url, {
+      method: 'PUT',
+      headers: headers({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({
+        message: `Upload audio: ${filename}`,
+        content: base64Content,
+        sha: existingSha,
+        branch: config.github.branch,
+      })
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(`Failed to upload audio: ${errorData.message}`);
+    }
+
+    logger.log('GITHUB_API', `✓ Uploaded audio: ${filename}`);
+    return filename;
+  },
+
+  /**
+   * All files in the audio folder
+   * @returns {Promise<Array>} [{ filename, size }] (size in bytes)
+   */
+  async listAudioFiles() {
+    const { audioFolder, branch } = config.github;
+    const response = await fetch(`${contentsUrl(audioFolder.replace(/\/$/, ''))}?ref=${branch}`, {
+      headers: headers(),
+    });
+
+    if (response.status === 404) return []; // No audio uploaded yet
+    if (!response.ok) {
+      throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+    }
+
+    const entries = await response.json();
+    return entries
+      .filter(entry => entry.type === 'file')
+      .map(entry => ({ filename: entry.name, size: entry.size }));
+  },
+
+  /**
+   * Past versions of messages.json, newest first (one per commit that touched it)
+   * @param {number} limit - Max number of commits to look back
+   * @returns {Promise<Array>} [{ commitSha, author, date, commitMessage, data }]
+   */
+  async fetchHistory(limit = 20) {
+    const { owner, repo, branch, messagesPath } = config.github;
+    const response = await fetch(
+      `https://api.github.com/repos/${owner}/${repo}/commits?path=${messagesPath}&sha=${branch}&per_page=${limit}`,
+      { headers: headers() }
+    );
+
+    if (!response.ok) {
+      throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+    }
+
+    const commits = await response.json();
+
+    // messages.json as of each commit (parallel - one request per version)
+    return await Promise.all(commits.map(async (commit) => {
+      let data = null;
+      try {
+        const fileResponse = await fetch(`${contentsUrl(messagesPath)}?ref=${commit.sha}`, { headers: headers() });
+        if (fileResponse.ok) {
+          data = JSON.parse(base64ToText((await fileResponse.json()).content));
+        }
+      } catch (error) {
+        logger.warn('GITHUB_API', `Could not read messages.json at ${commit.sha.slice(0, 7)}:`, error);
+      }
+
+      return {
+        commitSha: commit.sha,
+        author: commit.commit.author?.name || commit.author?.login || 'unknown',
+        date: commit.commit.author?.date || null,
+        commitMessage: commit.commit.message,
+        data,
+      };
+    }));
+  },
+
+  /**
+   * Write messages.json and audio files in a single commit (Git Data API)
+   * Everything lands together or not at all - no orphaned audio if a step fails.
+   * The branch only moves if messages.json is still the version messagesData was read from
+   * @param {Object} changes
+   * @param {Object} changes.messagesData - { current, messages, _sha } to write
+   * @param {Array} changes.audioFiles - [{ filename, blob }] to add to the audio folder
+   * @param {Array} changes.removeAudio - Filenames to delete from the audio folder
+   * @param {string} changes.commitMessage - Commit message
+   * @returns {Promise<Object>} { data, commitSha } - data has the new _sha
+   * @throws {Error} With .status 409 if messages.json changed since it was read (422 if the branch moved)
+   */
+  async commitChanges({ messagesData, audioFiles = [], removeAudio = [], commitMessage }) {
+    if (!token) {
+      throw new Error('GitHub token required for updates');
+    }
+
+    const { branch, messagesPath, audioFolder } = config.github;
+    const { _sha, ...cleanData } = messagesData;
+
+    // 1. Current tip of the branch
+    const ref = await gitData(`ref/heads/${branch}`);
+    const parentSha = ref.object.sha;
+    const parent = await gitData(`commits/${parentSha}`);
+
+    // 2. Refuse to overwrite someone else's messages.json changes
+    if (_sha) {
+      const check = await fetch(`${contentsUrl(messagesPath)}?ref=${parentSha}`, { headers: headers() });
+      const current = check.ok ? await check.json() : null;
+      if (current && current.sha !== _sha) {
+        const error = new Error('messages.json changed since it was loaded');
+        error.status = 409;
+        throw error;
+      }
+    }
+
+    // 3. Blobs for every file (audio as base64, messages.json as text)
+    const tree = [];
+    for (const { filename, blob } of audioFiles) {
+      const audioBlob = await gitData('blobs', {
+        method: 'POST',
+        body: { content: await blobToBase64(blob), encoding: 'base64' },
+      });
+      tree.push({ path: `${audioFolder}${filename}`, mode: '100644', type: 'blob', sha: audioBlob.sha });
+      logger.log('GITHUB_API', `✓ Staged audio: ${filename}`);
+    }
+
+    const messagesBlob = await gitData('blobs', {
+      method: 'POST',
+      body: { content: JSON.stringify(cleanData, null, 2), encoding: 'utf-8' },
+    });
+    tree.push({ path: messagesPath, mode: '100644', type: 'blob', sha: messagesBlob.sha });
+
+    // sha: null removes the file from the tree
+    for (const filename of removeAudio) {
+      tree.push({ path: `${audioFolder}${filename}`, mode: '100644', type: 'blob', sha: null });
+    }
+
+    // 4. Tree + commit on top of the branch tip
+    const newTree = await gitData('trees', {
+      method: 'POST',
+      body: { base_tree: parent.tree.sha, tree },
+    });
+    const commit = await gitData('commits', {
+      method: 'POST',
+      body: { message: commitMessage, tree: newTree.sha, parents: [parentSha] },
+    });
+
+    // 5. Move the branch (fast-forward only - fails if someone committed in the meantime)
+    await gitData(`refs/heads/${branch}`, {
+      method: 'PATCH',
+      body: { sha: commit.sha, force: false },
+    });
+
+    logger.log('GITHUB_API', `✓ Committed ${tree.length} file change(s): ${commit.sha.slice(0, 7)}`);
+
+    return {
+      data: { ...cleanData, _sha: messagesBlob.sha }, // Blob SHA = Contents API SHA
+      commitSha: commit.sha,
+    };
+  },
+
+  /**
+   * Playable URL for an audio file (raw file from the repo branch)
+   * @param {string} filename - Filename in the audio folder
+   * @returns {string}
+   */
+  resolveAudioUrl(filename) {
+    const { owner, repo, branch, audioFolder } = config.github;
+    return `https://raw.githubusercontent.com/${owner}/${repo}/${branch}/${audioFolder}${filename}`;
+  },
+};
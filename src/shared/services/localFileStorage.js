@@ -0,0 +1,175 @@
+/**
+ * Local storage backend
+ * messages.json and audio files live in a directory on the dev machine, served by api/storage.js
+ * (run the api/ server with LOCAL_STORAGE_DIR set). No GitHub token or internet needed -
+ * a stand-in for working on the admin portal and game offline.
+ */
+
+import { logger } from '../utils/logger.js';
+import { blobToBase64 } from '../utils/encoding.js';
+
+const API_URL = process.env.EXPO_PUBLIC_API_URL || 'http://localhost:3000';
+const STORAGE_URL = `${API_URL}/api/storage`;
+
+/**
+ * Error for a failed storage request (.status lets callers spot conflicts)
+ */
+function storageError(response) {
+  const error = new Error(`Local storage error: ${response.status} ${response.statusText}`);
+  error.status = response.status;
+  return error;
+}
+
+/**
+ * Storage URL for an audio file
+ */
+function audioUrl(filename) {
+  return `${STORAGE_URL}?audio=${encodeURIComponent(filename)}`;
+}
+
+export const localFileStorage = {
+  name: 'local',
+
+  /**
+   * Whether this backend can save (admin portal)
+   */
+  canWrite() {
+    return true;
+  },
+
+  /**
+   * Fetch messages.json from the storage directory
+   * Throws on network/server errors - callers decide on fallbacks
+   * @returns {Promise<Object>} { current, messages, _sha } (_sha: version id from the server)
+   */
+  async fetchMessages() {
+    const response = await fetch(STORAGE_URL, { cache: 'no-store' });
+
+    if (!response.ok) {
+      throw storageError(response);
+    }
+
+    return await response.json();
+  },
+
+  /**
+   * Write messages.json to the storage directory
+   * @param {Object} messagesData - { current, messages, _sha }
+   * @param {string} commitMessage - Change description (logged by the server)
+   * @returns {Promise<Object>} Saved data with new _sha
+   * @throws {Error} With .status 409 if messages.json changed since _sha
+   */
+  async updateMessages(messagesData, commitMessage) {
+    const { _sha, ...cleanData } = messagesData;
+
+    const response = await fetch(STORAGE_URL, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Change-Message': commitMessage,
+        ...(_sha ? { 'X-Base-Sha': _sha } : {}),
+      },
+      body: JSON.stringify(cleanData, null, 2),
+    });
+
+    if (!response.ok) {
+      throw storageError(response);
+    }
+
+    return await response.json();
+  },
+
+  /**
+   * Whether an audio file already exists
+   * @param {string} filename - Filename in the audio folder
+   * @returns {Promise<boolean>}
+   */
+  async audioFileExists(filename) {
+    const response = await fetch(audioUrl(filename), { method: 'HEAD' });
+    return response.ok;
+  },
+
+  /**
+   * Upload an audio file (overwrites an existing file with the same name)
+   * @param {string} filename - Filename in the audio folder
+   * @param {Blob} audioBlob - Audio file data
+   * @returns {Promise<string>} Filename
+   */
+  async uploadAudio(filename, audioBlob) {
+    const response = await fetch(audioUrl(filename), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/octet-stream' },
+      body: audioBlob,
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to upload audio: ${response.status} ${response.statusText}`);
+    }
+
+    logger.log('GITHUB_API', `✓ Saved audio locally: ${filename}`);
+    return filename;
+  },
+
+  /**
+   * All files in the audio folder
+   * @returns {Promise<Array>} [{ filename, size }] (size in bytes)
+   */
+  async listAudioFiles() {
+    const response = await fetch(`${STORAGE_URL}?list=audio`, { cache: 'no-store' });
+
+    if (!response.ok) {
+      throw storageError(response);
+    }
+
+    return await response.json();
+  },
+
+  /**
+   * Past versions of messages.json - the local directory keeps no history
+   * @returns {Promise<Array>} Always empty
+   */
+  async fetchHistory() {
+    return [];
+  },
+
+  /**
+   * Write messages.json and audio files together (server writes all or nothing)
+   * @param {Object} changes
+   * @param {Object} changes.messagesData - { current, messages } to write
+   * @param {Array} changes.audioFiles - [{ filename, blob }] to add to the audio folder
+   * @param {Array} changes.removeAudio - Filenames to delete from the audio folder
+   * @param {string} changes.commitMessage - Change description (logged by the server)
+   * @returns {Promise<Object>} { data, commitSha } - commitSha is null (no version history locally)
+   * @throws {Error} With .status 409 if messages.json changed since messagesData._sha
+   */
+  async commitChanges({ messagesData, audioFiles = [], removeAudio = [], commitMessage }) {
+    const { _sha, ...cleanData } = messagesData;
+
+    const audio = [];
+    for (const { filename, blob } of audioFiles) {
+      audio.push({ filename, content: await blobToBase64(blob) });
+    }
+
+    const response = await fetch(STORAGE_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: commitMessage, messages: cleanData, audio, remove: removeAudio, baseSha: _sha }),
+    });
+
+    if (!response.ok) {
+      throw storageError(response);
+    }
+
+    logger.log('GITHUB_API', `✓ Saved ${audio.length + 1} file(s) locally${removeAudio.length ? `, removed ${removeAudio.length}` : ''}`);
+    return { data: await response.json(), commitSha: null };
+  },
+
+  /**
+   * Playable URL for an audio file
+   * @param {string} filename - Filename in the audio folder
+   * @returns {string}
+   */
+  resolveAudioUrl(filename) {
+    return audioUrl(filename);
+  },
+};
@@ -0,0 +1,117 @@
+/**
+ * Message Cache Service
+ * Offline copy of messages.json (localStorage) and the live message's audio (Cache Storage),
+ * so the game can show the last known message instantly and keep playing without a network.
+ * GameCore reads the cache first, then revalidates from GitHub in the background.
+ * Web (and headless) version - iOS/Android get messageCache.native.js, same API on the file system.
+ */
+
+import { logger } from '../utils/logger';
+
+const STORAGE_KEY = 'spherical-truth-machine-messages';
+const AUDIO_CACHE_NAME = 'spherical-truth-machine-audio';
+
+const cachedAudioObjectUrls = new Set(); // URIs handed out by getCachedAudioUri, until released
+
+/**
+ * Get the cached messages.json
+ * @returns {Object|null} { data, fetchedAt } or null if nothing cached yet
+ */
+export function getCachedMessages() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (stored === null) {
+      return null;
+    }
+    const cached = JSON.parse(stored);
+    return cached?.data?.messages ? cached : null;
+  } catch (error) {
+    // Handle localStorage errors (private browsing, corrupt data, native without localStorage)
+    console.warn('Failed to read cached messages from localStorage:', error);
+    return null;
+  }
+}
+
+/**
+ * Cache a freshly fetched messages.json
+ * @param {Object} data - { current, messages }
+ */
+export function saveCachedMessages(data) {
+  try {
+    const { _sha, ...cleanData } = data; // SHA is only for admin writes
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ data: cleanData, fetchedAt: Date.now() }));
+  } catch (error) {
+    // Handle localStorage errors (private browsing, quota exceeded, etc.)
+    console.warn('Failed to save messages to localStorage:', error);
+  }
+}
+
+/**
+ * Whether audio files can be cached on this platform (web Cache Storage)
+ */
+function canCacheAudio() {
+  return typeof caches !== 'undefined' && typeof URL !== 'undefined' && typeof URL.createObjectURL === 'function';
+}
+
+/**
+ * Get a playable URI for a cached audio file
+ * @param {string} url - Stable audio URL (without cache buster)
+ * @returns {Promise<string|null>} Object URL for the cached file, or null if not cached
+ *   Free it with releaseCachedAudioUri once its player is gone
+ */
+export async function getCachedAudioUri(url) {
+  if (!canCacheAudio()) return null;
+
+  try {
+    const cache = await caches.open(AUDIO_CACHE_NAME);
+    const response = await cache.match(url);
+    if (!response) return null;
+
+    const objectUrl = URL.createObjectURL(await response.blob());
+    cachedAudioObjectUrls.add(objectUrl);
+    return objectUrl;
+  } catch (error) {
+    logger.warn('AUDIO_PLAYBACK', 'Failed to read cached audio:', error);
+    return null;
+  }
+}
+
+/**
+ * Free a URI from getCachedAudioUri (no-op for any other URI, e.g. a streamed storage URL)
+ * @param {string|null} uri - Audio URI that nothing plays anymore
+ */
+export function releaseCachedAudioUri(uri) {
+  if (!cachedAudioObjectUrls.delete(uri)) return;
+  URL.revokeObjectURL(uri);
+}
+
+/**
+ * Download an audio file into the cache, replacing any other cached audio
+ * (only the live message's audio is kept)
+ * @param {string} url - Stable audio URL, used as the cache key
+ * @param {string} fetchUrl - URL to download from (default: url, e.g. with a cache buster)
+ * @returns {Promise<boolean>} Whether the file is now cached
+ */
+export async function cacheAudio(url, fetchUrl = url) {
+  if (!canCacheAudio()) return false;
+
+  try {
+    const cache = await caches.open(AUDIO_CACHE_NAME);
+    if (!(await cache.match(url))) {
+      const response = await fetch(fetchUrl);
+      if (!response.ok) {
+        throw new Error(`Audio download failed: ${response.status}`);
+      }
+      await cache.put(url, response);
+      logger.log('AUDIO_PLAYBACK', '💾 Cached audio for offline play:', url);
+    }
+
+    // Drop audio from older messages
+    const keys = await cache.keys();
+    await Promise.all(keys.filter(request => request.url !== url).map(request => cache.delete(request)));
+    return true;
+  } catch (error) {
+    logger.warn('AUDIO_PLAYBACK', 'Failed to cache audio:', error);
+    return false;
+  }
+}
@@ -0,0 +1,128 @@
+/**
+ * Message Cache Service (iOS / Android)
+ * Same API as messageCache.js (Metro picks this file on native), backed by files in the app's
+ * document directory instead of localStorage / Cache Storage, which native doesn't have.
+ * Audio is played straight from its cached file, so there's no object URL to free.
+ */
+
+import { Directory, File, Paths } from 'expo-file-system';
+import { logger } from '../utils/logger';
+
+const CACHE_FOLDER = 'spherical-truth-machine-cache';
+const AUDIO_FOLDER = 'audio';
+
+function getCacheDirectory() {
+  return new Directory(Paths.document, CACHE_FOLDER);
+}
+
+function getMessagesFile() {
+  return new File(getCacheDirectory(), 'messages.json');
+}
+
+function getAudioDirectory() {
+  return new Directory(getCacheDirectory(), AUDIO_FOLDER);
+}
+
+/**
+ * Local file for a stable audio URL (hash of the URL, keeping its extension so the player knows the format)
+ * @param {string} url - Stable audio URL (without cache buster)
+ * @returns {File}
+ */
+function getAudioFile(url) {
+  let hash = 5381;
+  for (let i = 0; i < url.length; i++) {
+    hash = ((hash * 33) ^ url.charCodeAt(i)) >>> 0;
+  }
+  const ext = url.match(/\.(\w+)(?:$|[?#])/)?.[1] || 'audio';
+  return new File(getAudioDirectory(), `${hash.toString(36)}.${ext}`);
+}
+
+/**
+ * Get the cached messages.json
+ * @returns {Object|null} { data, fetchedAt } or null if nothing cached yet
+ */
+export function getCachedMessages() {
+  try {
+    const file = getMessagesFile();
+    if (!file.exists) {
+      return null;
+    }
+    const cached = JSON.parse(file.textSync());
+    return cached?.data?.messages ? cached : null;
+  } catch (error) {
+    // Corrupt or unreadable file - behave as if nothing was cached
+    logger.warn('GITHUB_API', 'Failed to read cached messages:', error);
+    return null;
+  }
+}
+
+/**
+ * Cache a freshly fetched messages.json
+ * @param {Object} data - { current, messages }
+ */
+export function saveCachedMessages(data) {
+  try {
+    const { _sha, ...cleanData } = data; // SHA is only for admin writes
+    getCacheDirectory().create({ idempotent: true, intermediates: true });
+    const file = getMessagesFile();
+    if (!file.exists) {
+      file.create();
+    }
+    file.write(JSON.stringify({ data: cleanData, fetchedAt: Date.now() }));
+  } catch (error) {
+    // Handle file errors (disk full, etc.)
+    logger.warn('GITHUB_API', 'Failed to save cached messages:', error);
+  }
+}
+
+/**
+ * Get a playable URI for a cached audio file
+ * @param {string} url - Stable audio URL (without cache buster)
+ * @returns {Promise<string|null>} file:// URI of the cached file, or null if not cached
+ */
+export async function getCachedAudioUri(url) {
+  try {
+    const file = getAudioFile(url);
+    return file.exists ? file.uri : null;
+  } catch (error) {
+    logger.warn('AUDIO_PLAYBACK', 'Failed to read cached audio:', error);
+    return null;
+  }
+}
+
+/**
+ * Free a URI from getCachedAudioUri - nothing to do, cached audio is a plain file
+ * @param {string|null} uri - Audio URI that nothing plays anymore
+ */
+export function releaseCachedAudioUri(uri) {}
+
+/**
+ * Download an audio file into the cache, replacing any other cached audio
+ * (only the live message's audio is kept)
+ * @param {string} url - Stable audio URL, used as the cache key
+ * @param {string} fetchUrl - URL to download from (default: url, e.g. with a cache buster)
+ * @returns {Promise<boolean>} Whether the file is now cached
+ */
+export async function cacheAudio(url, fetchUrl = url) {
+  try {
+    const audioDirectory = getAudioDirectory();
+    audioDirectory.create({ idempotent: true, intermediates: true });
+
+    const file = getAudioFile(url);
+    if (!file.exists) {
+      await File.downloadFileAsync(fetchUrl, file);
+      logger.log('AUDIO_PLAYBACK', '💾 Cached audio for offline play:', url);
+    }
+
+    // Drop audio from older messages
+    for (const entry of audioDirectory.list()) {
+      if (entry instanceof File && entry.uri !== file.uri) {
+        entry.delete();
+      }
+    }
+    return true;
+  } catch (error) {
+    logger.warn('AUDIO_PLAYBACK', 'Failed to cache audio:', error);
+    return false;
+  }
+}
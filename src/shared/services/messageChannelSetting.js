@@ -0,0 +1,76 @@
+/**
+ * Message Channel Setting
+ * Which messages.json channel this player sees (see messageChannels.js), persisted in localStorage
+ *
+ * Picked, in order, from:
+ *   1. A deep link with ?channel=<name> (https://…/?channel=kids, sphericaltruthmachine://?channel=es)
+ *      - remembered, so later launches without the link stay on that channel
+ *   2. The remembered setting
+ *   3. EXPO_PUBLIC_MESSAGE_CHANNEL (e.g. a build for one audience)
+ *   4. The default channel
+ * ?channel=default goes back to the default channel.
+ */
+
+import { DEFAULT_CHANNEL, isValidChannelName } from '../utils/messageChannels';
+
+const STORAGE_KEY = 'spherical-truth-machine-channel';
+
+/**
+ * Get the channel setting (without deep links)
+ * @returns {string} Channel name
+ */
+export function getMessageChannel() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (isValidChannelName(stored)) {
+      return stored;
+    }
+  } catch (error) {
+    // Handle localStorage errors (private browsing, native without localStorage)
+    console.warn('Failed to read message channel from localStorage:', error);
+  }
+
+  const envChannel = process.env.EXPO_PUBLIC_MESSAGE_CHANNEL;
+  return isValidChannelName(envChannel) ? envChannel : DEFAULT_CHANNEL;
+}
+
+/**
+ * Remember a channel for later launches
+ * @param {string} channel - Channel name
+ */
+export function setMessageChannel(channel) {
+  try {
+    localStorage.setItem(STORAGE_KEY, channel);
+  } catch (error) {
+    // Handle localStorage errors (private browsing, quota exceeded, etc.)
+    console.warn('Failed to save message channel to localStorage:', error);
+  }
+}
+
+/**
+ * Read ?channel=<name> from a deep link or page URL
+ * @param {string|null} url - Any URL (custom schemes included)
+ * @returns {string|null} Channel name, or null if the URL doesn't pick a valid one
+ */
+export function getChannelFromUrl(url) {
+  if (!url) return null;
+  const match = url.match(/[?&]channel=([^&#]*)/);
+  if (!match) return null;
+
+  const channel = decodeURIComponent(match[1]).toLowerCase();
+  return isValidChannelName(channel) ? channel : null;
+}
+
+/**
+ * Apply a deep link: remember its channel if it names one
+ * @param {string|null} url - Deep link / page URL
+ * @returns {string} The channel to play now
+ */
+export function resolveMessageChannel(url) {
+  const linked = getChannelFromUrl(url);
+  if (linked) {
+    setMessageChannel(linked);
+    return linked;
+  }
+  return getMessageChannel();
+}
@@ -0,0 +1,36 @@
+/**
+ * Message storage - where messages.json and message audio live
+ *
+ * Every backend has the same shape:
+ *   name                          - Backend id ('github', 'local')
+ *   canWrite()                    - Whether saves can work (e.g. GitHub needs a token)
+ *   fetchMessages()               - Fresh { current, messages } (throws on failure)
+ *   updateMessages(data, message) - Write messages.json, returns the saved data
+ *   audioFileExists(filename)     - Whether an audio file is taken
+ *   uploadAudio(filename, blob)   - Write an audio file
+ *   listAudioFiles()              - [{ filename, size }] in the audio folder
+ *   commitChanges(changes)        - Write messages.json + add/remove audio files atomically, returns { data, commitSha }
+ *   fetchHistory(limit)           - Past versions of messages.json, newest first ([] if not versioned)
+ *   resolveAudioUrl(filename)     - Playable URL for an audio file
+ *
+ * githubApi.js (admin portal) and GameCore (game) only talk to the backend returned here.
+ */
+
+import { config } from '../../config.js';
+import { githubStorage } from './githubStorage.js';
+import { localFileStorage } from './localFileStorage.js';
+
+const BACKENDS = {
+  github: githubStorage,
+  local: localFileStorage,
+};
+
+/**
+ * Get the active storage backend
+ * EXPO_PUBLIC_STORAGE_BACKEND overrides config.storage.backend (unknown ids fall back to github)
+ * @returns {Object} Storage backend
+ */
+export function getMessageStorage() {
+  const id = process.env.EXPO_PUBLIC_STORAGE_BACKEND || config.storage.backend;
+  return BACKENDS[id] || githubStorage;
+}
@@ -0,0 +1,70 @@
+/**
+ * Replay Storage Service
+ * Keeps the most recent run replays in localStorage (newest first)
+ * so a tester's bad run can be watched or exported after the fact
+ */
+
+import { config } from '../../config';
+import { REPLAY_VERSION } from '../../screens/gameplay/ReplayRecorder';
+
+const STORAGE_KEY = 'spherical-truth-machine-replays';
+
+/**
+ * Get stored replays from localStorage
+ * @returns {Array} Replays, newest first
+ */
+export function getReplays() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (stored === null) {
+      return [];
+    }
+    const replays = JSON.parse(stored);
+    return Array.isArray(replays) ? replays : [];
+  } catch (error) {
+    // Handle localStorage errors (private browsing, corrupt data, etc.)
+    console.warn('Failed to read replays from localStorage:', error);
+    return [];
+  }
+}
+
+/**
+ * Get the most recently recorded replay
+ * @returns {Object|null}
+ */
+export function getLatestReplay() {
+  return getReplays()[0] || null;
+}
+
+/**
+ * Store a replay (oldest replays are dropped beyond config.replay.maxStored)
+ * @param {Object} replay - Replay from ReplayRecorder
+ */
+export function saveReplay(replay) {
+  try {
+    const replays = [replay, ...getReplays()].slice(0, config.replay.maxStored);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(replays));
+  } catch (error) {
+    // Handle localStorage errors (private browsing, quota exceeded, etc.)
+    console.warn('Failed to save replay to localStorage:', error);
+  }
+}
+
+/**
+ * Parse and validate replay JSON (e.g. pasted from a tester's export)
+ * @param {string} json - Replay JSON string
+ * @returns {Object} The replay
+ * @throws {Error} If the JSON is not a replay this build can play
+ */
+export function parseReplay(json) {
+  const replay = JSON.parse(json);
+
+  if (!replay || typeof replay !== 'object' || !Array.isArray(replay.inputs) || !replay.duration) {
+    throw new Error('Not a replay');
+  }
+  if (replay.version !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version ${replay.version} (expected ${REPLAY_VERSION})`);
+  }
+
+  return replay;
+}
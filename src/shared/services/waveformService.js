@@ -0,0 +1,51 @@
+/**
+ * Waveform Service
+ * Decodes a recording with the Web Audio API and reduces it to peaks for drawing
+ * (used by the admin TimingEditor)
+ */
+
+import { logger } from '../utils/logger';
+
+/**
+ * Load a recording as a list of peak levels, one per bucket of time
+ * @param {string} audioUri - Blob/file URI of the recording (original or transformed voice)
+ * @param {number} bucketMs - Milliseconds of audio per peak
+ * @returns {Promise<Object>} { peaks (0-1, loudest = 1), bucketMs, durationMs }
+ */
+export async function loadWaveform(audioUri, bucketMs = 16) {
+  const response = await fetch(audioUri);
+  const arrayBuffer = await response.arrayBuffer();
+
+  const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+  try {
+    const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
+    const samples = audioBuffer.getChannelData(0); // First channel is enough for a picture
+    const samplesPerBucket = Math.max(1, Math.round((audioBuffer.sampleRate * bucketMs) / 1000));
+
+    const peaks = [];
+    let loudest = 0;
+    for (let start = 0; start < samples.length; start += samplesPerBucket) {
+      const end = Math.min(samples.length, start + samplesPerBucket);
+      let peak = 0;
+      for (let i = start; i < end; i++) {
+        peak = Math.max(peak, Math.abs(samples[i]));
+      }
+      peaks.push(peak);
+      loudest = Math.max(loudest, peak);
+    }
+
+    logger.log('ADMIN_UI', 'Waveform decoded:', {
+      duration: audioBuffer.duration,
+      sampleRate: audioBuffer.sampleRate,
+      buckets: peaks.length,
+    });
+
+    return {
+      peaks: loudest > 0 ? peaks.map(peak => peak / loudest) : peaks,
+      bucketMs,
+      durationMs: Math.round(audioBuffer.duration * 1000),
+    };
+  } finally {
+    audioContext.close?.();
+  }
+}
@@ -11,13 +11,19 @@ const API_URL = process.env.EXPO_PUBLIC_API_URL || 'http://localhost:3000';
 
 /**
  * Analyze audio file and get precise word timestamps
- * @param {string} audioUri - URI to .m4a audio file
+ * @param {string} audioUri - URI to the recording (m4a, webm, wav, mp3, ogg or flac - the API sniffs which)
  * @param {Array} sentenceBreaks - Array of sentence break timestamps in ms (optional)
  * @param {boolean} transformVoice - Whether to transform voice using ElevenLabs (optional)
  * @param {string} voiceId - ElevenLabs voice ID (optional, uses config default if not provided)
- * @returns {Promise<Object>} { text, words, wordTimings, wordAudioSegments, transformedAudioUri }
+ * @param {string} expectedText - The words that were read out (optional). When given, the API aligns
+ *   these to the audio directly instead of transcribing it, so counts never mismatch
+ * @returns {Promise<Object>} { text, words, wordTimings, wordConfidence, wordAudioSegments, transformedAudioUris, format, meta }
+ *   wordConfidence is [{ word, confidence }] (0-1, one per spoken word, no break markers) - below 1 means
+ *   the API had to merge/split detected segments to fit the words; wordTimings entries below the API's
+ *   min_confidence are marked unsure: true. format.input is the container the
+ *   API sniffed from the upload (m4a, webm, wav, mp3, ogg or flac) - what the original is saved as
  */
-export async function getWordTimestamps(audioUri, sentenceBreaks = [], transformVoice = false, voiceId = null) {
+export async function getWordTimestamps(audioUri, sentenceBreaks = [], transformVoice = false, voiceId = null, expectedText = null) {
   try {
     logger.log('WORD_ALIGNMENT', 'Calling word-timestamps API...');
     logger.log('WORD_ALIGNMENT', 'Audio URI:', audioUri);
@@ -25,7 +31,7 @@ export async function getWordTimestamps(audioUri, sentenceBreaks = [], transform
     // Convert blob URI to File object
     const response = await fetch(audioUri);
     const blob = await response.blob();
-    const file = new File([blob], 'recording.m4a', { type: 'audio/m4a' });
+    const file = new File([blob], 'recording.m4a', { type: blob.type || 'audio/m4a' }); // Name is just a label - the API reads the bytes
 
     // Create form data
     const formData = new FormData();
@@ -42,6 +48,12 @@ export async function getWordTimestamps(audioUri, sentenceBreaks = [], transform
       logger.log('VOICE_TRANSFORMATION', '[Frontend] Voice transform disabled');
     }
 
+    // Known text skips speech-to-text on the server
+    if (expectedText && expectedText.trim()) {
+      formData.append('expectedText', expectedText.trim());
+      logger.log('WORD_ALIGNMENT', 'Aligning against expected text:', expectedText.trim());
+    }
+
     // Call the API
     const apiResponse = await fetch(`${API_URL}/api/align`, {
       method: 'POST',
@@ -54,6 +66,16 @@ export async function getWordTimestamps(audioUri, sentenceBreaks = [], transform
       // Handle 422 mismatch error specifically
       if (apiResponse.status === 422) {
         logger.error('WORD_ALIGNMENT', 'Word/segment mismatch:', errorData);
+        if (errorData.details?.segments === 0) {
+          throw new Error(errorData.error);
+        }
+        if (errorData.details?.lowest_confidence != null) {
+          throw new Error(
+            `Word count (${errorData.details.words}) doesn't match detected segments (${errorData.details.segments}), ` +
+            `and the best fix was only ${Math.round(errorData.details.lowest_confidence * 100)}% sure. ` +
+            `Try recording with clearer pauses between words.`
+          );
+        }
         throw new Error(
           `Word count (${errorData.details.words}) doesn't match detected segments (${errorData.details.segments}). ` +
           `Try recording with clearer pauses between words.`
@@ -65,10 +87,16 @@ export async function getWordTimestamps(audioUri, sentenceBreaks = [], transform
 
     const data = await apiResponse.json();
     logger.log('WORD_ALIGNMENT', 'Word timestamps API response:', data);
+    logger.log('WORD_ALIGNMENT', 'Audio format:', data.format);
 
-    // API now returns the correct format: { word, start, end }
-    // where start/end are in milliseconds
-    const wordTimings = data.words;
+    // API now returns the correct format: { word, start, end, confidence }
+    // where start/end are in milliseconds. Words the API was less than meta.min_confidence sure of get
+    // unsure: true so the admin sees them in the timing editor (saveMessageWithAudio doesn't store it)
+    const minConfidence = data.meta?.min_confidence ?? 0;
+    const wordTimings = data.words.map(({ word, start, end, confidence = 1 }) => (
+      confidence < minConfidence ? { word, start, end, unsure: true } : { word, start, end }
+    ));
+    const wordConfidence = data.words.map(({ word, confidence }) => ({ word, confidence: confidence ?? 1 }));
 
     // Insert sentence break markers if provided
     const timingsWithBreaks = insertSentenceBreaks(wordTimings, sentenceBreaks);
@@ -114,8 +142,10 @@ export async function getWordTimestamps(audioUri, sentenceBreaks = [], transform
       text: transcript,
       words: wordsArray,
       wordTimings: timingsWithBreaks,
+      wordConfidence,
       wordAudioSegments: null, // Not needed with new approach
       transformedAudioUris: transformedAudioUris, // { reboundhi: uri, reboundhita: uri }
+      format: data.format, // { input, analyzed, sample_rate_hz, channels, encoding }
       meta: data.meta, // Include metadata for debugging
     };
   } catch (error) {
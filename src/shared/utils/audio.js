@@ -1,6 +1,5 @@
 import { createAudioPlayer } from 'expo-audio';
 import { config } from '../../config';
-import { triggerHaptic } from './haptics';
 import { logger } from './logger';
 
 // Sound player cache
@@ -25,7 +24,8 @@ function loadSound(name, source, volume = 1.0) {
   }
 }
 
-// Play a sound by name with optional haptic feedback
+// Play a sound by name
+// (gameplay haptics are triggered alongside by GameCore through its haptics adapter)
 export async function playSound(name) {
   try {
     const soundMap = {
@@ -64,22 +64,6 @@ export async function playSound(name) {
       player.seekTo(0);
       player.play();
     }
-
-    // Trigger haptic feedback for key game events
-    // Use runtime config if available (from haptics debug menu), otherwise use default
-    const runtimeConfig = global.runtimeHapticsConfig;
-
-    const hapticEventMap = {
-      'gelato-create': 'gelatoCreation',
-      'gelato-bounce': 'gelatoBounce',
-      'wall-bump': 'wallBump',
-      'loss': 'loss',
-    };
-
-    const hapticEvent = hapticEventMap[name];
-    if (hapticEvent) {
-      triggerHaptic(hapticEvent, runtimeConfig);
-    }
   } catch (error) {
     logger.warn('AUDIO_PLAYBACK', `Failed to play sound ${name}:`, error);
   }
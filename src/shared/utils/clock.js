@@ -0,0 +1,31 @@
+/**
+ * Clock utilities
+ * GameCore reads time through an injected clock instead of Date.now() directly,
+ * so simulations can run on virtual time (replays, headless runs)
+ */
+
+/**
+ * Real wall-clock time (default for live gameplay)
+ * @returns {number} - Milliseconds
+ */
+export function systemNow() {
+  return Date.now();
+}
+
+/**
+ * Create a manually advanced clock
+ * Advance it by the same deltaMs passed to GameCore.step() to keep physics and timers in lockstep
+ *
+ * @param {number} startTime - Initial time in milliseconds (default 0)
+ * @returns {{ now: () => number, advance: (ms: number) => void }}
+ */
+export function createManualClock(startTime = 0) {
+  let time = startTime;
+
+  return {
+    now: () => time,
+    advance: (ms) => {
+      time += ms;
+    },
+  };
+}
@@ -0,0 +1,183 @@
+/**
+ * Drawing utility functions
+ * Pure helpers for turning finger movement into Gelato paths
+ */
+
+/**
+ * Snap a point to the nearest grid intersection
+ *
+ * @param {{x: number, y: number}} point - Raw touch point
+ * @param {number} gridSize - Grid cell size in pixels
+ * @returns {{x: number, y: number}} - Snapped point
+ */
+export function snapToGrid(point, gridSize) {
+  return {
+    x: Math.round(point.x / gridSize) * gridSize,
+    y: Math.round(point.y / gridSize) * gridSize,
+  };
+}
+
+/**
+ * Extend a segmented path with the current finger position
+ * A new grid-aligned vertex is committed once the finger has moved far enough from the last one.
+ * If the new vertex continues in the exact same direction as the last segment, that segment is
+ * stretched instead (keeps straight runs as one segment = one physics body)
+ *
+ * @param {Array} vertices - Committed (grid-snapped) vertices so far, at least one
+ * @param {{x: number, y: number}} fingerPoint - Current raw touch point
+ * @param {number} triggerDistance - Distance finger must move from last vertex before committing
+ * @param {number} gridSize - Grid cell size in pixels
+ * @returns {Array} - Same array if nothing was committed, otherwise a new array of vertices
+ */
+export function extendSegmentedPath(vertices, fingerPoint, triggerDistance, gridSize) {
+  const last = vertices[vertices.length - 1];
+  const dx = fingerPoint.x - last.x;
+  const dy = fingerPoint.y - last.y;
+  if (Math.sqrt(dx * dx + dy * dy) < triggerDistance) {
+    return vertices;
+  }
+
+  const snapped = snapToGrid(fingerPoint, gridSize);
+  if (snapped.x === last.x && snapped.y === last.y) {
+    return vertices;
+  }
+
+  // Collinear with previous segment (same direction) → stretch it instead of adding a vertex
+  if (vertices.length >= 2) {
+    const prev = vertices[vertices.length - 2];
+    const cross = (last.x - prev.x) * (snapped.y - last.y) - (last.y - prev.y) * (snapped.x - last.x);
+    const dot = (last.x - prev.x) * (snapped.x - last.x) + (last.y - prev.y) * (snapped.y - last.y);
+    if (cross === 0 && dot > 0) {
+      return [...vertices.slice(0, -1), snapped];
+    }
+  }
+
+  return [...vertices, snapped];
+}
+
+/**
+ * Total length of a path
+ *
+ * @param {Array} points - Path points [{x, y}, ...]
+ * @returns {number} - Sum of the distances between consecutive points
+ */
+export function calculatePathLength(points) {
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    const dx = points[i].x - points[i - 1].x;
+    const dy = points[i].y - points[i - 1].y;
+    length += Math.sqrt(dx * dx + dy * dy);
+  }
+  return length;
+}
+
+/**
+ * Drop points from the start of a path until it fits in maxLength (sliding start)
+ *
+ * @param {Array} points - Path points [{x, y}, ...]
+ * @param {number} maxLength - Longest allowed path in pixels
+ * @returns {Array} - New array, at least two points
+ */
+export function trimPathToMaxLength(points, maxLength) {
+  let totalLength = calculatePathLength(points);
+  const trimmedPoints = [...points];
+
+  while (totalLength > maxLength && trimmedPoints.length > 2) {
+    const dx = trimmedPoints[1].x - trimmedPoints[0].x;
+    const dy = trimmedPoints[1].y - trimmedPoints[0].y;
+    trimmedPoints.shift();
+    totalLength -= Math.sqrt(dx * dx + dy * dy);
+  }
+
+  return trimmedPoints;
+}
+
+/**
+ * Start the in-progress path for a new touch (shared by the game and the admin preview)
+ * Segmented paths are committed grid vertices + the live finger point (pending segment) at the end
+ *
+ * @param {{x: number, y: number}} touchPoint - Raw touch point
+ * @param {Object} drawing - config.drawing ({ approach, segmentGridSize })
+ * @returns {Array} - Path points
+ */
+export function startDrawingPath(touchPoint, drawing) {
+  if (drawing.approach === 'segmented') {
+    return [snapToGrid(touchPoint, drawing.segmentGridSize), touchPoint];
+  }
+  return [touchPoint];
+}
+
+/**
+ * Add the finger's new position to the in-progress path, trimmed to maxLength (sliding start)
+ * Segmented paths commit a new grid-aligned segment once the finger has moved far enough
+ *
+ * @param {Array} path - Path from startDrawingPath / continueDrawingPath
+ * @param {{x: number, y: number}} touchPoint - Raw touch point
+ * @param {number} maxLength - Longest allowed Gelato in pixels
+ * @param {Object} drawing - config.drawing ({ approach, segmentGridSize, segmentTriggerDistance })
+ * @returns {Array} - New path points
+ */
+export function continueDrawingPath(path, touchPoint, maxLength, drawing) {
+  if (drawing.approach === 'segmented') {
+    const committed = extendSegmentedPath(path.slice(0, -1), touchPoint, drawing.segmentTriggerDistance, drawing.segmentGridSize);
+    return [...trimPathToMaxLength(committed, maxLength), touchPoint];
+  }
+  return trimPathToMaxLength([...path, touchPoint], maxLength);
+}
+
+/**
+ * Vertices of a finished segmented path, ready for GameCore.createSegmentedGelato()
+ * The final segment under the finger is committed too (if far enough)
+ *
+ * @param {Array} path - Segmented path from continueDrawingPath
+ * @param {Object} drawing - config.drawing ({ segmentGridSize, segmentTriggerDistance })
+ * @returns {Array} - Committed vertices (fewer than two = nothing to build)
+ */
+export function finishSegmentedPath(path, drawing) {
+  return extendSegmentedPath(path.slice(0, -1), path[path.length - 1], drawing.segmentTriggerDistance, drawing.segmentGridSize);
+}
+
+/**
+ * Blend a drawn path toward the straight line between two endpoints
+ * Used for both the curved Gelato visual and its matching physics body
+ *
+ * @param {Array} path - Original drawn path [{x, y}, ...]
+ * @param {{x: number, y: number}} start - Straight line start
+ * @param {{x: number, y: number}} end - Straight line end
+ * @param {number} blendAmount - 0.0 = straight line, 1.0 = exact drawing, 0.5 = 50/50 mix
+ * @returns {Array} - Blended points (same count as path)
+ */
+export function blendPathTowardLine(path, start, end, blendAmount) {
+  return path.map((point, i) => {
+    const t = i / (path.length - 1);
+    const straightX = start.x + (end.x - start.x) * t;
+    const straightY = start.y + (end.y - start.y) * t;
+    return {
+      x: point.x * blendAmount + straightX * (1 - blendAmount),
+      y: point.y * blendAmount + straightY * (1 - blendAmount),
+    };
+  });
+}
+
+/**
+ * Reduce a dense path to points roughly segmentLength apart (first and last always kept)
+ *
+ * @param {Array} path - Path points [{x, y}, ...]
+ * @param {number} segmentLength - Minimum distance between kept points in pixels
+ * @returns {Array} - Resampled points
+ */
+export function resamplePath(path, segmentLength) {
+  const resampled = [path[0]];
+  let distanceSinceLast = 0;
+
+  for (let i = 1; i < path.length - 1; i++) {
+    distanceSinceLast += Math.hypot(path[i].x - path[i - 1].x, path[i].y - path[i - 1].y);
+    if (distanceSinceLast >= segmentLength) {
+      resampled.push(path[i]);
+      distanceSinceLast = 0;
+    }
+  }
+
+  resampled.push(path[path.length - 1]);
+  return resampled;
+}
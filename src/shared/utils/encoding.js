@@ -0,0 +1,47 @@
+/**
+ * Encoding utility functions
+ * Binary ↔ text helpers for sending audio files and UTF-8 text through JSON APIs
+ */
+
+/**
+ * Encode a Blob as base64
+ * @param {Blob} blob - File data (e.g. recorded audio)
+ * @returns {Promise<string>} Base64 string (no data: prefix)
+ */
+export async function blobToBase64(blob) {
+  return bytesToBase64(new Uint8Array(await blob.arrayBuffer()));
+}
+
+/**
+ * Encode text as base64 of its UTF-8 bytes (btoa alone throws on anything outside Latin-1, e.g. emoji)
+ * @param {string} text - Any text (e.g. messages.json)
+ * @returns {string} Base64 string
+ */
+export function textToBase64(text) {
+  return bytesToBase64(new TextEncoder().encode(text));
+}
+
+/**
+ * Decode base64 of UTF-8 bytes back to text (atob alone turns multi-byte characters into mojibake)
+ * @param {string} base64 - Base64 string (line breaks allowed, as the GitHub contents API sends them)
+ * @returns {string} Decoded text
+ */
+export function base64ToText(base64) {
+  const binary = atob(base64.replace(/\s/g, ''));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new TextDecoder('utf-8').decode(bytes);
+}
+
+// Bytes → base64 (btoa works on binary strings, one char per byte)
+function bytesToBase64(bytes) {
+  // Build the binary string in chunks - one char per byte is slow for multi-MB audio
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
@@ -0,0 +1,75 @@
+/**
+ * Message channels - separate timelines in one messages.json (e.g. per audience or language)
+ *
+ * The top-level `current` + `messages` are the "default" channel, so older apps keep reading them.
+ * Other channels live under `channels`, each with its own schedule and `current` override:
+ *   { current, messages, channels: { kids: { current, messages }, es: { current, messages } } }
+ *
+ * Every channel object has the { current, messages } shape messageSchedule.js works on.
+ */
+
+export const DEFAULT_CHANNEL = 'default';
+
+const CHANNEL_NAME = /^[a-z0-9][a-z0-9-]{0,31}$/;
+
+/**
+ * Whether a string can name a channel (lowercase letters, digits, dashes - it ends up in deep links)
+ * @param {string} name - Channel name
+ * @returns {boolean}
+ */
+export function isValidChannelName(name) {
+  return typeof name === 'string' && CHANNEL_NAME.test(name);
+}
+
+/**
+ * Channel names in messages.json, default first
+ * @param {Object} messagesData - messages.json
+ * @returns {Array<string>}
+ */
+export function listChannels(messagesData) {
+  const others = Object.keys(messagesData?.channels || {}).filter(name => name !== DEFAULT_CHANNEL).sort();
+  return [DEFAULT_CHANNEL, ...others];
+}
+
+/**
+ * Get a channel's { current, messages } (the same object - edits go straight into messagesData)
+ * @param {Object} messagesData - messages.json
+ * @param {string} channel - Channel name (default: the top-level timeline)
+ * @returns {Object|null} Channel data, or null if the channel doesn't exist
+ */
+export function getChannel(messagesData, channel = DEFAULT_CHANNEL) {
+  if (!messagesData) return null;
+  if (channel === DEFAULT_CHANNEL) return messagesData;
+  return messagesData.channels?.[channel] || null;
+}
+
+/**
+ * Get a channel's { current, messages }, creating an empty one if needed (mutates messagesData)
+ * @param {Object} messagesData - messages.json
+ * @param {string} channel - Channel name
+ * @returns {Object} Channel data
+ * @throws {Error} If the name isn't a valid channel name
+ */
+export function ensureChannel(messagesData, channel = DEFAULT_CHANNEL) {
+  const existing = getChannel(messagesData, channel);
+  if (existing) {
+    if (!existing.messages) existing.messages = {};
+    return existing;
+  }
+
+  if (!isValidChannelName(channel)) {
+    throw new Error(`Invalid channel name: "${channel}" (use lowercase letters, digits and dashes)`);
+  }
+
+  messagesData.channels = { ...messagesData.channels, [channel]: { current: null, messages: {} } };
+  return messagesData.channels[channel];
+}
+
+/**
+ * Commit message suffix naming the channel (empty for the default channel)
+ * @param {string} channel - Channel name
+ * @returns {string}
+ */
+export function describeChannel(channel) {
+  return channel && channel !== DEFAULT_CHANNEL ? ` [${channel}]` : '';
+}
@@ -0,0 +1,147 @@
+/**
+ * Message merging - combine two edits of messages.json made from the same starting version
+ *
+ * Three-way merge at the per-date level: each date in `messages` (and each other top-level field,
+ * like `current`) is one unit - per channel (see messageChannels.js). A unit only one side changed takes that side; a unit both sides
+ * changed the same way is fine; a unit both sides changed differently is a conflict.
+ * Used when a save loses the race with another admin / tab (see updateMessages in githubApi.js).
+ */
+
+/**
+ * Whether two values are the same (messages.json is plain JSON)
+ */
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Merge one level of keys
+ * @returns {Object} { merged, conflicts } - conflicts: [{ key, base, mine, theirs }]
+ */
+function mergeKeys(base = {}, mine = {}, theirs = {}, skip = []) {
+  const merged = {};
+  const conflicts = [];
+  const keys = new Set([...Object.keys(base), ...Object.keys(mine), ...Object.keys(theirs)]);
+
+  for (const key of keys) {
+    if (skip.includes(key)) continue;
+    const b = base[key];
+    const m = mine[key];
+    const t = theirs[key];
+
+    let value;
+    if (same(m, b)) {
+      value = t; // Only they changed it (or nobody did)
+    } else if (same(t, b) || same(m, t)) {
+      value = m; // Only I changed it (or we both made the same change)
+    } else {
+      conflicts.push({ key, base: b, mine: m, theirs: t });
+      value = t; // Placeholder until the conflict is resolved
+    }
+
+    if (value !== undefined) {
+      merged[key] = value; // undefined = deleted
+    }
+  }
+
+  return { merged, conflicts };
+}
+
+/**
+ * Merge one timeline ({ current, messages } - the top level or a channel)
+ * @returns {Object} { merged, conflicts } - conflicts: [{ channel, field, date, base, mine, theirs }]
+ */
+function mergeTimeline(base = {}, mine = {}, theirs = {}, channel, skip = []) {
+  const top = mergeKeys(base, mine, theirs, ['messages', ...skip]);
+  const dates = mergeKeys(base.messages, mine.messages, theirs.messages);
+
+  return {
+    merged: { ...top.merged, messages: dates.merged },
+    conflicts: [
+      ...top.conflicts.map(({ key, ...values }) => ({ channel, field: key, date: null, ...values })),
+      ...dates.conflicts.map(({ key, ...values }) => ({ channel, field: 'messages', date: key, ...values })),
+    ],
+  };
+}
+
+/**
+ * Three-way merge of messages.json
+ * @param {Object} base - Version both edits started from ({ current, messages, channels })
+ * @param {Object} mine - My edit
+ * @param {Object} theirs - Latest saved version (someone else's edit)
+ * @returns {Object} { merged, conflicts } - merged uses theirs for conflicting units;
+ *   conflicts: [{ channel, field, date, base, mine, theirs }] (channel null = top level / default channel;
+ *   date set for messages, field for other fields)
+ */
+export function mergeMessages(base, mine, theirs) {
+  const clean = ({ _sha, ...data } = {}) => data;
+  const b = clean(base);
+  const m = clean(mine);
+  const t = clean(theirs);
+
+  const { merged, conflicts } = mergeTimeline(b, m, t, null, ['channels']);
+
+  // Channels merge like the top level; a channel exists if either side has it
+  const names = new Set([...Object.keys(m.channels || {}), ...Object.keys(t.channels || {})]);
+  if (names.size > 0) {
+    merged.channels = {};
+    for (const name of names) {
+      const channel = mergeTimeline(b.channels?.[name], m.channels?.[name], t.channels?.[name], name);
+      merged.channels[name] = channel.merged;
+      conflicts.push(...channel.conflicts);
+    }
+  }
+
+  return { merged, conflicts };
+}
+
+/**
+ * Whether two versions of messages.json have the same content (ignores key order and _sha)
+ * @param {Object} a - { current, messages, channels }
+ * @param {Object} b - { current, messages, channels }
+ * @returns {boolean}
+ */
+export function sameMessages(a, b) {
+  const differs = (x, y) => [...new Set([...Object.keys(x), ...Object.keys(y)])].some(key => !same(x[key], y[key]));
+  const sameTimeline = (x, y) => {
+    const { _sha: shaX, channels: channelsX, messages: datesX = {}, ...topX } = x || {};
+    const { _sha: shaY, channels: channelsY, messages: datesY = {}, ...topY } = y || {};
+    return !differs(topX, topY) && !differs(datesX, datesY);
+  };
+
+  const channelsA = a?.channels || {};
+  const channelsB = b?.channels || {};
+  const names = new Set([...Object.keys(channelsA), ...Object.keys(channelsB)]);
+  return sameTimeline(a, b) && [...names].every(name => channelsA[name] && channelsB[name] && sameTimeline(channelsA[name], channelsB[name]));
+}
+
+/**
+ * Resolve merge conflicts by taking one side for every conflicting unit
+ * @param {Object} merged - merged from mergeMessages()
+ * @param {Array} conflicts - conflicts from mergeMessages()
+ * @param {string} side - 'mine' or 'theirs'
+ * @returns {Object} Resolved messages data
+ */
+export function resolveConflicts(merged, conflicts, side) {
+  const resolved = { ...merged, messages: { ...merged.messages } };
+  if (merged.channels) {
+    resolved.channels = {};
+    for (const [name, channel] of Object.entries(merged.channels)) {
+      resolved.channels[name] = { ...channel, messages: { ...channel.messages } };
+    }
+  }
+
+  for (const conflict of conflicts) {
+    const timeline = conflict.channel ? resolved.channels[conflict.channel] : resolved;
+    const target = conflict.date ? timeline.messages : timeline;
+    const key = conflict.date || conflict.field;
+    const value = conflict[side];
+    if (value === undefined) {
+      delete target[key];
+    } else {
+      target[key] = value;
+    }
+  }
+
+  return resolved;
+}
@@ -0,0 +1,144 @@
+/**
+ * Message scheduling - which message in messages.json is live today
+ *
+ * Messages are keyed by date (YYYY-MM-DD). A scheduled message goes live on its date (player's
+ * local date) and stays live until a newer one's date arrives. `current` is only an explicit
+ * override on top of that ("Send Now", or pointing at a future message early): it wins while it's
+ * newer than the latest due message, and is superseded as soon as a later scheduled date arrives.
+ *
+ * Rotation fills the days in between (no scheduled message that day, no override ahead of schedule):
+ *   recurring: [{ id, repeat: { weekly: 1 } | { yearly: '03-14' }, message }]  - weekly = 0 (Sun) … 6 (Sat)
+ *   evergreen: [{ id, message }]  - pool, one per day in turn (by date, so every player sees the same one)
+ * A matching recurring rule beats the pool (yearly beats weekly); with neither, the latest due
+ * scheduled message stays live as before.
+ */
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Local date in YYYY-MM-DD format (not UTC)
+ * @param {Date} date - Date to format (default: now)
+ * @returns {string}
+ */
+export function getLocalDateString(date = new Date()) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Resolve the date of the live scheduled message (ignores rotation - see getLiveMessage)
+ * @param {Object} messagesData - { current, messages } from messages.json
+ * @param {string} today - Player's local date, YYYY-MM-DD (default: today)
+ * @returns {string|null} Date key of the live message, or null if nothing is due yet
+ */
+export function resolveLiveDate(messagesData, today = getLocalDateString()) {
+  return getActiveOverride(messagesData, today) || getLatestDue(messagesData, today);
+}
+
+/**
+ * Latest scheduled message whose date has arrived (YYYY-MM-DD sorts as text)
+ */
+function getLatestDue(messagesData, today) {
+  const messages = messagesData?.messages || {};
+  return Object.keys(messages)
+    .filter(date => DATE_KEY.test(date) && date <= today && messages[date])
+    .sort()
+    .pop() || null;
+}
+
+/**
+ * `current` if it's still ahead of the schedule - only while nothing newer has gone live since
+ */
+function getActiveOverride(messagesData, today) {
+  const override = messagesData?.current;
+  const latestDue = getLatestDue(messagesData, today);
+  if (override && messagesData.messages?.[override] && (!latestDue || override > latestDue)) {
+    return override;
+  }
+  return null;
+}
+
+/**
+ * Calendar day number of a YYYY-MM-DD date (days since 1970-01-01, no time zones involved)
+ */
+function getDayNumber(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return Math.floor(Date.UTC(year, month - 1, day) / DAY_MS);
+}
+
+/**
+ * Whether a recurrence rule falls on a date
+ * @param {Object} repeat - { weekly: 0-6 } or { yearly: 'MM-DD' }
+ * @param {string} date - YYYY-MM-DD
+ * @returns {boolean}
+ */
+export function matchesRepeat(repeat, date) {
+  if (!repeat || !DATE_KEY.test(date)) return false;
+  if (repeat.yearly !== undefined) return date.slice(5) === repeat.yearly;
+  if (repeat.weekly !== undefined) return (getDayNumber(date) + 4) % 7 === repeat.weekly; // 1970-01-01 was a Thursday
+  return false;
+}
+
+/**
+ * Describe a recurrence rule ('every monday', 'every year on 03-14')
+ * @param {Object} repeat - { weekly: 0-6 } or { yearly: 'MM-DD' }
+ * @returns {string}
+ */
+export function describeRepeat(repeat) {
+  if (repeat?.yearly !== undefined) return `every year on ${repeat.yearly}`;
+  if (repeat?.weekly !== undefined) return `every ${WEEKDAYS[repeat.weekly] || `weekday ${repeat.weekly}`}`;
+  return 'never';
+}
+
+/**
+ * Rotation message for a date (recurring rule, else the evergreen pool) - ignores scheduled messages
+ * @param {Object} messagesData - { recurring, evergreen } (a channel from messages.json)
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Object|null} { source: 'recurring' | 'evergreen', id, repeat?, message } or null if nothing fills it
+ */
+export function getRotationMessage(messagesData, date) {
+  const rules = (messagesData?.recurring || []).filter(rule => matchesRepeat(rule.repeat, date));
+  const rule = rules.find(candidate => candidate.repeat.yearly !== undefined) || rules[0];
+  if (rule) {
+    return { source: 'recurring', id: rule.id, repeat: rule.repeat, message: rule.message };
+  }
+
+  const pool = messagesData?.evergreen || [];
+  if (pool.length > 0 && DATE_KEY.test(date)) {
+    const entry = pool[getDayNumber(date) % pool.length];
+    return { source: 'evergreen', id: entry.id, message: entry.message };
+  }
+
+  return null;
+}
+
+/**
+ * Get the live message
+ * @param {Object} messagesData - { current, messages, recurring?, evergreen? } from messages.json
+ * @param {string} today - Player's local date, YYYY-MM-DD (default: today)
+ * @returns {Object|null} { date, message, source } or null if nothing is due yet -
+ *   source 'scheduled' (date = its key), or 'recurring' / 'evergreen' (date = today, plus id / repeat)
+ */
+export function getLiveMessage(messagesData, today = getLocalDateString()) {
+  const override = getActiveOverride(messagesData, today);
+  const latestDue = getLatestDue(messagesData, today);
+
+  // Sent now / scheduled for today - always wins
+  const scheduledDate = override || (latestDue === today ? latestDue : null);
+  if (scheduledDate) {
+    return { date: scheduledDate, message: messagesData.messages[scheduledDate], source: 'scheduled' };
+  }
+
+  // A day between scheduled messages - rotation fills it if it can
+  const rotation = getRotationMessage(messagesData, today);
+  if (rotation) {
+    return { date: today, ...rotation };
+  }
+
+  return latestDue ? { date: latestDue, message: messagesData.messages[latestDue], source: 'scheduled' } : null;
+}
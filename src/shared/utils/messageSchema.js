@@ -0,0 +1,334 @@
+/**
+ * messages.json schema - validation and migrations
+ *
+ * Current shape (schemaVersion 2):
+ *   {
+ *     schemaVersion: 2,
+ *     current: 'YYYY-MM-DD' | null,             // Optional "Send Now" override (see messageSchedule.js)
+ *     messages: {
+ *       'YYYY-MM-DD': {
+ *         text: 'You are loved',                // Display text
+ *         words: ['you', '*', 'are', 'loved'],  // Revealed one per bounce, '*' = sentence break
+ *         audio: { original, transformed? },    // Optional - filenames in the audio folder
+ *         wordTimings: [{ word, start, end }],  // Optional - ms into the audio, one per entry in words
+ *                                               // (audio without timings plays no voice)
+ *       }
+ *     },
+ *     recurring: [{ id, repeat, message }],     // Optional rotation - see messageSchedule.js
+ *     evergreen: [{ id, message }],             // Optional rotation pool
+ *     channels: {                               // Optional - more timelines, see messageChannels.js
+ *       kids: { current, messages, ... }        // Same shape as the top level (= "default" channel)
+ *     }
+ *   }
+ *
+ * Files without schemaVersion are version 1 (entries may lack `words`).
+ * Readers run migrateMessagesData() first; writers validate each entry with validateMessage() so a
+ * malformed message never reaches GameCore. A new version only needs a bump + a MIGRATIONS step.
+ */
+
+import { DEFAULT_CHANNEL, isValidChannelName } from './messageChannels.js';
+
+export const SCHEMA_VERSION = 2;
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+const MONTH_DAY = /^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+const AUDIO_FILENAME = /^[\w.-]+$/;
+const BREAK_MARKER = '*';
+
+/**
+ * Split message text into words the way the admin portal always has (lowercase, whitespace)
+ * @param {string} text - Message text
+ * @returns {Array<string>}
+ */
+export function splitWords(text) {
+  return text.trim().toLowerCase().split(/\s+/).filter(word => word.length > 0);
+}
+
+/**
+ * Upgrade steps, oldest first - each takes data at `from` and returns it at `to`
+ */
+const MIGRATIONS = [
+  {
+    from: 1,
+    to: 2,
+    // Derive missing words (from the timings, else the text)
+    migrate(data) {
+      const messages = {};
+      for (const [date, entry] of Object.entries(data.messages || {})) {
+        if (!entry || typeof entry !== 'object') {
+          messages[date] = entry; // Left for the validator to reject
+          continue;
+        }
+
+        const message = { ...entry };
+
+        if (!Array.isArray(message.words)) {
+          if (Array.isArray(message.wordTimings)) {
+            message.words = message.wordTimings.map(timing => timing.word);
+          } else if (typeof message.text === 'string') {
+            message.words = splitWords(message.text);
+          }
+        }
+
+        messages[date] = message;
+      }
+      return { ...data, messages };
+    },
+  },
+];
+
+/**
+ * Bring messages.json up to SCHEMA_VERSION (pure - returns a new object)
+ * @param {Object} messagesData - Parsed messages.json (any version; _sha is kept)
+ * @returns {Object} Data at SCHEMA_VERSION
+ * @throws {Error} If the file is from a newer schema than this app understands
+ */
+export function migrateMessagesData(messagesData) {
+  let data = { ...messagesData, messages: messagesData?.messages || {} };
+  let version = data.schemaVersion || 1;
+
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`messages.json schema v${version} is newer than this app (v${SCHEMA_VERSION}) - update the app`);
+  }
+
+  for (const step of MIGRATIONS) {
+    if (step.from === version) {
+      data = step.migrate(data);
+      version = step.to;
+    }
+  }
+
+  const { schemaVersion, ...rest } = data;
+  return { schemaVersion: SCHEMA_VERSION, ...rest }; // Version first in the saved file
+}
+
+/**
+ * Check one message entry
+ * @param {Object} message - { text, words, audio?, wordTimings? }
+ * @returns {Array<string>} Problems found (empty = valid)
+ */
+export function validateMessage(message) {
+  if (!message || typeof message !== 'object') {
+    return ['message must be an object'];
+  }
+
+  const errors = [];
+  const { text, words, audio, wordTimings } = message;
+
+  if (typeof text !== 'string' || text.trim().length === 0) {
+    errors.push('text must be a non-empty string');
+  }
+
+  if (!Array.isArray(words) || words.length === 0) {
+    errors.push('words must be a non-empty array');
+  } else {
+    if (words.some(word => typeof word !== 'string' || word.trim().length === 0)) {
+      errors.push('words must all be non-empty strings');
+    }
+    if (words.every(word => word === BREAK_MARKER)) {
+      errors.push('words has only sentence break markers');
+    }
+  }
+
+  if (audio !== undefined) {
+    if (!audio || typeof audio !== 'object') {
+      errors.push('audio must be an object');
+    } else {
+      if (typeof audio.original !== 'string' || !AUDIO_FILENAME.test(audio.original)) {
+        errors.push('audio.original must be a filename');
+      }
+      if (audio.transformed !== undefined && (typeof audio.transformed !== 'string' || !AUDIO_FILENAME.test(audio.transformed))) {
+        errors.push('audio.transformed must be a filename');
+      }
+    }
+  }
+
+  if (wordTimings !== undefined && wordTimings !== null) {
+    if (!Array.isArray(wordTimings)) {
+      errors.push('wordTimings must be an array');
+    } else if (Array.isArray(words)) {
+      // GameCore plays wordTimings[i] when it reveals words[i] - they must line up 1:1
+      if (wordTimings.length !== words.length) {
+        errors.push(`wordTimings has ${wordTimings.length} entries but words has ${words.length}`);
+      }
+      wordTimings.forEach((timing, index) => {
+        if (!timing || typeof timing.word !== 'string' || !Number.isFinite(timing.start) || !Number.isFinite(timing.end)) {
+          errors.push(`wordTimings[${index}] must be { word, start, end }`);
+          return;
+        }
+        if (timing.start < 0 || timing.end < timing.start) {
+          errors.push(`wordTimings[${index}] has an invalid range (${timing.start}-${timing.end}ms)`);
+        }
+        const word = words[index];
+        if (word === undefined) return;
+        if ((timing.word === BREAK_MARKER) !== (word === BREAK_MARKER)) {
+          errors.push(`sentence break marker mismatch at ${index} ("${word}" vs timing "${timing.word}")`);
+        } else if (timing.word.toLowerCase() !== word.toLowerCase()) {
+          errors.push(`word mismatch at ${index} ("${word}" vs timing "${timing.word}")`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Check one rotation entry (recurring rule or evergreen pool item)
+ * @param {Object} entry - { id, message } (+ repeat for recurring rules)
+ * @param {boolean} isRule - Whether it's a recurring rule
+ * @returns {Array<string>} Problems found (empty = valid)
+ */
+export function validateRotationEntry(entry, isRule) {
+  if (!entry || typeof entry !== 'object') {
+    return ['entry must be an object'];
+  }
+
+  const errors = [];
+  if (typeof entry.id !== 'string' || entry.id.length === 0) {
+    errors.push('id must be a non-empty string');
+  }
+
+  if (isRule) {
+    const { weekly, yearly } = entry.repeat || {};
+    const validWeekly = Number.isInteger(weekly) && weekly >= 0 && weekly <= 6;
+    const validYearly = typeof yearly === 'string' && MONTH_DAY.test(yearly);
+    if ((weekly !== undefined) === (yearly !== undefined) || (weekly !== undefined ? !validWeekly : !validYearly)) {
+      errors.push('repeat must be { weekly: 0-6 } or { yearly: "MM-DD" }');
+    }
+  }
+
+  return [...errors, ...validateMessage(entry.message).map(error => `message: ${error}`)];
+}
+
+/**
+ * Rotation lists in a timeline (see messageSchedule.js)
+ */
+const ROTATION_LISTS = [
+  { key: 'recurring', isRule: true },
+  { key: 'evergreen', isRule: false },
+];
+
+/**
+ * Check one timeline ({ current, messages } - the top level or a channel)
+ * @returns {Array} [{ date, errors }] (date null for problems with the timeline itself;
+ *   rotation problems also carry entry, e.g. 'evergreen/abc123')
+ */
+function validateTimeline(timeline) {
+  if (!timeline || typeof timeline !== 'object' || !timeline.messages || typeof timeline.messages !== 'object') {
+    return [{ date: null, errors: ['messages must be an object'] }];
+  }
+
+  const errors = [];
+  const { current, messages } = timeline;
+  if (current !== undefined && current !== null && !DATE_KEY.test(current)) {
+    errors.push({ date: null, errors: [`current must be a YYYY-MM-DD date (got "${current}")`] });
+  }
+
+  for (const [date, message] of Object.entries(messages)) {
+    const messageErrors = DATE_KEY.test(date) ? validateMessage(message) : ['key must be a YYYY-MM-DD date'];
+    if (messageErrors.length > 0) {
+      errors.push({ date, errors: messageErrors });
+    }
+  }
+
+  for (const { key, isRule } of ROTATION_LISTS) {
+    const list = timeline[key];
+    if (list === undefined) continue;
+    if (!Array.isArray(list)) {
+      errors.push({ date: null, errors: [`${key} must be an array`] });
+      continue;
+    }
+    list.forEach((entry, index) => {
+      const entryErrors = validateRotationEntry(entry, isRule);
+      if (entryErrors.length > 0) {
+        errors.push({ date: null, entry: `${key}/${entry?.id ?? index}`, errors: entryErrors });
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Check a whole messages.json (every channel)
+ * @param {Object} messagesData - Migrated messages.json
+ * @returns {Object} { valid, errors } - errors: [{ channel, date, errors }] (date null for channel-level problems)
+ */
+export function validateMessagesData(messagesData) {
+  const errors = validateTimeline(messagesData).map(error => ({ channel: DEFAULT_CHANNEL, ...error }));
+
+  const channels = messagesData?.channels;
+  if (channels !== undefined) {
+    if (!channels || typeof channels !== 'object') {
+      errors.push({ channel: null, date: null, errors: ['channels must be an object'] });
+    } else {
+      for (const [channel, timeline] of Object.entries(channels)) {
+        if (!isValidChannelName(channel) || channel === DEFAULT_CHANNEL) {
+          errors.push({ channel, date: null, errors: ['invalid channel name'] });
+          continue;
+        }
+        errors.push(...validateTimeline(timeline).map(error => ({ channel, ...error })));
+      }
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Remove entries that fail validation from one timeline
+ */
+function dropInvalidEntries(timeline, channel, rejected) {
+  const messages = {};
+
+  for (const [date, message] of Object.entries(timeline?.messages || {})) {
+    const errors = DATE_KEY.test(date) ? validateMessage(message) : ['key must be a YYYY-MM-DD date'];
+    if (errors.length > 0) {
+      rejected.push({ channel, date, errors });
+    } else {
+      messages[date] = message;
+    }
+  }
+
+  const result = { ...timeline, messages };
+
+  for (const { key, isRule } of ROTATION_LISTS) {
+    if (timeline?.[key] === undefined) continue;
+    const list = Array.isArray(timeline[key]) ? timeline[key] : [];
+    result[key] = list.filter((entry, index) => {
+      const errors = validateRotationEntry(entry, isRule);
+      if (errors.length > 0) {
+        rejected.push({ channel, date: null, entry: `${key}/${entry?.id ?? index}`, errors });
+      }
+      return errors.length === 0;
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Remove entries that fail validation (for readers - the game skips bad messages instead of crashing)
+ * Channels that aren't usable at all are dropped whole
+ * @param {Object} messagesData - Migrated messages.json
+ * @returns {Object} { data, rejected } - rejected: [{ channel, date, entry?, errors }]
+ */
+export function dropInvalidMessages(messagesData) {
+  const rejected = [];
+  const data = dropInvalidEntries(messagesData, DEFAULT_CHANNEL, rejected);
+
+  if (messagesData.channels !== undefined) {
+    const channels = {};
+    for (const [channel, timeline] of Object.entries(messagesData.channels || {})) {
+      if (!isValidChannelName(channel) || channel === DEFAULT_CHANNEL || !timeline?.messages) {
+        rejected.push({ channel, date: null, errors: ['unusable channel'] });
+        continue;
+      }
+      channels[channel] = dropInvalidEntries(timeline, channel, rejected);
+    }
+    data.channels = channels;
+  }
+
+  return { data, rejected };
+}
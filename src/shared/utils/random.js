@@ -0,0 +1,31 @@
+/**
+ * Random number utilities
+ * Seedable RNG so game sessions can be reproduced exactly (replays, bug repros)
+ */
+
+/**
+ * Create a seeded pseudo-random generator (mulberry32)
+ * Same seed → same sequence, every time, on every platform
+ *
+ * @param {number} seed - Any integer (non-integers are truncated)
+ * @returns {() => number} - Drop-in replacement for Math.random (returns 0 <= n < 1)
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generate a fresh random seed (for sessions that should be reproducible later)
+ * @returns {number} - Unsigned 32-bit integer
+ */
+export function generateSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}